@@ -14,6 +14,9 @@
  * propiedades, ya que otros módulos dependen de ellas.
  */
 
+// Mapeo por defecto del gamepad.  Cada mando puede redefinirlo desde la
+// sección "Mando" del panel de configuración (ver `input/mapping.js`).
+
 // Botón de disparo (índice en el arreglo de botones del gamepad)
 export const TRIGGER_BUTTON = 23;
 
@@ -53,12 +56,110 @@ export const SUCCESS_COOLDOWN_MS  = 160;
 // sonido de éxito y se volverán a spawnear en otra posición.
 export const MOVERS_MAX_HITS = 3;
 
+// Número máximo de movers a la vez (`CFG.moversCount`).  Las consultas
+// de vecinos usan una rejilla espacial, así que las multitudes para
+// ejercicios de enjambre no cuestan mucho más que unos pocos movers.
+export const MOVERS_MAX = 64;
+
 // Intervalo (ms) tras el último disparo en que un mover regenera todas sus
 // vidas, vuelve a su color original y restablece su velocidad de huida.
 // Si se dispara de nuevo antes de que transcurra este tiempo, el contador
 // se reinicia.
 export const HEAL_INTERVAL_MS = 4000;
 
+// Comportamiento de los movers por defecto (ver `systems/movers.js` y
+// NOTES.md).  `CFG.moverBehavior` parte de una copia de estas tablas y se
+// edita desde la sección "Comportamiento movers" del panel; se guarda
+// con los perfiles y se exporta/importa como JSON
+// (`systems/moverBehavior.js`).
+//   roles / episodes: pesos de cada micro‑patrón (`patternWeights`, 0
+//     lo descarta; los que falten valen 1) y de cada tamaño
+//     (`tierWeights`), sesgo del ancla hacia el borde (`anchorBias`,
+//     negativo = hacia el centro) y, en los episodios, velocidad del
+//     desplazamiento del ancla (`macroSpeed`)
+//   tierScale / spiralScale: amplitud de cada tamaño como fracción del
+//     espacio útil (figuras) o del semieje menor (espirales)
+//   anchorMinMs..anchorMaxMs: duración base del viaje del ancla
+//   microMinMs..microMaxMs: duración de cada micro‑patrón
+//   microBlendMs: mezcla al cambiar de patrón o de tamaño
+//   heatmapDecay: factor por frame con el que se enfría el heatmap
+//   patterns: micro‑patrones propios definidos con datos (ver «PATRONES
+//     PROPIOS» en systems/movers.js); de serie, tres maniobras de ejemplo
+export const MOVER_BEHAVIOR_DEFAULTS = {
+  roles: {
+    Runner: {
+      anchorBias: 0.7,
+      patternWeights: { spiral: 2, spiralBurst: 1.5, figure8: 1, figure8Wide: 0.5, figure8Spiral: 0.5, rosette: 1, swerveStop: 1 },
+      tierWeights: { S: 1, M: 1.5, L: 2 }
+    },
+    Dancer: {
+      anchorBias: -0.2,
+      patternWeights: { figure8: 2, figure8Wide: 1.5, figure8Spiral: 1.2, spiral: 0.5, spiralBurst: 0.5, rosette: 1, swerveStop: 1 },
+      tierWeights: { S: 1.5, M: 1, L: 0.8 }
+    },
+    Trickster: {
+      anchorBias: 0.0,
+      patternWeights: { figure8Wide: 2, figure8Spiral: 2, spiralBurst: 1, spiral: 0.8, figure8: 0.8, rosette: 1, swerveStop: 1 },
+      tierWeights: { S: 1, M: 1, L: 1 }
+    },
+    Kiter: {
+      anchorBias: 0.5,
+      patternWeights: { spiral: 1.8, spiralBurst: 1.8, figure8: 1, figure8Wide: 0.5, figure8Spiral: 0.5, rosette: 1, swerveStop: 1 },
+      tierWeights: { S: 0.8, M: 1.2, L: 1.8 }
+    }
+  },
+  episodes: {
+    Explore: {
+      anchorBias: 0.2,
+      patternWeights: { figure8: 1, figure8Wide: 1, figure8Spiral: 0.7, spiral: 0.6, spiralBurst: 0.5, rosette: 0.8, swerveStop: 0.8 },
+      tierWeights: { S: 1.2, M: 1.0, L: 0.8 },
+      macroSpeed: 1.1
+    },
+    Perform: {
+      anchorBias: 0.0,
+      patternWeights: { figure8: 2, figure8Wide: 1.5, figure8Spiral: 1.2, spiral: 1.2, spiralBurst: 1.0, rosette: 0.7, swerveStop: 0.5 },
+      tierWeights: { S: 0.8, M: 1.2, L: 1.6 },
+      macroSpeed: 0.7
+    },
+    Evade: {
+      anchorBias: 0.6,
+      patternWeights: { figure8: 0.7, figure8Wide: 0.7, figure8Spiral: 0.8, spiral: 0.6, spiralBurst: 0.8, rosette: 1.0, swerveStop: 1.5 },
+      tierWeights: { S: 1.6, M: 1.0, L: 0.7 },
+      macroSpeed: 1.4
+    },
+    Kite: {
+      anchorBias: 0.8,
+      patternWeights: { figure8: 0.8, figure8Wide: 0.6, figure8Spiral: 0.7, spiral: 1.5, spiralBurst: 1.3, rosette: 1.2, swerveStop: 0.6 },
+      tierWeights: { S: 0.9, M: 1.1, L: 1.4 },
+      macroSpeed: 1.0
+    }
+  },
+  tierScale: { S: 0.15, M: 0.35, L: 0.60 },
+  spiralScale: { S: 0.25, M: 0.50, L: 0.75 },
+  anchorMinMs: 2000,
+  anchorMaxMs: 5000,
+  microMinMs: 2500,
+  microMaxMs: 5000,
+  microBlendMs: 600,
+  heatmapDecay: 0.98,
+  patterns: {
+    // Cambios de rumbo bruscos a un lado y a otro
+    jink: {
+      type: 'waypoints',
+      curve: 'linear',
+      speed: 1.5,
+      points: [[-1, 0], [-0.6, 0.7], [-0.2, -0.5], [0.2, 0.6], [0.6, -0.7], [1, 0], [0.6, 0.7], [0.2, -0.6], [-0.2, 0.5], [-0.6, -0.7]]
+    },
+    // Tonel: bucles encadenados mientras avanza en círculo
+    barrelRoll: { type: 'hypotrochoid', R: 4, r: 1, d: 1.6 },
+    // Viraje cerrado: recta, giro fuerte y salida en otra dirección
+    breakTurn: {
+      type: 'path',
+      points: [[-1, 0.2], [-0.6, 0.2], [-0.2, 0.2], [0.15, 0.1], [0.45, -0.1], [0.65, -0.4], [0.7, -0.75], [0.55, -1], [0.25, -1]]
+    }
+  }
+};
+
 // Objeto de configuración runtime.  Se puede modificar en caliente a
 // través del panel de configuración (`uiConfig.js`).
 export const CFG = {
@@ -92,6 +193,20 @@ export const CFG = {
   showGrid: false,
   blackBg: false,
 
+  // Flechas en el borde de la pantalla hacia las entidades que quedan
+  // fuera de la vista y radar circular con las que están a menos de
+  // `radarRangePx` del jugador
+  offscreenArrows: true,
+  radarEnabled: false,
+  radarRangePx: 1500,
+
+  // Horizonte artificial del HUD con escala de roll y lectura de la
+  // orientación.  `horizonStyle`: ladder (con escalera de pitch) |
+  // minimal (sólo horizonte y escala de roll).
+  horizonEnabled: false,
+  horizonStyle: 'ladder',
+  horizonOpacity: 0.6,
+
   // FA‑off: modo de inercia.  Cuando está activado se usa el módulo
   // flight.js para gestionar aceleraciones.
   faOff: false,
@@ -131,8 +246,59 @@ export const CFG = {
   // 1.0 + 0.40 + 0.60 = 2.0 al segundo impacto.
   moversHit1Boost: 0.40,
   moversHit2Boost: 0.60,
+  // Formaciones: los movers vuelan en grupos de `moversFlockSize` (2–8)
+  // detrás de un líder y se dispersan al recibir disparos cerca o, con
+  // `moversFlee`, al acercarse la mirilla (ver FORMACIONES en
+  // systems/movers.js)
+  moversFlock: false,
+  moversFlockSize: 4,
+  // Capa de depuración de los movers: heatmap de anclas, ancla y
+  // destino de cada mover, trayectoria prevista del micro‑patrón y
+  // etiqueta con rol, episodio, patrón y tamaño
+  moversDebug: false,
+  // Tablas de comportamiento de los movers (ver MOVER_BEHAVIOR_DEFAULTS)
+  moverBehavior: JSON.parse(JSON.stringify(MOVER_BEHAVIOR_DEFAULTS)),
+
+  // Arma: con `weaponProjectiles` los disparos son proyectiles que
+  // tardan `weaponTargetDist / weaponMuzzleSpeed` segundos en llegar a
+  // los blancos (distancia simulada en m, velocidad en m/s) y se pierden
+  // pasados `weaponLifetimeMs`.  `weaponLeadPip` dibuja el punto de
+  // adelanto de los blancos en movimiento.
+  weaponProjectiles: false,
+  weaponMuzzleSpeed: 1600,
+  weaponLifetimeMs: 1500,
+  weaponTargetDist: 400,
+  weaponLeadPip: true,
+
+  // Cadencia y munición (ver systems/weapon.js y sus WEAPON_PRESETS).
+  // `weaponFireMode`: semi | burst | auto.  `weaponLimit`: none | heat |
+  // ammo.  El calor va de 0 a 1 (1 = sobrecalentada).
+  weaponFireMode: 'semi',
+  weaponRpm: 600,
+  weaponBurst: 1,
+  weaponLimit: 'none',
+  weaponHeatPerShot: 0,
+  weaponCoolPerS: 0,
+  weaponOverheatMs: 0,
+  weaponMagazine: 0,
+  weaponReloadMs: 0,
+  weaponSpreadPx: 0,
 
-  // Modo de juego: classic | matrix | split
+  // Arma con cardán (gimbal): dentro de un cono alrededor de la mira
+  // (`gimbalConePx`, radio en px) los disparos convergen en la entidad
+  // más cercana.  El pip del cardán la sigue con retraso (`gimbalLagMs`,
+  // tiempo de respuesta; 0 = instantáneo).
+  gimbalEnabled: false,
+  gimbalConePx: 60,
+  gimbalLagMs: 120,
+
+  // Umbrales del gatillo (0..1): se considera pulsado por encima de
+  // `triggerOn` y suelto por debajo de `triggerOff`
+  triggerOn: 0.8,
+  triggerOff: 0.2,
+
+  // Modo de juego: classic | matrix | split | tracking | flick | lockon |
+  // sphere | depth
   gameMode: 'classic',
 
   // Modo Matrix: targets en línea recta desde los bordes
@@ -149,5 +315,71 @@ export const CFG = {
   splitBallCount: 1,
   splitBallSpeed: 3.0,
   splitBallStartR: 140,
-  splitBallMinR: 10
+  splitBallMinR: 10,
+
+  // Modo Tracking: tiempo (ms) que hay que mantener la mira sobre un
+  // mover con el gatillo pulsado para eliminarlo
+  trackingKillMs: 1500,
+
+  // Modo Flick: un único blanco que aparece tras una espera aleatoria
+  // (ms) a una distancia de la mira (px) y en una de las direcciones de
+  // `flickDirections` (all | horizontal | vertical | cardinal |
+  // diagonal), desviada como mucho `flickSpreadDeg` grados.  Si no se
+  // alcanza en `flickTimeoutMs`, el intento cuenta como fallado.
+  flickDelayMinMs: 500,
+  flickDelayMaxMs: 1500,
+  flickDistMin: 120,
+  flickDistMax: 320,
+  flickDirections: 'all',
+  flickSpreadDeg: 10,
+  flickTimeoutMs: 3000,
+
+  // Modo Lock‑on: un mover queda fijado tras pasar `lockTimeMs` dentro
+  // del anillo de fijación (radio en px alrededor de la mira); entonces
+  // el gatillo lanza un misil guiado (velocidad en px/s) que se pierde
+  // si no alcanza al mover en `missileLifetimeMs`.
+  lockRingPx: 90,
+  lockTimeMs: 1000,
+  missileSpeed: 900,
+  missileLifetimeMs: 2500,
+
+  // Modo Esfera 3D: los blancos están en una esfera alrededor de la nave
+  // y los ejes giran la vista (grados por segundo a fondo de stick).
+  // Proyección en perspectiva con campo de visión vertical
+  // `sphereFovDeg`.  Los blancos miden `sphereTargetDeg` grados de radio
+  // y aparecen entre `sphereSpawnMinDeg` y `sphereSpawnMaxDeg` grados de
+  // la mira.
+  sphereFovDeg: 90,
+  sphereYawRate: 60,
+  spherePitchRate: 90,
+  sphereRollRate: 180,
+  sphereTargetCount: 3,
+  sphereTargetDeg: 2,
+  sphereSpawnMinDeg: 10,
+  sphereSpawnMaxDeg: 60,
+
+  // Modo Profundidad: cada `depthSpawnMs` aparece un blanco a
+  // `depthSpawnDist` m que vuela hacia el jugador a `depthSpeed` m/s.
+  // Su tamaño y su separación en pantalla crecen en perspectiva:
+  // `depthTargetR` (radio), `depthSpreadPx` (dispersión de los puntos de
+  // aparición) y `depthPassPx` (distancia de paso) son px a la distancia
+  // de referencia `depthRefDist`.  Sólo se pueden alcanzar entre
+  // `depthRangeMin` y `depthRangeMax` m; si no, pasan de largo.
+  depthSpawnMs: 1200,
+  depthSpawnDist: 1500,
+  depthSpeed: 400,
+  depthRefDist: 400,
+  depthTargetR: 14,
+  depthSpreadPx: 250,
+  depthPassPx: 60,
+  depthRangeMin: 150,
+  depthRangeMax: 700,
+
+  // Escenario cronometrado: cuenta atrás y duración de la partida (s).
+  // Se inicia con Enter y termina con una pantalla de resultados.
+  scenarioCountdownS: 3,
+  scenarioDurationS: 60,
+  // Semilla del escenario (0 = una distinta en cada partida).  Con la
+  // misma semilla las apariciones siguen la misma secuencia.
+  scenarioSeed: 0
 };
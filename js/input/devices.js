@@ -0,0 +1,107 @@
+/*
+ * input/devices.js
+ *
+ * Gestión de los mandos conectados: escucha `gamepadconnected` y
+ * `gamepaddisconnected`, permite elegir el mando activo desde el panel
+ * de configuración y, mientras el jugador no lo haya elegido, selecciona
+ * automáticamente el primero que se mueve (conectarse no basta: con un
+ * throttle en el índice 0 y el stick en el 1, el activo es el que se
+ * mueva).  También avisa a `main.js` cuando se desconecta el mando
+ * activo o alguno de los que usa su mapeo, para poder pausar el
+ * escenario.
+ *
+ * ZONA SEGURA: puedes ajustar AUTO_SELECT_DELTA si el mando se elige
+ * con demasiada (o poca) facilidad.
+ */
+
+import * as state from '../state.js';
+import { getPad, getPads } from './gamepad.js';
+import { linkedPadIds } from './mapping.js';
+
+// Desplazamiento de eje (o valor de botón) que cuenta como "se mueve"
+const AUTO_SELECT_DELTA = 0.5;
+
+// Valores en reposo de cada mando, por índice, para detectar movimiento
+const rest = new Map();
+
+// Último mensaje de conexión o desconexión
+let status = '';
+
+// true cuando el mando activo lo ha elegido el jugador, al moverlo o
+// desde el panel.  Hasta entonces se sigue buscando el que se mueve.
+let chosen = false;
+
+// true si en el frame anterior estaban conectados el mando activo y
+// todos los que usa su mapeo; permite detectar la desconexión aunque el
+// navegador no emita el evento
+let hadAll = false;
+
+function snapshot(p) {
+  return { axes: Array.from(p.axes), buttons: p.buttons.map(b => b.value) };
+}
+
+/**
+ * Registra los listeners de conexión y desconexión.  Se llama una vez
+ * al arrancar.
+ */
+export function initDeviceEvents() {
+  window.addEventListener('gamepadconnected', (e) => {
+    const p = e.gamepad;
+    status = `Conectado: ${p.id}`;
+    rest.set(p.index, snapshot(p));
+  });
+  window.addEventListener('gamepaddisconnected', (e) => {
+    status = `Desconectado: ${e.gamepad.id}`;
+    rest.delete(e.gamepad.index);
+  });
+}
+
+/**
+ * Devuelve el último mensaje de conexión ('' si no hay).
+ */
+export function getDeviceStatus() {
+  return status;
+}
+
+/**
+ * Elige el mando activo.
+ * @param {number} index índice del mando
+ */
+export function selectDevice(index) {
+  const p = getPad(index);
+  if (!p) return;
+  state.setActiveIndex(index);
+  chosen = true;
+  status = `Activo: ${p.id}`;
+}
+
+/**
+ * Comprueba en cada frame el estado de los mandos.  Mientras el jugador
+ * no haya elegido mando (o si el elegido se desconecta), selecciona el
+ * primero que se mueve respecto a su reposo.
+ * @returns {'lost'|null} 'lost' en el frame en que se desconecta el
+ *   mando activo o alguno de los que usa su mapeo
+ */
+export function updateDevices() {
+  const pads = getPads();
+  for (const p of pads) {
+    if (!rest.has(p.index)) rest.set(p.index, snapshot(p));
+  }
+  const active = getPad(state.activeIndex);
+  const all = !!active && linkedPadIds(active.id).every(id => pads.some(p => p.id === id));
+  let event = null;
+  if (!all && hadAll) event = 'lost';
+  hadAll = all;
+  if (!active) chosen = false;
+  if (chosen) return event;
+  for (const p of pads) {
+    const base = rest.get(p.index);
+    const moved = p.axes.some((v, i) => Math.abs(v - (base.axes[i] ?? 0)) > AUTO_SELECT_DELTA)
+      || p.buttons.some((b, i) => b.value > AUTO_SELECT_DELTA && (base.buttons[i] || 0) < AUTO_SELECT_DELTA);
+    if (moved) {
+      selectDevice(p.index);
+      break;
+    }
+  }
+  return event;
+}
@@ -19,6 +19,15 @@ export function getPad(index = 0) {
   return pads[index] || null;
 }
 
+/**
+ * Devuelve todos los gamepads conectados (sin huecos `null`).
+ * @returns {Gamepad[]}
+ */
+export function getPads() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  return Array.from(pads).filter(p => p && p.connected !== false);
+}
+
 /**
  * Formatea un número a tres decimales y con signo.  Se utiliza en el
  * HUD de desarrollo para mostrar valores de los ejes.
@@ -0,0 +1,378 @@
+/*
+ * input/mapping.js
+ *
+ * Mapeo de ejes y botones del gamepad.  El mapeo se guarda en
+ * `localStorage` para cada mando activo (identificado por `pad.id`) e
+ * indica qué eje controla roll, pitch y yaw, si cada eje va invertido,
+ * qué botón dispara y qué botones lanzan las acciones (FA‑off, respawn,
+ * escenario…).  Los mandos sin mapeo guardado usan las constantes de
+ * `config.js`, que corresponden al HOTAS original.
+ *
+ * Cada asignación puede apuntar a otro mando conectado mediante
+ * `padId`: así un stick, un throttle y unos pedales que el navegador ve
+ * como dispositivos separados se combinan en una sola entrada.  Con
+ * `padId` a null la asignación se lee del propio mando activo.
+ *
+ * También incluye un asistente de detección: pide al jugador que mueva
+ * cada eje o pulse cada botón y detecta el mando y el índice comparando
+ * los valores de todos los mandos con los que tenían en reposo.
+ *
+ * ZONA SEGURA: puedes ajustar los umbrales de detección.
+ * ZONA PELIGROSA: cambiar MAPPING_KEY hace que se pierdan los mapeos
+ * guardados.
+ */
+
+import { AXIS_ROLL, AXIS_PITCH, AXIS_YAW, TRIGGER_BUTTON } from '../config.js';
+import { getPads } from './gamepad.js';
+
+// Clave de localStorage
+const MAPPING_KEY = 'solr.mapping.v1';
+
+// Umbrales del asistente: desplazamiento mínimo para detectar un eje,
+// margen para considerarlo de vuelta en reposo y valor de botón pulsado
+const DETECT_AXIS_DELTA = 0.5;
+const RELEASE_AXIS_DELTA = 0.25;
+const DETECT_BUTTON_VALUE = 0.5;
+
+// Entradas lógicas de tipo eje
+export const AXIS_KEYS = ['roll', 'pitch', 'yaw'];
+
+// Acciones asignables a botones.  Equivalen a las teclas F, Shift+F,
+// Espacio y Enter.  Por defecto no tienen botón asignado.
+export const ACTION_KEYS = ['faToggle', 'faReset', 'respawn', 'startRun'];
+export const ACTION_LABELS = {
+  faToggle: 'FA‑off on/off',
+  faReset: 'Reset inercia',
+  respawn: 'Respawn',
+  startRun: 'Iniciar escenario'
+};
+
+/**
+ * Pasos del asistente.  `sign` es el signo que debe tener el valor
+ * lógico cuando se mueve el eje en la dirección pedida; con él se
+ * calcula la inversión.  Los signos reproducen el comportamiento del
+ * mapeo por defecto.  El asistente completo recorre los cuatro
+ * primeros pasos; las acciones se asignan de una en una.
+ */
+export const WIZARD_STEPS = [
+  { key: 'roll', kind: 'axis', sign: -1, prompt: 'Inclina el stick a la DERECHA (roll)' },
+  { key: 'pitch', kind: 'axis', sign: 1, prompt: 'Empuja el stick hacia DELANTE (pitch)' },
+  { key: 'yaw', kind: 'axis', sign: 1, prompt: 'Gira el twist o los pedales a la DERECHA (yaw)' },
+  { key: 'fire', kind: 'button', prompt: 'Pulsa el GATILLO (disparo)' },
+  ...ACTION_KEYS.map(key => ({ key, kind: 'button', prompt: `Pulsa el botón para «${ACTION_LABELS[key]}»` }))
+];
+
+// Pasos del asistente completo
+const CORE_KEYS = ['roll', 'pitch', 'yaw', 'fire'];
+
+/**
+ * Devuelve una copia del mapeo por defecto (constantes de `config.js`).
+ */
+export function defaultMapping() {
+  const m = {
+    roll: { padId: null, axis: AXIS_ROLL, invert: true },
+    pitch: { padId: null, axis: AXIS_PITCH, invert: true },
+    yaw: { padId: null, axis: AXIS_YAW, invert: false },
+    fire: { padId: null, button: TRIGGER_BUTTON }
+  };
+  for (const key of ACTION_KEYS) m[key] = null;
+  return m;
+}
+
+// Mapeo que usan los mandos sin mapeo guardado
+const FALLBACK = defaultMapping();
+
+// Mapeos guardados por id de mando.  Se leen una sola vez de
+// localStorage porque `getMapping()` se consulta en cada frame.
+let saved = null;
+
+function loadAll() {
+  if (saved) return saved;
+  saved = {};
+  try {
+    const raw = localStorage.getItem(MAPPING_KEY);
+    const data = raw ? JSON.parse(raw) : {};
+    if (data && typeof data === 'object') {
+      for (const id of Object.keys(data)) saved[id] = normalize(data[id]);
+    }
+  } catch (_) {}
+  return saved;
+}
+
+function storeAll() {
+  try {
+    localStorage.setItem(MAPPING_KEY, JSON.stringify(saved));
+  } catch (_) {}
+}
+
+const isIndex = v => Number.isInteger(v) && v >= 0;
+const cleanPadId = v => (typeof v === 'string' ? v : null);
+
+// Completa un mapeo guardado con los valores por defecto que falten.
+// Los mapeos sin `padId` se leen del propio mando activo.
+function normalize(m) {
+  const def = defaultMapping();
+  const out = {};
+  for (const key of AXIS_KEYS) {
+    const b = m && m[key];
+    out[key] = {
+      padId: cleanPadId(b && b.padId),
+      axis: b && isIndex(b.axis) ? b.axis : def[key].axis,
+      invert: b && typeof b.invert === 'boolean' ? b.invert : def[key].invert
+    };
+  }
+  const f = m && m.fire;
+  out.fire = { padId: cleanPadId(f && f.padId), button: f && isIndex(f.button) ? f.button : def.fire.button };
+  for (const key of ACTION_KEYS) {
+    const b = m && m[key];
+    out[key] = b && isIndex(b.button) ? { padId: cleanPadId(b.padId), button: b.button } : null;
+  }
+  return out;
+}
+
+/**
+ * Devuelve el mapeo del mando indicado.  El objeto devuelto es el que se
+ * usa internamente: no lo modifiques, usa `setMapping()`.
+ * @param {string} padId valor de `pad.id`
+ */
+export function getMapping(padId) {
+  return loadAll()[padId] || FALLBACK;
+}
+
+/**
+ * Indica si el mando tiene un mapeo guardado propio.
+ * @param {string} padId valor de `pad.id`
+ */
+export function hasCustomMapping(padId) {
+  return padId in loadAll();
+}
+
+/**
+ * Guarda el mapeo de un mando.
+ * @param {string} padId valor de `pad.id`
+ * @param {Object} mapping mapeo completo o parcial
+ */
+export function setMapping(padId, mapping) {
+  loadAll()[padId] = normalize(mapping);
+  storeAll();
+}
+
+/**
+ * Elimina el mapeo guardado de un mando para volver al de por defecto.
+ * @param {string} padId valor de `pad.id`
+ */
+export function resetMapping(padId) {
+  delete loadAll()[padId];
+  storeAll();
+}
+
+/**
+ * Texto corto de una asignación para los paneles, p. ej. `a5 (inv)` o
+ * `b3 @ Pedals`.
+ * @param {Object|null} b asignación
+ */
+export function describeBinding(b) {
+  if (!b) return '—';
+  const base = 'axis' in b ? `a${b.axis}${b.invert ? ' (inv)' : ''}` : `b${b.button}`;
+  return b.padId ? `${base} @ ${b.padId}` : base;
+}
+
+/**
+ * Ids de los otros mandos (throttle, pedales…) de los que lee el mapeo
+ * del mando `padId`, sin repetir.
+ * @param {string} padId valor de `pad.id` del mando activo
+ * @returns {string[]}
+ */
+export function linkedPadIds(padId) {
+  const map = getMapping(padId);
+  const ids = new Set();
+  for (const key of [...AXIS_KEYS, 'fire', ...ACTION_KEYS]) {
+    const b = map[key];
+    if (b && b.padId != null && b.padId !== padId) ids.add(b.padId);
+  }
+  return [...ids];
+}
+
+// Mando del que se lee una asignación: el activo o el indicado por
+// `padId`.  Si hay dos mandos con el mismo id se usa el primero.
+function padFor(binding, activePad, pads) {
+  if (binding.padId == null) return activePad;
+  return pads.find(p => p.id === binding.padId) || null;
+}
+
+/**
+ * Lee todas las entradas lógicas combinando los mandos conectados
+ * según el mapeo del mando activo.  Los ejes se devuelven en bruto
+ * (sin zona muerta) y con la inversión aplicada; los botones, como
+ * valores 0..1.  Si una asignación apunta a un mando desconectado, su
+ * valor es 0.
+ * @param {Gamepad|null} activePad mando activo
+ * @returns {{roll:number, pitch:number, yaw:number, fire:number, actions:Object}}
+ */
+export function readInput(activePad) {
+  const out = { roll: 0, pitch: 0, yaw: 0, fire: 0, actions: {} };
+  if (!activePad) return out;
+  const map = getMapping(activePad.id);
+  const pads = getPads();
+  for (const key of AXIS_KEYS) {
+    const b = map[key];
+    const pad = padFor(b, activePad, pads);
+    const v = pad ? (pad.axes[b.axis] ?? 0) : 0;
+    out[key] = b.invert ? -v : v;
+  }
+  const readButton = b => {
+    const pad = b ? padFor(b, activePad, pads) : null;
+    return pad ? (pad.buttons[b.button]?.value || 0) : 0;
+  };
+  out.fire = readButton(map.fire);
+  for (const key of ACTION_KEYS) out.actions[key] = readButton(map[key]);
+  return out;
+}
+
+// Estado del asistente de detección y último mensaje al terminar
+let wizard = null;
+let wizardOutcome = '';
+
+// Valores de un mando en reposo para comparar en el paso actual
+function snapshotPad(p) {
+  return { axes: Array.from(p.axes), buttons: p.buttons.map(b => b.value) };
+}
+
+function captureBaseline(pads) {
+  const base = new Map();
+  for (const p of pads) base.set(p.index, snapshotPad(p));
+  return base;
+}
+
+/**
+ * Inicia el asistente de detección.  Sin `keys` recorre los ejes y el
+ * gatillo; con `keys` sólo las entradas indicadas (por ejemplo, una
+ * acción).
+ * @param {Gamepad} pad mando activo (el mapeo se guarda con su id)
+ * @param {string[]} [keys] entradas a detectar
+ */
+export function startMappingWizard(pad, keys = CORE_KEYS) {
+  if (!pad) return;
+  wizard = {
+    padId: pad.id,
+    padIndex: pad.index,
+    steps: WIZARD_STEPS.filter(s => keys.includes(s.key)),
+    step: 0,
+    // 'detect' espera el movimiento; 'release' espera a que se suelte
+    phase: 'detect',
+    baseline: captureBaseline(getPads()),
+    release: null,
+    result: { ...getMapping(pad.id) },
+    message: ''
+  };
+  wizardOutcome = '';
+}
+
+/**
+ * Cancela el asistente sin guardar nada.
+ */
+export function cancelMappingWizard() {
+  if (wizard) wizardOutcome = 'Detección cancelada';
+  wizard = null;
+}
+
+/**
+ * Indica si el asistente está en marcha.  Mientras lo está, el gatillo
+ * y los botones de acción no hacen nada.
+ */
+export function isMappingWizardActive() {
+  return wizard !== null;
+}
+
+/**
+ * Devuelve el texto a mostrar para el paso actual del asistente o, si
+ * no está en marcha, el resultado de la última detección ('' si no hay).
+ */
+export function getMappingWizardStatus() {
+  if (!wizard) return wizardOutcome;
+  const step = wizard.steps[wizard.step];
+  const n = `${wizard.step + 1}/${wizard.steps.length}`;
+  if (wizard.phase === 'release') return `${n} · Detectado ${wizard.message}. Suelta el control…`;
+  return `${n} · ${step.prompt}`;
+}
+
+// Comprueba si el control detectado ha vuelto a reposo
+function isReleased(rel, pads) {
+  const pad = pads.find(p => p.index === rel.index);
+  if (!pad) return true;
+  if (rel.kind === 'axis') return Math.abs((pad.axes[rel.i] ?? 0) - rel.rest) < RELEASE_AXIS_DELTA;
+  return (pad.buttons[rel.i]?.value || 0) < DETECT_BUTTON_VALUE * 0.5;
+}
+
+/**
+ * Avanza el asistente con la lectura actual de los mandos.  Se llama en
+ * cada frame desde `update()`.  Si el mando activo cambia o se
+ * desconecta, el asistente se cancela.
+ * @param {Gamepad|null} pad mando activo
+ * @returns {'done'|null} 'done' cuando se guarda el mapeo
+ */
+export function updateMappingWizard(pad) {
+  if (!wizard) return null;
+  if (!pad || pad.id !== wizard.padId) {
+    wizard = null;
+    wizardOutcome = 'Detección cancelada: mando desconectado';
+    return null;
+  }
+  const step = wizard.steps[wizard.step];
+  const pads = getPads();
+  if (wizard.phase === 'release') {
+    if (!isReleased(wizard.release, pads)) return null;
+    wizard.step++;
+    if (wizard.step >= wizard.steps.length) {
+      setMapping(wizard.padId, wizard.result);
+      wizard = null;
+      wizardOutcome = 'Mapeo guardado para este mando';
+      return 'done';
+    }
+    wizard.phase = 'detect';
+    wizard.baseline = captureBaseline(pads);
+    return null;
+  }
+  // Un mando conectado a mitad de paso toma su estado actual como reposo
+  for (const p of pads) {
+    if (!wizard.baseline.has(p.index)) wizard.baseline.set(p.index, snapshotPad(p));
+  }
+  // Las entradas del mando activo se guardan con padId null para que
+  // el mapeo siga funcionando aunque cambie de índice
+  const idFor = p => (p.index === wizard.padIndex ? null : p.id);
+  if (step.kind === 'axis') {
+    // Eje con mayor desplazamiento respecto al reposo, en cualquier mando
+    let best = null;
+    let bestDelta = 0;
+    for (const p of pads) {
+      const base = wizard.baseline.get(p.index);
+      for (let i = 0; i < p.axes.length; i++) {
+        const d = (p.axes[i] ?? 0) - (base.axes[i] ?? 0);
+        if (Math.abs(d) > Math.abs(bestDelta)) {
+          best = { p, i, rest: base.axes[i] ?? 0 };
+          bestDelta = d;
+        }
+      }
+    }
+    if (!best || Math.abs(bestDelta) < DETECT_AXIS_DELTA) return null;
+    const invert = Math.sign(bestDelta) !== step.sign;
+    wizard.result[step.key] = { padId: idFor(best.p), axis: best.i, invert };
+    wizard.release = { kind: 'axis', index: best.p.index, i: best.i, rest: best.rest };
+  } else {
+    let found = null;
+    for (const p of pads) {
+      const base = wizard.baseline.get(p.index);
+      const i = p.buttons.findIndex((b, k) => b.value > DETECT_BUTTON_VALUE && (base.buttons[k] || 0) < DETECT_BUTTON_VALUE);
+      if (i >= 0) {
+        found = { p, i };
+        break;
+      }
+    }
+    if (!found) return null;
+    wizard.result[step.key] = { padId: idFor(found.p), button: found.i };
+    wizard.release = { kind: 'button', index: found.p.index, i: found.i };
+  }
+  wizard.message = describeBinding(wizard.result[step.key]);
+  wizard.phase = 'release';
+  return null;
+}
@@ -8,10 +8,6 @@
  */
 
 import {
-  TRIGGER_BUTTON,
-  AXIS_ROLL,
-  AXIS_PITCH,
-  AXIS_YAW,
   USE_DOMINANT_MOVEMENT,
   ROLL_LOCK_THRESHOLD,
   ROLL_LOCK_FACTOR,
@@ -26,20 +22,38 @@ import {
   MOVERS_MAX_HITS
 } from './config.js';
 import * as state from './state.js';
-import { initCanvas } from './render/canvas.js';
+import { initCanvas, setFixedCanvasSize } from './render/canvas.js';
 import { drawBackground } from './render/background.js';
 import { drawTargets } from './render/drawTargets.js';
+import { drawProjectiles } from './render/projectiles.js';
 import { drawCrosshair } from './render/crosshair.js';
+import { drawIndicators } from './render/indicators.js';
+import { drawHorizon } from './render/horizon.js';
+import { drawMoverDebug } from './render/moverDebug.js';
 import { drawDevHUD } from './render/devHud.js';
-import { buildConfigUI } from './render/uiConfig.js';
+import { drawScoreHUD } from './render/scoreHud.js';
+import { drawWeaponHUD } from './render/weaponHud.js';
+import { drawScenarioOverlay } from './render/scenarioOverlay.js';
+import { buildHistoryView } from './render/historyView.js';
+import { buildConfigUI, updateMappingSection } from './render/uiConfig.js';
+import { showReplayBar, stepReplayFrames, updateReplayBar } from './render/replayBar.js';
 import { getPad } from './input/gamepad.js';
+import { initDeviceEvents, updateDevices } from './input/devices.js';
+import {
+  readInput,
+  updateMappingWizard,
+  isMappingWizardActive,
+  ACTION_KEYS
+} from './input/mapping.js';
 import {
   clamp,
   cleanAxis,
   dominantAxis,
-  applyJCurve
+  applyJCurve,
+  screenToWorld
 } from './utils/math.js';
-import { nowMs } from './utils/time.js';
+import { nowMs, realNowMs, setFrameTime } from './utils/time.js';
+import { setSeed, getSeed } from './utils/rng.js';
 import {
   respawnAllTargets,
   applyUniformRadiusToAll
@@ -49,7 +63,8 @@ import {
   updateMovers,
   respawnMover,
   hitTestMovers,
-  respawnAllMovers
+  respawnAllMovers,
+  alertFlocks
 } from './systems/movers.js';
 import { spawnTargetNearPlayer } from './systems/targets.js';
 import * as flight from './systems/flight.js';
@@ -66,15 +81,73 @@ import {
   splitBallAt,
   flashSplitBall
 } from './systems/splitMode.js';
+import { updateTracking } from './systems/tracking.js';
+import { clearFlick, updateFlick, hitTestFlick } from './systems/flick.js';
+import { clearLockOn, updateLockOn, launchMissile, updateMissiles } from './systems/lockOn.js';
+import {
+  rotateSphereView,
+  getSphereView,
+  setSphereView,
+  clearSphereTargets,
+  ensureSphereTargetsCount,
+  updateSphereTargets,
+  aimDirection,
+  hitTestSphere
+} from './systems/sphere.js';
+import { clearDepthTargets, updateDepthTargets, hitTestDepthTargets } from './systems/depthMode.js';
+import { fireProjectile, updateProjectiles, clearProjectiles } from './systems/projectiles.js';
+import { updateWeapon, spreadOffset } from './systems/weapon.js';
+import { updateGimbal, getGimbal } from './systems/gimbal.js';
+import {
+  resetScore,
+  recordShot,
+  recordMiss,
+  recordHit
+} from './systems/scoring.js';
+import {
+  startScenario,
+  abortScenario,
+  closeResults,
+  updateScenario,
+  getScenarioPhase,
+  isWorldFrozen,
+  isScenarioActive,
+  getLastResults,
+  pauseScenario,
+  resumeScenario
+} from './systems/scenario.js';
+import { saveRun } from './systems/history.js';
+import { resetWorld } from './systems/world.js';
+import { applyDefaultProfile, applyConfigSnapshot, findProfileForConfig } from './systems/profiles.js';
+import {
+  startRecording,
+  recordFrame,
+  recordAction,
+  finishRecording,
+  discardRecording,
+  getOpenReplay,
+  getReplayStatus,
+  setReplayPlaying,
+  replayTargetFrame,
+  getReplayCursor,
+  nextReplayFrame,
+  rewindReplay
+} from './systems/replay.js';
+
+// true mientras la repetición simula muchos frames de golpe (saltos con
+// la barra): los sonidos se omiten
+let silent = false;
 
 // Audio helpers
 function playShot() {
+  if (silent) return;
   try {
     state.shotAudio.currentTime = 0;
     state.shotAudio.play().catch(() => {});
   } catch (_) {}
 }
 function playSuccessWithDelay() {
+  if (silent) return;
   const t = nowMs();
   if (t - state.lastSuccessAt < SUCCESS_COOLDOWN_MS) return;
   state.lastSuccessAt = t;
@@ -94,6 +167,11 @@ function clearClassicEntities() {
 function syncGameMode() {
   if (state.activeGameMode === CFG.gameMode) return;
   state.activeGameMode = CFG.gameMode;
+  // Cada modo tiene su propia sesión de puntuación.  Cambiar de modo
+  // en mitad de un escenario lo cancela.
+  if (isScenarioActive()) abortScenario();
+  resetScore();
+  clearProjectiles();
   if (CFG.gameMode === 'classic') {
     clearMatrixTargets();
     clearSplitBalls();
@@ -109,17 +187,96 @@ function syncGameMode() {
     clearMatrixTargets();
     clearSplitBalls();
     ensureSplitBallsCount();
+  } else if (CFG.gameMode === 'tracking') {
+    clearMatrixTargets();
+    clearSplitBalls();
+    clearClassicEntities();
+    ensureMoversCount();
+  } else if (CFG.gameMode === 'flick') {
+    clearMatrixTargets();
+    clearSplitBalls();
+    clearClassicEntities();
+    clearFlick();
+  } else if (CFG.gameMode === 'lockon') {
+    clearMatrixTargets();
+    clearSplitBalls();
+    clearClassicEntities();
+    ensureMoversCount();
+    clearLockOn();
+  } else if (CFG.gameMode === 'sphere') {
+    clearMatrixTargets();
+    clearSplitBalls();
+    clearClassicEntities();
+    clearSphereTargets();
+    ensureSphereTargetsCount();
+  } else if (CFG.gameMode === 'depth') {
+    clearMatrixTargets();
+    clearSplitBalls();
+    clearClassicEntities();
+    clearDepthTargets();
   }
 }
 
-// Disparo principal: controla la detección de hits en movers y targets
+// Disparo principal: con armas instantáneas el impacto se resuelve en
+// la mira o, con cardán, en su pip (desviados por la dispersión del
+// arma); con proyectiles, cuando el proyectil llega (ver stepFrame).
+// En el modo Esfera 3D el disparo es siempre instantáneo.
 function shoot() {
   const t = nowMs();
   state.crosshairFlashUntil = t + CROSSHAIR_FLASH_MS;
   playShot();
+  recordShot();
+  const off = spreadOffset();
+  if (CFG.gameMode === 'sphere') {
+    resolveSphereShot(aimDirection(off.sx, off.sy));
+    return;
+  }
+  const g = getGimbal();
+  const w = screenToWorld(g.sx + off.sx, g.sy + off.sy, Math.cos(state.rollAngle), Math.sin(state.rollAngle));
+  const x = state.player.x + w.dx;
+  const y = state.player.y + w.dy;
+  if (CFG.weaponProjectiles) {
+    fireProjectile(x, y);
+    return;
+  }
+  resolveShot(x, y);
+}
+
+// Lanza un misil del modo Lock‑on si hay un mover fijado.  Sin blanco
+// fijado el gatillo no hace nada.
+function fireMissile() {
+  if (!launchMissile()) return;
+  state.crosshairFlashUntil = nowMs() + CROSSHAIR_FLASH_MS;
+  playShot();
+  recordShot();
+}
+
+// Resuelve un disparo del modo Esfera 3D en la dirección `dir`
+function resolveSphereShot(dir) {
+  const t = nowMs();
+  const i = hitTestSphere(dir);
+  if (i < 0) {
+    state.missFlashUntil = t + MISS_FLASH_MS;
+    recordMiss();
+    return;
+  }
+  const tg = state.sphere.targets[i];
+  tg.hitStart = t;
+  recordHit('sphere', tg, true);
+  playSuccessWithDelay();
+}
+
+// Resuelve un disparo en el punto de mundo (x, y): controla la
+// detección de hits en movers y targets de todos los modos
+function resolveShot(x, y) {
+  const t = nowMs();
+  // Los disparos cerca de una formación de movers la dispersan
+  alertFlocks(x, y);
   if (CFG.gameMode === 'split') {
-    const si = hitTestSplitBalls();
+    const si = hitTestSplitBalls(x, y);
     if (si >= 0) {
+      // Cada impacto revienta la pelota (sus hijas cuentan como nuevas)
+      recordHit('split', state.splitBalls[si], true);
       flashSplitBall(si);
       splitBallAt(si);
       playSuccessWithDelay();
@@ -127,19 +284,37 @@ function shoot() {
     }
   }
   if (CFG.gameMode === 'matrix') {
-    const hit = hitTestMatrixTargets();
+    const hit = hitTestMatrixTargets(x, y);
+    if (hit) {
+      recordHit('matrix', hit, true);
+      playSuccessWithDelay();
+      return;
+    }
+  }
+  if (CFG.gameMode === 'depth') {
+    const hit = hitTestDepthTargets(x, y);
     if (hit) {
+      recordHit('depth', hit, true);
+      playSuccessWithDelay();
+      return;
+    }
+  }
+  if (CFG.gameMode === 'flick') {
+    const hit = hitTestFlick(x, y);
+    if (hit) {
+      recordHit('flick', hit, true);
       playSuccessWithDelay();
       return;
     }
   }
   if (CFG.gameMode !== 'classic') {
     state.missFlashUntil = t + MISS_FLASH_MS;
+    recordMiss();
     return;
   }
   // Primero comprobamos movers amarillos
   if (CFG.gameMode === 'classic') {
-    const mi = hitTestMovers();
+    const mi = hitTestMovers(x, y);
     if (mi >= 0) {
       const m = state.movers[mi];
       // Marca el tiempo del golpe para dibujar el flash
@@ -161,6 +336,7 @@ function shoot() {
         esc = (CFG.moversHit1Boost || 0) + (CFG.moversHit2Boost || 0);
       }
       m.escapeBoost = esc;
+      recordHit('mover', m, m.hits >= MOVERS_MAX_HITS);
       // Si alcanza el máximo de impactos, gestionamos la vida restante.  Si
       // `CFG.regenOnHit` está activa, respawn normal.  Si está desactivada,
       // marcamos el mover como muerto para que desaparezca hasta que
@@ -191,8 +367,8 @@ function shoot() {
       const tg = state.targets[i];
       if (tg.dead) continue;
       if (tg.hitStart) continue;
-      const dx = tg.x - state.player.x;
-      const dy = tg.y - state.player.y;
+      const dx = tg.x - x;
+      const dy = tg.y - y;
       const d = Math.hypot(dx, dy);
       if (d < tg.r && d < bestD) {
         bestD = d;
@@ -201,21 +377,32 @@ function shoot() {
     }
     if (bestIdx >= 0) {
       state.targets[bestIdx].hitStart = t;
+      recordHit('target', state.targets[bestIdx], true);
       playSuccessWithDelay();
     } else {
       state.missFlashUntil = t + MISS_FLASH_MS;
+      recordMiss();
     }
   }
 }
 
-// Gestión del gatillo del gamepad
-function handleTrigger(pad) {
-  const v = pad.buttons[TRIGGER_BUTTON]?.value || 0;
-  if (v > 0.8 && !state.triggerPressed) {
+// Gestión del gatillo del gamepad.  `v` es el valor (0..1) del botón
+// asignado al disparo; los umbrales son `CFG.triggerOn/triggerOff`.  El
+// arma (systems/weapon.js) decide cuántos disparos salen según su modo
+// y cadencia.  Con `canFire` a false sólo se sigue el estado del
+// gatillo (por ejemplo, durante la cuenta atrás o el asistente de
+// mapeo) para no disparar al reanudar con el gatillo ya pulsado.
+// Devuelve true si el gatillo se acaba de pulsar en este frame.
+function handleTrigger(v, canFire = true) {
+  let pressed = false;
+  if (v > CFG.triggerOn && !state.triggerPressed) {
     state.triggerPressed = true;
-    shoot();
+    pressed = true;
   }
-  if (v < 0.2) state.triggerPressed = false;
+  if (v < Math.min(CFG.triggerOff, CFG.triggerOn)) state.triggerPressed = false;
+  const shots = updateWeapon(canFire && state.triggerPressed, canFire && pressed);
+  for (let i = 0; i < shots; i++) shoot();
+  return pressed;
 }
 
 // Determina si el foco está en un campo de texto o similar
@@ -252,23 +439,46 @@ function resetFaInertia() {
   flight.reset();
 }
 
-// Bucle de actualización lógica
-function update() {
-  const pad = getPad(state.activeIndex);
-  const t = nowMs();
-  let dtN = clamp((t - state.lastFrameMs) / 16.6667, 0.25, 3);
-  state.lastFrameMs = t;
-  let roll = 0;
-  let pitch = 0;
-  let yaw = 0;
-  if (pad) {
-    roll = cleanAxis(-(pad.axes[AXIS_ROLL] ?? 0));
-    pitch = cleanAxis(-(pad.axes[AXIS_PITCH] ?? 0));
-    yaw = cleanAxis((pad.axes[AXIS_YAW] ?? 0));
-  } else {
-    state.triggerPressed = false;
+// Inicia un escenario o reanuda el que está en pausa (tecla Enter)
+function startOrResumeScenario() {
+  if (getScenarioPhase() === 'paused') resumeScenario();
+  else if (!isScenarioActive()) startScenario();
+}
+
+// Acciones que se pueden asignar a botones del mando.  Tienen el mismo
+// efecto que las teclas F, Shift+F, Espacio y Enter.  Se ejecutan con
+// `runAction()` para que la repetición grabe las que alteran la
+// simulación.
+const PAD_ACTIONS = {
+  faToggle: () => setFaOff(!CFG.faOff),
+  faReset: () => resetFaInertia(),
+  respawn: () => {
+    if (!isScenarioActive()) resetWorld();
+  },
+  startRun: () => startOrResumeScenario()
+};
+
+function runAction(key) {
+  recordAction(key);
+  PAD_ACTIONS[key]();
+}
+
+// Botones de acción pulsados en el frame anterior, para actuar sólo al
+// pulsar y no mientras se mantienen
+const actionHeld = {};
+
+// Ejecuta las acciones cuyos botones se acaban de pulsar
+function handleActions(actions, enabled) {
+  for (const key of ACTION_KEYS) {
+    const down = (actions[key] || 0) > 0.5;
+    if (down && !actionHeld[key] && enabled) runAction(key);
+    actionHeld[key] = down;
   }
-  syncGameMode();
+}
+
+// Mueve y rota la mira a partir de los ejes limpios.  Devuelve la
+// velocidad del jugador en este frame.
+function moveCrosshair(roll, pitch, yaw, dtN) {
   if (CFG.useCurve) {
     roll = applyJCurve(roll, CFG.cpX, CFG.vaX);
     pitch = applyJCurve(pitch, CFG.cpY, CFG.vaY);
@@ -283,6 +493,12 @@ function update() {
       if (Math.abs(yaw) < ar * ROLL_LOCK_FACTOR) yaw = 0;
     }
   }
+  if (CFG.gameMode === 'sphere') {
+    // Esfera 3D: los ejes giran la vista a velocidades angulares propias
+    // (sin sensibilidades ni inercia FA‑off) y la mira no se desplaza
+    rotateSphereView(roll, pitch, yaw, dtN);
+    return 0;
+  }
   pitch *= CFG.sensY;
   yaw *= CFG.sensZ;
   // Rotación (roll)
@@ -346,6 +562,12 @@ function update() {
     state.prevPlayerX = state.player.x;
     state.prevPlayerY = state.player.y;
   }
+  return playerSpeed;
+}
+
+// Avanza las entidades del modo actual un frame.  `stick` es la
+// magnitud del stick (el modo Flick la usa para medir la reacción).
+function updateWorld(t, dtN, playerSpeed, stick) {
   if (CFG.gameMode === 'classic') {
     // Actualizar movers con la velocidad del jugador
     updateMovers(dtN, playerSpeed);
@@ -384,11 +606,196 @@ function update() {
   } else if (CFG.gameMode === 'split') {
     ensureSplitBallsCount();
     updateSplitBalls(dtN);
+  } else if (CFG.gameMode === 'tracking') {
+    updateMovers(dtN, playerSpeed);
+  } else if (CFG.gameMode === 'flick') {
+    updateFlick(stick);
+  } else if (CFG.gameMode === 'lockon') {
+    updateMovers(dtN, playerSpeed);
+    updateLockOn();
+    const res = updateMissiles(dtN);
+    if (res.kills > 0) playSuccessWithDelay();
+    if (res.misses > 0) state.missFlashUntil = t + MISS_FLASH_MS;
+  } else if (CFG.gameMode === 'sphere') {
+    updateSphereTargets();
+  } else if (CFG.gameMode === 'depth') {
+    updateDepthTargets(dtN);
+  }
+}
+
+// Simula un frame a partir de su entrada (ver `recordFrame()` en
+// systems/replay.js).  Lo comparten el bucle en vivo y la repetición,
+// así que todo lo que cambie la simulación debe pasar por aquí.
+function stepFrame(f) {
+  const playerSpeed = moveCrosshair(f.roll, f.pitch, f.yaw, f.dtN);
+  if (f.frozen) {
+    handleTrigger(f.fire, false);
+    return;
+  }
+  updateWorld(f.t, f.dtN, playerSpeed, Math.max(Math.abs(f.roll), Math.abs(f.pitch), Math.abs(f.yaw)));
+  for (const p of updateProjectiles()) {
+    if (p.arrived) {
+      resolveShot(p.x, p.y);
+    } else {
+      state.missFlashUntil = f.t + MISS_FLASH_MS;
+      recordMiss();
+    }
+  }
+  if (CFG.gameMode === 'tracking') {
+    // Tracking: no hay disparos sueltos, cuenta el gatillo mantenido
+    handleTrigger(f.fire, false);
+    if (updateTracking(f.dtN, state.triggerPressed && !f.noFire)) playSuccessWithDelay();
+    return;
+  }
+  if (CFG.gameMode === 'lockon') {
+    // Lock‑on: el gatillo no usa el arma, lanza misiles al blanco fijado
+    if (handleTrigger(f.fire, false) && !f.noFire) fireMissile();
+    return;
+  }
+  updateGimbal(f.dtN);
+  handleTrigger(f.fire, !f.noFire);
+}
+
+// Estado de la mira al empezar la partida, para la repetición
+function crosshairSnapshot(t) {
+  return {
+    t,
+    player: { x: state.player.x, y: state.player.y },
+    rollAngle: state.rollAngle,
+    prevPlayerX: state.prevPlayerX,
+    prevPlayerY: state.prevPlayerY,
+    vel: flight.getVel(),
+    view: getSphereView(),
+    triggerPressed: state.triggerPressed
+  };
+}
+
+// Repetición que se está simulando y ajustes en vivo que se restauran al
+// cerrarla
+let activeReplay = null;
+let liveCfg = null;
+
+// Deja el mundo como al comenzar la partida grabada
+function restartReplay(rep) {
+  applyConfigSnapshot(rep.cfg);
+  syncGameMode();
+  // Tamaño de la partida grabada; la ventana no lo cambia hasta cerrarla
+  setFixedCanvasSize(rep.viewport);
+  const s = rep.start;
+  state.player.x = s.player.x;
+  state.player.y = s.player.y;
+  state.rollAngle = s.rollAngle;
+  state.prevPlayerX = s.prevPlayerX;
+  state.prevPlayerY = s.prevPlayerY;
+  state.triggerPressed = !!s.triggerPressed;
+  state.crosshairFlashUntil = 0;
+  flight.setVel(s.vel);
+  if (s.view) setSphereView(s.view);
+  setFrameTime(s.t);
+  setSeed(rep.seed);
+  resetWorld();
+  rewindReplay();
+}
+
+function enterReplay(rep) {
+  if (isScenarioActive()) abortScenario();
+  else if (getScenarioPhase() === 'results') closeResults();
+  liveCfg = JSON.parse(JSON.stringify(CFG));
+  restartReplay(rep);
+  buildConfigUI();
+}
+
+// Vuelve al modo libre con los ajustes que había antes de la repetición
+function leaveReplay() {
+  applyConfigSnapshot(liveCfg);
+  liveCfg = null;
+  setFixedCanvasSize(null);
+  flight.reset();
+  syncGameMode();
+  resetWorld();
+  state.lastFrameMs = realNowMs();
+  buildConfigUI();
+}
+
+// Avanza la repetición abierta.  Si se ha retrocedido, vuelve a simular
+// desde el principio; los saltos largos se simulan sin sonido.
+function updateReplay() {
+  const target = replayTargetFrame(realNowMs());
+  if (target < getReplayCursor()) restartReplay(activeReplay);
+  silent = target - getReplayCursor() > 2;
+  let f;
+  while (getReplayCursor() < target && (f = nextReplayFrame())) {
+    setFrameTime(f.t);
+    state.lastFrameMs = f.t;
+    if (f.actions) f.actions.forEach(a => PAD_ACTIONS[a]());
+    stepFrame(f);
+  }
+  silent = false;
+}
+
+// Bucle de actualización lógica
+function update() {
+  // Repetición: se entra o se sale cuando cambia la repetición abierta
+  const rep = getOpenReplay();
+  if (rep !== activeReplay) {
+    if (activeReplay) leaveReplay();
+    activeReplay = rep;
+    if (rep) enterReplay(rep);
+  }
+  if (activeReplay) {
+    updateReplay();
+    return;
   }
-  // Gestionar el disparo
+  // Mandos: selección automática y pausa si se desconecta el activo
+  if (updateDevices() === 'lost' && isScenarioActive()) pauseScenario('Mando desconectado');
+  const pad = getPad(state.activeIndex);
+  // Todas las llamadas a nowMs() de este frame verán el mismo tiempo
+  const t = setFrameTime(realNowMs());
+  let dtN = clamp((t - state.lastFrameMs) / 16.6667, 0.25, 3);
+  state.lastFrameMs = t;
+  let roll = 0;
+  let pitch = 0;
+  let yaw = 0;
+  // Entrada combinada: cada eje o botón puede venir de un mando distinto
+  const input = readInput(pad);
   if (pad) {
-    handleTrigger(pad);
+    roll = cleanAxis(input.roll);
+    pitch = cleanAxis(input.pitch);
+    yaw = cleanAxis(input.yaw);
+  } else {
+    state.triggerPressed = false;
   }
+  // Asistente de mapeo: detecta ejes y botones a partir de los mandos
+  updateMappingWizard(pad);
+  handleActions(input.actions, !isMappingWizardActive());
+  syncGameMode();
+  // Escenario cronometrado: al terminar la cuenta atrás se reinicia el
+  // mundo para que todas las partidas empiecen igual y se empieza a
+  // grabar.  Al terminar la partida se guarda en el historial junto con
+  // la repetición.  Durante la cuenta atrás y los resultados el mundo
+  // queda congelado.
+  const scenarioEvent = updateScenario();
+  if (scenarioEvent === 'begin') {
+    resetWorld();
+    startRecording({
+      seed: getSeed(),
+      viewport: { w: state.viewport.width, h: state.viewport.height },
+      start: crosshairSnapshot(t)
+    });
+  } else if (scenarioEvent === 'end') {
+    finishRecording(getLastResults());
+    saveRun(getLastResults(), CFG, findProfileForConfig(CFG));
+    if (state.showHistory) buildHistoryView();
+  } else if (!isScenarioActive()) {
+    discardRecording();
+  }
+  const frozen = isWorldFrozen();
+  const frame = { t, dtN, roll, pitch, yaw, fire: input.fire, frozen, noFire: isMappingWizardActive() };
+  const phase = getScenarioPhase();
+  if (phase === 'running' || phase === 'paused') recordFrame(frame);
+  // En pausa, el gatillo reanuda el escenario (sin disparar)
+  if (phase === 'paused' && pad && input.fire > CFG.triggerOn && !state.triggerPressed) resumeScenario();
+  stepFrame(frame);
 }
 
 // Dibuja la escena completa
@@ -399,8 +806,17 @@ function draw() {
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   drawBackground();
   drawTargets();
+  drawMoverDebug();
+  drawProjectiles();
   drawCrosshair();
+  drawHorizon();
+  drawIndicators();
   drawDevHUD();
+  drawScoreHUD();
+  drawWeaponHUD();
+  drawScenarioOverlay();
+  if (state.showConfig) updateMappingSection();
+  if (state.showReplay) updateReplayBar();
 }
 
 // Bucle principal con requestAnimationFrame
@@ -420,10 +836,19 @@ window.addEventListener('DOMContentLoaded', () => {
   const toastEl = document.getElementById('toast');
   const shotAudio = document.getElementById('shot');
   const successAudio = document.getElementById('success');
+  const scoreHudEl = document.getElementById('scoreHud');
+  const scenarioOverlayEl = document.getElementById('scenarioOverlay');
+  const historyPanelEl = document.getElementById('historyPanel');
+  const replayBarEl = document.getElementById('replayBar');
+  const weaponHudEl = document.getElementById('weaponHud');
   // Inicializamos estado DOM
-  state.initDomRefs(canvasEl, ctx, devHudEl, configPanelEl, toastEl, shotAudio, successAudio);
+  state.initDomRefs(canvasEl, ctx, devHudEl, configPanelEl, toastEl, shotAudio, successAudio, scoreHudEl, scenarioOverlayEl, historyPanelEl, replayBarEl, weaponHudEl);
   // Configuramos canvas
   initCanvas('c');
+  // Conexión y desconexión de mandos
+  initDeviceEvents();
+  // Aplicamos el perfil por defecto (si lo hay) antes de construir la UI
+  applyDefaultProfile();
   // Construimos UI de configuración
   buildConfigUI();
   // Ocultamos toast al cabo de un tiempo
@@ -449,27 +874,61 @@ window.addEventListener('DOMContentLoaded', () => {
       e.preventDefault();
       return;
     }
-    if (k === 'f') {
-      if (e.shiftKey) {
-        resetFaInertia();
-      } else {
-        setFaOff(!CFG.faOff);
+    if (k === 'p') {
+      state.showHistory = !state.showHistory;
+      if (state.showHistory) buildHistoryView();
+      if (state.historyPanelEl) state.historyPanelEl.classList.toggle('hidden', !state.showHistory);
+      e.preventDefault();
+      return;
+    }
+    if (k === 'h') {
+      state.showScoreHud = !state.showScoreHud;
+      if (state.scoreHudEl) state.scoreHudEl.classList.toggle('hidden', !state.showScoreHud);
+      e.preventDefault();
+      return;
+    }
+    if (k === 'r') {
+      showReplayBar(!state.showReplay);
+      e.preventDefault();
+      return;
+    }
+    if (state.showReplay) {
+      // Con la barra de repetición abierta el teclado controla la
+      // reproducción y no la partida
+      if (k === ' ' || e.code === 'Space') {
+        const st = getReplayStatus();
+        if (st) setReplayPlaying(!st.playing);
+        e.preventDefault();
+      } else if (k === 'arrowleft' || k === 'arrowright') {
+        stepReplayFrames(k === 'arrowleft' ? -1 : 1);
+        e.preventDefault();
+      } else if (k === 'escape') {
+        showReplayBar(false);
+        e.preventDefault();
       }
+      return;
+    }
+    if (k === 'f') {
+      runAction(e.shiftKey ? 'faReset' : 'faToggle');
       e.preventDefault();
       return;
     }
     if (k === ' ' || e.code === 'Space') {
-      state.missFlashUntil = 0;
-      if (CFG.gameMode === 'classic') {
-        respawnAllTargets();
-        ensureMoversCount();
-        for (let i = 0; i < state.movers.length; i++) respawnMover(state.movers[i]);
-      } else if (CFG.gameMode === 'matrix') {
-        clearMatrixTargets();
-      } else if (CFG.gameMode === 'split') {
-        clearSplitBalls();
-        ensureSplitBallsCount();
-      }
+      // Durante un escenario no se permite respawnear a mano
+      runAction('respawn');
+      e.preventDefault();
+      return;
+    }
+    if (k === 'enter') {
+      // Inicia (o repite) un escenario con el modo actual, o lo reanuda
+      // si está en pausa
+      runAction('startRun');
+      e.preventDefault();
+      return;
+    }
+    if (k === 'escape') {
+      if (isScenarioActive()) abortScenario();
+      else if (getScenarioPhase() === 'results') closeResults();
       e.preventDefault();
       return;
     }
@@ -4,11 +4,56 @@
  * Dibuja el fondo de la escena.  Puede ser negro, gris sólido o una
  * malla cuadriculada que rota con el jugador.  La malla se dibuja
  * extralarge para cubrir toda la pantalla incluso cuando el jugador se
- * desplaza.
+ * desplaza.  En el modo Esfera 3D la malla se sustituye por una esfera
+ * de estrellas fija en el mundo que sirve de referencia al girar.
  */
 
 import { CFG } from '../config.js';
 import * as state from '../state.js';
+import { viewCoords, sphereFocalPx } from '../systems/sphere.js';
+
+// Número de estrellas de la esfera
+const STAR_COUNT = 700;
+
+// Estrellas: dirección unitaria y brillo.  Se generan una sola vez con un
+// generador propio para no consumir números del generador con semilla
+// de la simulación.
+let stars = null;
+
+function buildStars() {
+  let seed = 0x5eed;
+  const rnd = () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 4294967296;
+  };
+  const list = [];
+  for (let i = 0; i < STAR_COUNT; i++) {
+    // Uniforme sobre la esfera
+    const z = rnd() * 2 - 1;
+    const a = rnd() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    list.push({ dir: [r * Math.cos(a), r * Math.sin(a), z], bright: 0.3 + rnd() * 0.7 });
+  }
+  return list;
+}
+
+// Esfera de estrellas proyectada con la vista del modo Esfera 3D
+function drawStarSphere(ctx, canvas) {
+  if (!stars) stars = buildStars();
+  const f = sphereFocalPx();
+  const cx = canvas.width / 2;
+  const cy = canvas.height / 2;
+  for (const st of stars) {
+    const p = viewCoords(st.dir);
+    if (p.z <= 0.01) continue;
+    const sx = cx + (p.x / p.z) * f;
+    const sy = cy + (p.y / p.z) * f;
+    if (sx < 0 || sy < 0 || sx > canvas.width || sy > canvas.height) continue;
+    const size = st.bright > 0.85 ? 2 : 1;
+    ctx.fillStyle = `rgba(255,255,255,${st.bright.toFixed(2)})`;
+    ctx.fillRect(sx, sy, size, size);
+  }
+}
 
 /**
  * Dibuja el fondo completo del canvas.  Según la configuración, puede
@@ -19,6 +64,13 @@ export function drawBackground() {
   const ctx = state.ctx;
   const canvas = state.canvas;
   if (!ctx || !canvas) return;
+  // Esfera 3D: fondo oscuro con estrellas
+  if (CFG.gameMode === 'sphere') {
+    ctx.fillStyle = CFG.blackBg ? '#000' : '#05070d';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawStarSphere(ctx, canvas);
+    return;
+  }
   // Fondo negro simple
   if (CFG.blackBg) {
     ctx.fillStyle = '#000';
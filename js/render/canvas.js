@@ -4,9 +4,17 @@
  * Gestiona la inicialización del canvas y su redimensionado.  El juego
  * utiliza un canvas 2D a pantalla completa.  Este módulo expone una
  * función para inicializar el canvas y ajustar su tamaño cada vez que
- * cambia el tamaño de la ventana.
+ * cambia el tamaño de la ventana.  El tamaño se copia también en
+ * `state.viewport`, que es lo que leen los sistemas de simulación.
+ * Mientras hay un tamaño fijo (la repetición usa el de la partida
+ * grabada) los cambios de tamaño de la ventana se ignoran.
  */
 
+import * as state from '../state.js';
+
+// Tamaño fijado con `setFixedCanvasSize()` o null para seguir a la ventana
+let fixedSize = null;
+
 /**
  * Inicializa el canvas con el id proporcionado.  Ajusta su tamaño a
  * `innerWidth` e `innerHeight` y registra un listener para mantenerlo a
@@ -18,11 +26,37 @@ export function initCanvas(id) {
   const canvas = document.getElementById(id);
   if (!canvas) return null;
   const ctx = canvas.getContext('2d');
-  function resize() {
-    canvas.width = innerWidth;
-    canvas.height = innerHeight;
-  }
+  const resize = () => {
+    if (!fixedSize) resizeCanvas();
+  };
   window.addEventListener('resize', resize);
   resize();
   return { canvas, ctx, resize };
 }
+
+/**
+ * Fija el tamaño del canvas y del área de juego, o con `null` vuelve a
+ * seguir el tamaño de la ventana.  Lo usa la repetición para simular en
+ * el tamaño de la partida grabada aunque cambie la ventana.
+ * @param {{w:number, h:number}|null} size tamaño en píxeles
+ */
+export function setFixedCanvasSize(size) {
+  fixedSize = size ? { w: size.w, h: size.h } : null;
+  if (fixedSize) resizeCanvas(fixedSize.w, fixedSize.h);
+  else resizeCanvas();
+}
+
+/**
+ * Cambia el tamaño del canvas y del área de juego.  Sin argumentos usa
+ * el tamaño de la ventana.
+ * @param {number} [width] ancho en píxeles
+ * @param {number} [height] alto en píxeles
+ */
+export function resizeCanvas(width = innerWidth, height = innerHeight) {
+  const canvas = state.canvas;
+  if (canvas) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  state.setViewport(width, height);
+}
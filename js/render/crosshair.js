@@ -3,12 +3,77 @@
  *
  * Dibuja la mirilla en el centro de la pantalla.  Cuando el jugador
  * dispara, la mirilla hace un pequeño flash y se amplía durante unos
- * milisegundos.  No depende de la rotación ni del estado del mundo.
+ * milisegundos.  En el modo Lock‑on dibuja además el anillo de fijación
+ * con su progreso y un recuadro sobre el mover que se está fijando, y con
+ * el arma con cardán, el cono de asistencia y el pip del cardán.
  */
 
-import { CROSSHAIR_FLASH_MS } from '../config.js';
+import { CROSSHAIR_FLASH_MS, CFG } from '../config.js';
 import * as state from '../state.js';
 import { nowMs } from '../utils/time.js';
+import { lockProgress } from '../systems/lockOn.js';
+import { getGimbal } from '../systems/gimbal.js';
+
+// Anillo de fijación del modo Lock‑on.  Se dibuja alrededor de la mira
+// (centro del canvas ya trasladado): gris mientras no hay blanco,
+// amarillo con el arco de progreso al fijar y rojo una vez fijado.
+function drawLockRing(ctx) {
+  const lk = state.lockOn;
+  const r = Math.max(0, CFG.lockRingPx);
+  const progress = lockProgress();
+  const color = lk.locked ? '#ff4444' : (lk.target ? '#ffd200' : 'rgba(255,255,255,0.35)');
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, Math.PI * 2);
+  ctx.stroke();
+  if (progress > 0) {
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(0, 0, r + 4, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+    ctx.stroke();
+  }
+  const m = lk.target;
+  if (m) {
+    // Recuadro sobre el mover, en coordenadas del mundo rotado
+    ctx.save();
+    ctx.rotate(state.rollAngle);
+    const tx = m.x - state.player.x;
+    const ty = m.y - state.player.y;
+    const s = m.r + 6;
+    ctx.lineWidth = lk.locked ? 2 : 1;
+    ctx.strokeRect(tx - s, ty - s, s * 2, s * 2);
+    ctx.restore();
+  }
+  if (lk.locked) {
+    ctx.fillStyle = color;
+    ctx.font = 'bold 12px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('LOCK', 0, -r - 12);
+  }
+}
+
+// Cono del cardán (discontinuo) y su pip: un rombo que marca hacia dónde
+// saldrán los disparos.  Más intenso cuando hay una entidad en el cono.
+function drawGimbal(ctx) {
+  const g = getGimbal();
+  const color = g.target ? '#00ffcc' : 'rgba(0,255,204,0.4)';
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.arc(0, 0, Math.max(0, CFG.gimbalConePx), 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  const s = 5;
+  ctx.beginPath();
+  ctx.moveTo(g.sx, g.sy - s);
+  ctx.lineTo(g.sx + s, g.sy);
+  ctx.lineTo(g.sx, g.sy + s);
+  ctx.lineTo(g.sx - s, g.sy);
+  ctx.closePath();
+  ctx.stroke();
+}
 
 /**
  * Dibuja la mirilla.  Si `state.crosshairFlashUntil` es mayor que el
@@ -24,6 +89,17 @@ export function drawCrosshair() {
   const cy = canvas.height / 2;
   const flashing = t < state.crosshairFlashUntil;
   const scale = flashing ? 1.35 : 1.0;
+  if (CFG.gameMode === 'lockon') {
+    ctx.save();
+    ctx.translate(cx, cy);
+    drawLockRing(ctx);
+    ctx.restore();
+  } else if (CFG.gimbalEnabled && CFG.gameMode !== 'tracking' && CFG.gameMode !== 'sphere') {
+    ctx.save();
+    ctx.translate(cx, cy);
+    drawGimbal(ctx);
+    ctx.restore();
+  }
   ctx.save();
   ctx.translate(cx, cy);
   ctx.scale(scale, scale);
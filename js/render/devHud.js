@@ -9,8 +9,9 @@
  */
 
 import * as state from '../state.js';
-import { CFG, AXIS_ROLL, AXIS_PITCH, AXIS_YAW, TRIGGER_BUTTON } from '../config.js';
+import { CFG } from '../config.js';
 import { getPad, fmt } from '../input/gamepad.js';
+import { getMapping, describeBinding, ACTION_KEYS, ACTION_LABELS } from '../input/mapping.js';
 import { getVel } from '../systems/flight.js';
 
 /**
@@ -28,7 +29,7 @@ export function drawDevHUD() {
       <div class="h">
         <div class="title">HUD DEV</div><div class="pill">I</div>
       </div>
-      <div class="bad">No hay gamepad activo. Haz click y mueve el stick.</div>
+      <div class="bad">No hay gamepad activo. Haz click y mueve el stick que quieras usar, o elígelo en Config › Mando.</div>
     `;
     return;
   }
@@ -37,6 +38,8 @@ export function drawDevHUD() {
     .map((b, i) => (b.value > 0.05 ? `b${i}=${b.value.toFixed(2)}` : ''))
     .filter(Boolean)
     .join('  ');
+  const map = getMapping(pad.id);
+  const actions = ACTION_KEYS.filter(k => map[k]).map(k => `${ACTION_LABELS[k]}=${describeBinding(map[k])}`).join(', ');
   const vel = getVel();
   const alive = state.targets.filter(tg => !tg.dead).length;
   devHud.innerHTML = `
@@ -47,8 +50,8 @@ export function drawDevHUD() {
     <div class="row">
       <div class="box">
         <div><span class="k">Activo:</span> ${state.activeIndex + 1} - ${pad.id}</div>
-        <div><span class="k">Ejes:</span> roll=a${AXIS_ROLL} (inv), pitch=a${AXIS_PITCH} (inv), yaw=a${AXIS_YAW}</div>
-        <div><span class="k">Disparo:</span> b${TRIGGER_BUTTON}</div>
+        <div><span class="k">Ejes:</span> roll=${describeBinding(map.roll)}, pitch=${describeBinding(map.pitch)}, yaw=${describeBinding(map.yaw)}</div>
+        <div><span class="k">Disparo:</span> ${describeBinding(map.fire)}${actions ? ` | ${actions}` : ''}</div>
         <div><span class="k">FA-off:</span> ${CFG.faOff ? 'ON' : 'OFF'} (F / Shift+F)</div>
         <div><span class="k">Targets:</span> ${alive}/${state.targets.length} | regenOnHit=${CFG.regenOnHit ? 'ON' : 'OFF'} | randomSize=${CFG.randomTargetSize ? 'ON' : 'OFF'}</div>
         <div><span class="k">Movers:</span> ${CFG.moversEnabled ? 'ON' : 'OFF'} | n=${(CFG.moversCount | 0)} | ${CFG.moversPattern} | sp=${CFG.moversSpeed.toFixed(2)} | avoid=${CFG.moversAvoid.toFixed(2)}</div>
@@ -5,11 +5,44 @@
  * amarillos en el canvas.  Aplica la rotación actual para que todo se
  * vea coherente con el ángulo de roll del jugador.  También gestiona
  * animaciones de golpeo y respawn (cambiando alfa y color al acertar).
+ * En el modo Tracking los movers muestran la vida que les queda y en el
+ * modo Lock‑on se dibujan los misiles en vuelo.  Los blancos del modo
+ * Esfera 3D se proyectan en perspectiva y no usan la rotación 2D.  Los
+ * del modo Profundidad se dibujan rellenos sólo dentro de la ventana de
+ * distancia en la que se pueden alcanzar.
  */
 
 import { CFG, HIT_FADE_MS } from '../config.js';
 import * as state from '../state.js';
 import { nowMs } from '../utils/time.js';
+import { trackingHealth, isTracked } from '../systems/tracking.js';
+import { MISSILE_R } from '../systems/lockOn.js';
+import { viewCoords, sphereFocalPx } from '../systems/sphere.js';
+import { isInDepthRange } from '../systems/depthMode.js';
+
+// Blancos del modo Esfera 3D.  El radio en pantalla sale del radio
+// angular y la profundidad; los que quedan detrás no se dibujan.
+function drawSphereTargets(ctx, canvas, t) {
+  const f = sphereFocalPx();
+  const cx = canvas.width / 2;
+  const cy = canvas.height / 2;
+  for (const tg of state.sphere.targets) {
+    const p = viewCoords(tg.dir);
+    if (p.z <= 0.01) continue;
+    let color = '#ffffff';
+    let alpha = 1;
+    if (tg.hitStart) {
+      color = '#22cc66';
+      alpha = 1 - Math.max(0, Math.min(1, (t - tg.hitStart) / HIT_FADE_MS));
+    }
+    ctx.globalAlpha = alpha;
+    ctx.beginPath();
+    ctx.arc(cx + (p.x / p.z) * f, cy + (p.y / p.z) * f, Math.max(1, Math.tan(tg.angR) * f / p.z), 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+}
 
 /**
  * Dibuja todos los blancos y movers en el canvas.  Los blancos
@@ -45,6 +78,14 @@ export function drawTargets() {
       ctx.globalAlpha = 1;
     }
   }
+  // Dibujar el blanco del modo Flick
+  if (CFG.gameMode === 'flick' && state.flick.target) {
+    const tg = state.flick.target;
+    ctx.beginPath();
+    ctx.arc(tg.x - state.player.x, tg.y - state.player.y, tg.r, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+  }
   // Dibujar targets del modo Matrix
   if (CFG.gameMode === 'matrix') {
     for (const tg of state.matrixTargets) {
@@ -66,6 +107,30 @@ export function drawTargets() {
       ctx.globalAlpha = 1;
     }
   }
+  // Dibujar blancos del modo Profundidad, de lejos a cerca para que los
+  // cercanos tapen a los lejanos
+  if (CFG.gameMode === 'depth') {
+    const list = state.depth.targets.slice().sort((a, b) => b.z - a.z);
+    for (const tg of list) {
+      const tx = tg.x - state.player.x;
+      const ty = tg.y - state.player.y;
+      ctx.beginPath();
+      ctx.arc(tx, ty, tg.r, 0, Math.PI * 2);
+      if (tg.hitStart) {
+        ctx.globalAlpha = 1 - Math.max(0, Math.min(1, (t - tg.hitStart) / HIT_FADE_MS));
+        ctx.fillStyle = '#22cc66';
+        ctx.fill();
+        ctx.globalAlpha = 1;
+      } else if (isInDepthRange(tg)) {
+        ctx.fillStyle = '#ff9955';
+        ctx.fill();
+      } else {
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = 'rgba(255,153,85,0.6)';
+        ctx.stroke();
+      }
+    }
+  }
   // Dibujar pelotas del modo Split
   if (CFG.gameMode === 'split') {
     for (const ball of state.splitBalls) {
@@ -106,5 +171,52 @@ export function drawTargets() {
       ctx.fill();
     }
   }
+  // Movers del modo Tracking: el relleno se vacía al perder vida y se
+  // iluminan mientras la mira los sigue
+  if (CFG.gameMode === 'tracking') {
+    for (const m of state.movers) {
+      const tx = m.x - state.player.x;
+      const ty = m.y - state.player.y;
+      const tracked = isTracked(m);
+      ctx.beginPath();
+      ctx.arc(tx, ty, m.r, 0, Math.PI * 2);
+      ctx.fillStyle = tracked ? 'rgba(34,255,136,0.25)' : 'rgba(34,204,102,0.18)';
+      ctx.fill();
+      ctx.beginPath();
+      ctx.arc(tx, ty, m.r * trackingHealth(m), 0, Math.PI * 2);
+      ctx.fillStyle = tracked ? '#22ff88' : '#22cc66';
+      ctx.fill();
+      ctx.beginPath();
+      ctx.arc(tx, ty, m.r, 0, Math.PI * 2);
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = tracked ? '#22ff88' : '#22cc66';
+      ctx.stroke();
+    }
+  }
+  // Movers y misiles del modo Lock‑on
+  if (CFG.gameMode === 'lockon') {
+    for (const m of state.movers) {
+      ctx.beginPath();
+      ctx.arc(m.x - state.player.x, m.y - state.player.y, m.r, 0, Math.PI * 2);
+      ctx.fillStyle = '#22cc66';
+      ctx.fill();
+    }
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = 'rgba(255,136,0,0.6)';
+    ctx.fillStyle = '#ff8800';
+    for (const ms of state.missiles) {
+      const mx = ms.x - state.player.x;
+      const my = ms.y - state.player.y;
+      // Estela corta en sentido contrario al avance
+      ctx.beginPath();
+      ctx.moveTo(mx, my);
+      ctx.lineTo(mx - ms.dirX * 14, my - ms.dirY * 14);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(mx, my, MISSILE_R, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
   ctx.restore();
+  if (CFG.gameMode === 'sphere') drawSphereTargets(ctx, canvas, t);
 }
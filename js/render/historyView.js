@@ -0,0 +1,183 @@
+/*
+ * render/historyView.js
+ *
+ * Vista del historial de escenarios.  Muestra un selector de grupos
+ * (modo + preset de ajustes) y tres gráficas por días: precisión,
+ * puntos y TTK medio.  Se abre y cierra con la tecla `P` y se
+ * reconstruye cada vez que se abre o termina un escenario.
+ */
+
+import * as state from '../state.js';
+import { loadHistory, groupHistory, dailySeries, clearHistory } from '../systems/history.js';
+import { fmtMs, fmtPct } from './scoreHud.js';
+import { MODE_LABELS } from './scenarioOverlay.js';
+
+// Ajustes que se muestran como resumen del preset seleccionado
+const PRESET_SUMMARY_KEYS = ['sensX', 'sensY', 'sensZ', 'useCurve', 'cpX', 'vaX', 'cpY', 'vaY', 'faOff'];
+
+// Grupo seleccionado (se conserva entre reconstrucciones)
+let selectedKey = null;
+
+// Dimensiones de cada gráfica en píxeles
+const CHART_W = 420;
+const CHART_H = 110;
+
+// Escapa nombres de perfil antes de insertarlos en HTML
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Texto corto para identificar un grupo en el selector
+function groupLabel(g) {
+  const n = g.entries.length;
+  const name = g.profile ? `${escapeHtml(g.profile)} ` : '';
+  return `${MODE_LABELS[g.mode] || g.mode} · ${name}#${g.preset} · ${n} partida${n === 1 ? '' : 's'}`;
+}
+
+// Resume los ajustes principales del preset de un grupo
+function presetSummary(cfg) {
+  return PRESET_SUMMARY_KEYS
+    .filter(k => k in cfg)
+    .map(k => `${k}=${typeof cfg[k] === 'number' ? +cfg[k].toFixed(2) : cfg[k]}`)
+    .join(' ');
+}
+
+/**
+ * Dibuja una gráfica de línea sencilla en un canvas.  Los puntos se
+ * reparten uniformemente en X (un punto por día con partidas).
+ * @param {HTMLCanvasElement} canvas lienzo de destino
+ * @param {Array} series resultado de `dailySeries()`
+ * @param {Function} pick extrae el valor a representar de cada día
+ * @param {Function} fmtVal formatea los valores de los ejes
+ * @param {string} color color de la línea
+ */
+function drawChart(canvas, series, pick, fmtVal, color) {
+  const c = canvas.getContext('2d');
+  if (!c) return;
+  const w = canvas.width;
+  const h = canvas.height;
+  c.clearRect(0, 0, w, h);
+  c.font = '11px ui-monospace, monospace';
+  c.fillStyle = '#888';
+  const pts = [];
+  series.forEach((d, i) => {
+    const v = pick(d);
+    if (v != null) pts.push({ i, v });
+  });
+  if (pts.length === 0) {
+    c.fillText('sin datos', 8, h / 2);
+    return;
+  }
+  let min = Math.min(...pts.map(p => p.v));
+  let max = Math.max(...pts.map(p => p.v));
+  if (max - min < 1e-9) {
+    min -= Math.abs(min) * 0.1 + 1e-3;
+    max += Math.abs(max) * 0.1 + 1e-3;
+  }
+  const padL = 64;
+  const padR = 8;
+  const padT = 8;
+  const padB = 18;
+  const n = Math.max(1, series.length - 1);
+  const px = i => padL + (series.length === 1 ? (w - padL - padR) / 2 : (i / n) * (w - padL - padR));
+  const py = v => padT + (1 - (v - min) / (max - min)) * (h - padT - padB);
+  // Ejes
+  c.strokeStyle = 'rgba(255,255,255,.15)';
+  c.beginPath();
+  c.moveTo(padL, padT);
+  c.lineTo(padL, h - padB);
+  c.lineTo(w - padR, h - padB);
+  c.stroke();
+  c.fillText(fmtVal(max), 4, padT + 8);
+  c.fillText(fmtVal(min), 4, h - padB);
+  c.fillText(series[0].day, padL, h - 4);
+  if (series.length > 1) {
+    const last = series[series.length - 1].day;
+    c.fillText(last, w - padR - c.measureText(last).width, h - 4);
+  }
+  // Línea y puntos
+  c.strokeStyle = color;
+  c.fillStyle = color;
+  c.lineWidth = 1.5;
+  c.beginPath();
+  pts.forEach((p, k) => {
+    if (k === 0) c.moveTo(px(p.i), py(p.v));
+    else c.lineTo(px(p.i), py(p.v));
+  });
+  c.stroke();
+  for (const p of pts) {
+    c.beginPath();
+    c.arc(px(p.i), py(p.v), 2.5, 0, Math.PI * 2);
+    c.fill();
+  }
+}
+
+/**
+ * Reconstruye la vista del historial.  Si no hay partidas guardadas
+ * muestra un mensaje explicando cómo generarlas.
+ */
+export function buildHistoryView() {
+  const panel = state.historyPanelEl;
+  if (!panel) return;
+  const groups = groupHistory(loadHistory());
+  if (!groups.some(g => g.key === selectedKey)) selectedKey = groups.length ? groups[0].key : null;
+  const group = groups.find(g => g.key === selectedKey);
+  const header = `
+    <div class="h">
+      <div class="title">HISTORIAL</div>
+      <div class="pill">P</div>
+    </div>
+  `;
+  if (!group) {
+    panel.innerHTML = `${header}<div class="mini">Aún no hay partidas guardadas. Pulsa <span class="k">Enter</span> para jugar un escenario cronometrado.</div>`;
+    return;
+  }
+  const series = dailySeries(group.entries);
+  const recent = group.entries.slice(-5).reverse();
+  panel.innerHTML = `
+    ${header}
+    <div class="controls">
+      <select id="hist_group">
+        ${groups.map(g => `<option value="${g.key}" ${g.key === selectedKey ? 'selected' : ''}>${groupLabel(g)}</option>`).join('')}
+      </select>
+      <div class="mini">${presetSummary(group.entries[group.entries.length - 1].cfg)}</div>
+      <div>
+        <div class="mini"><span class="k">Precisión</span> (media diaria)</div>
+        <canvas id="hist_acc" width="${CHART_W}" height="${CHART_H}"></canvas>
+      </div>
+      <div>
+        <div class="mini"><span class="k">Puntos</span> (media diaria)</div>
+        <canvas id="hist_score" width="${CHART_W}" height="${CHART_H}"></canvas>
+      </div>
+      <div>
+        <div class="mini"><span class="k">TTK medio</span> (media diaria)</div>
+        <canvas id="hist_ttk" width="${CHART_W}" height="${CHART_H}"></canvas>
+      </div>
+      <div class="mini">
+        ${recent.map(e => `<div>${new Date(e.date).toLocaleString()} · ${e.results.score} pts · ${fmtPct(e.results.accuracy)} · ${e.results.killsPerMinute.toFixed(1)} kills/min</div>`).join('')}
+      </div>
+      <div class="check">
+        <button type="button" class="btn" id="hist_clear">Borrar historial</button>
+        <span class="mini">${groups.length} grupo${groups.length === 1 ? '' : 's'}</span>
+      </div>
+    </div>
+  `;
+  drawChart(document.getElementById('hist_acc'), series, d => d.accuracy, v => fmtPct(v), '#66d9ff');
+  drawChart(document.getElementById('hist_score'), series, d => d.score, v => `${Math.round(v)}`, '#ffd200');
+  drawChart(document.getElementById('hist_ttk'), series, d => d.avgTtkMs, v => fmtMs(v), '#22cc66');
+  const sel = document.getElementById('hist_group');
+  if (sel) {
+    sel.addEventListener('change', () => {
+      selectedKey = sel.value;
+      buildHistoryView();
+    });
+  }
+  const clearEl = document.getElementById('hist_clear');
+  if (clearEl) {
+    clearEl.addEventListener('click', () => {
+      if (!window.confirm('¿Borrar todas las partidas guardadas?')) return;
+      clearHistory();
+      buildHistoryView();
+    });
+  }
+}
@@ -0,0 +1,176 @@
+/*
+ * render/horizon.js
+ *
+ * Horizonte artificial del HUD.  Da una referencia de orientación
+ * aunque la malla esté oculta o el fondo sea negro:
+ *   - línea de horizonte que gira con el roll
+ *   - escalera de pitch (estilo `ladder`)
+ *   - escala de roll fija arriba con marcas cada 10° y un puntero que
+ *     gira con el horizonte
+ *   - lectura de roll y de rumbo/desplazamiento
+ * En el mundo plano el horizonte es la línea y = 0 del mundo, los
+ * peldaños marcan el desplazamiento vertical cada LADDER_STEP_PX px y la
+ * lectura muestra la posición de la mira.  En el modo Esfera 3D se usan
+ * ángulos reales: pitch, roll y rumbo respecto al «arriba» del mundo.
+ *
+ * `CFG.horizonStyle` (ladder | minimal) elige si se dibuja la escalera y
+ * `CFG.horizonOpacity` la opacidad de todo el conjunto.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { sphereFocalPx } from '../systems/sphere.js';
+
+const DEG = Math.PI / 180;
+
+// Separación de los peldaños en el mundo plano (px) y en la esfera (°)
+const LADDER_STEP_PX = 100;
+const LADDER_STEP_DEG = 10;
+
+// Hueco central de la línea de horizonte y semiancho de los peldaños
+const HORIZON_GAP = 40;
+const RUNG_HALF = 90;
+
+// Escala de roll: marcas cada ROLL_TICK_DEG hasta ±ROLL_SCALE_DEG
+const ROLL_TICK_DEG = 10;
+const ROLL_SCALE_DEG = 60;
+
+const COLOR = '#00ffcc';
+
+// Ángulo en (‑π, π]
+function wrapAngle(a) {
+  a %= Math.PI * 2;
+  if (a > Math.PI) a -= Math.PI * 2;
+  if (a <= -Math.PI) a += Math.PI * 2;
+  return a;
+}
+
+function signed(v) {
+  return `${v > 0 ? '+' : ''}${v}`;
+}
+
+// Orientación para el HUD: ángulo de roll, desplazamiento del horizonte
+// (px, hacia abajo en el marco girado), peldaños y texto de la lectura
+function attitude() {
+  if (CFG.gameMode === 'sphere') {
+    const v = state.sphere;
+    // «Arriba» del mundo: ‑Y, la dirección de arriba de la pantalla al
+    // empezar
+    const upR = -v.right[1];
+    const upD = -v.down[1];
+    const pitch = Math.asin(Math.max(-1, Math.min(1, -v.forward[1])));
+    const roll = Math.atan2(upR, -upD);
+    const f = sphereFocalPx();
+    const rungs = [];
+    for (let e = -90 + LADDER_STEP_DEG; e < 90; e += LADDER_STEP_DEG) {
+      if (e === 0) continue;
+      const d = pitch - e * DEG;
+      if (Math.abs(d) < 75 * DEG) rungs.push({ offset: f * Math.tan(d), label: signed(e), below: e < 0 });
+    }
+    const heading = (Math.atan2(v.forward[0], v.forward[2]) / DEG + 360) % 360;
+    return {
+      roll,
+      horizon: Math.abs(pitch) < 75 * DEG ? f * Math.tan(pitch) : null,
+      rungs,
+      readout: `RUMBO ${Math.round(heading)}° | PITCH ${signed(Math.round(pitch / DEG))}° | ROLL ${signed(Math.round(-roll / DEG))}°`
+    };
+  }
+  const roll = wrapAngle(state.rollAngle);
+  const canvas = state.canvas;
+  const reach = Math.hypot(canvas.width, canvas.height) / 2;
+  const py = state.player.y;
+  const rungs = [];
+  const k0 = Math.floor((py - reach) / LADDER_STEP_PX);
+  const k1 = Math.ceil((py + reach) / LADDER_STEP_PX);
+  for (let k = k0; k <= k1; k++) {
+    if (k === 0) continue;
+    rungs.push({ offset: k * LADDER_STEP_PX - py, label: signed(-k * LADDER_STEP_PX), below: k > 0 });
+  }
+  return {
+    roll,
+    horizon: -py,
+    rungs,
+    readout: `X ${signed(Math.round(state.player.x))} | Y ${signed(Math.round(-py))} | ROLL ${signed(Math.round(-roll / DEG))}°`
+  };
+}
+
+// Peldaño de la escalera: dos tramos con marcas hacia el horizonte
+// (discontinuos por debajo de él) y el valor en los extremos
+function drawRung(ctx, rung) {
+  const y = rung.offset;
+  const tick = rung.below ? -8 : 8;
+  ctx.setLineDash(rung.below ? [6, 4] : []);
+  ctx.beginPath();
+  ctx.moveTo(-RUNG_HALF, y + tick);
+  ctx.lineTo(-RUNG_HALF, y);
+  ctx.lineTo(-HORIZON_GAP, y);
+  ctx.moveTo(HORIZON_GAP, y);
+  ctx.lineTo(RUNG_HALF, y);
+  ctx.lineTo(RUNG_HALF, y + tick);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillText(rung.label, -RUNG_HALF - 6, y);
+  ctx.textAlign = 'left';
+  ctx.fillText(rung.label, RUNG_HALF + 6, y);
+  ctx.textAlign = 'right';
+}
+
+/**
+ * Dibuja el horizonte artificial si `CFG.horizonEnabled` está activo.
+ * Se llama después de dibujar la mirilla.
+ */
+export function drawHorizon() {
+  const ctx = state.ctx;
+  const canvas = state.canvas;
+  if (!ctx || !canvas || !CFG.horizonEnabled) return;
+  const att = attitude();
+  const cx = canvas.width / 2;
+  const cy = canvas.height / 2;
+  const reach = Math.hypot(canvas.width, canvas.height) / 2;
+  const scaleR = Math.min(canvas.width, canvas.height) * 0.38;
+  ctx.save();
+  ctx.globalAlpha = Math.max(0, Math.min(1, CFG.horizonOpacity));
+  ctx.strokeStyle = COLOR;
+  ctx.fillStyle = COLOR;
+  ctx.lineWidth = 1.5;
+  ctx.font = '11px monospace';
+  ctx.translate(cx, cy);
+  // Escala de roll fija en pantalla
+  for (let d = -ROLL_SCALE_DEG; d <= ROLL_SCALE_DEG; d += ROLL_TICK_DEG) {
+    const a = d * DEG - Math.PI / 2;
+    const len = d % 30 === 0 ? 12 : 6;
+    ctx.beginPath();
+    ctx.moveTo(Math.cos(a) * scaleR, Math.sin(a) * scaleR);
+    ctx.lineTo(Math.cos(a) * (scaleR + len), Math.sin(a) * (scaleR + len));
+    ctx.stroke();
+  }
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(att.readout, 0, -scaleR - 18);
+  // Horizonte, escalera y puntero de roll giran con el mundo
+  ctx.rotate(att.roll);
+  ctx.beginPath();
+  ctx.moveTo(0, -scaleR + 2);
+  ctx.lineTo(-6, -scaleR + 12);
+  ctx.lineTo(6, -scaleR + 12);
+  ctx.closePath();
+  ctx.fill();
+  if (att.horizon !== null && Math.abs(att.horizon) < reach) {
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-reach, att.horizon);
+    ctx.lineTo(-HORIZON_GAP, att.horizon);
+    ctx.moveTo(HORIZON_GAP, att.horizon);
+    ctx.lineTo(reach, att.horizon);
+    ctx.stroke();
+    ctx.lineWidth = 1.5;
+  }
+  if (CFG.horizonStyle === 'ladder') {
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (const rung of att.rungs) {
+      if (Math.abs(rung.offset) < scaleR) drawRung(ctx, rung);
+    }
+  }
+  ctx.restore();
+}
@@ -0,0 +1,155 @@
+/*
+ * render/indicators.js
+ *
+ * Indicadores para encontrar entidades fuera de la vista:
+ *   - flechas en el borde de la pantalla que apuntan a cada entidad que
+ *     ha quedado fuera (`CFG.offscreenArrows`)
+ *   - radar circular abajo a la derecha con las entidades a menos de
+ *     `CFG.radarRangePx` del jugador (`CFG.radarEnabled`)
+ * Ambos usan el sistema de la pantalla (la parte de arriba del radar es
+ * la de arriba de la pantalla), así que giran con `state.rollAngle`.
+ * El rectángulo del radar es la parte del mundo que se ve.  En el modo
+ * Esfera 3D sólo hay flechas: apuntan hacia donde hay que girar, también
+ * para los blancos que quedan detrás.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { worldToScreen } from '../utils/math.js';
+import { viewCoords, sphereFocalPx } from '../systems/sphere.js';
+
+// Separación de las flechas respecto al borde y tamaño (px)
+const ARROW_MARGIN = 22;
+const ARROW_SIZE = 10;
+
+// Radio del radar y separación respecto a la esquina (px)
+const RADAR_R = 70;
+const RADAR_MARGIN = 16;
+
+// Entidades vivas del modo actual, con el color con el que se dibujan
+function indicatorEntities() {
+  const list = [];
+  const add = (items, color) => {
+    for (const e of items) list.push({ x: e.x, y: e.y, r: e.r, color });
+  };
+  if (CFG.gameMode === 'classic') {
+    add(state.targets.filter(tg => !tg.dead && !tg.hitStart), '#ffffff');
+    if (CFG.moversEnabled) add(state.movers.filter(m => !m.dead), '#ffd200');
+  } else if (CFG.gameMode === 'matrix') {
+    add(state.matrixTargets.filter(tg => !tg.dead && !tg.hitStart), '#66d9ff');
+  } else if (CFG.gameMode === 'split') {
+    add(state.splitBalls, '#cc66ff');
+  } else if (CFG.gameMode === 'tracking' || CFG.gameMode === 'lockon') {
+    add(state.movers, '#22cc66');
+  } else if (CFG.gameMode === 'depth') {
+    add(state.depth.targets.filter(tg => !tg.hitStart), '#ff9955');
+  } else if (CFG.gameMode === 'flick' && state.flick.target) {
+    add([state.flick.target], '#ffffff');
+  }
+  return list;
+}
+
+// Posición en pantalla, relativa al centro, de los blancos del modo
+// Esfera 3D.  Los que quedan detrás se llevan muy lejos en la dirección
+// de giro para que cuenten como fuera de pantalla.
+function sphereToScreen() {
+  const f = sphereFocalPx();
+  return state.sphere.targets.filter(tg => !tg.hitStart).map(tg => {
+    const p = viewCoords(tg.dir);
+    const k = p.z > 0.01 ? f / p.z : 1e6;
+    return { sx: p.x * k, sy: p.y * k, r: Math.tan(tg.angR) * f, color: '#ffffff' };
+  });
+}
+
+// Posición en pantalla de cada entidad, relativa al centro
+function toScreen(entities) {
+  const cos = Math.cos(state.rollAngle);
+  const sin = Math.sin(state.rollAngle);
+  return entities.map(e => {
+    const s = worldToScreen(e.x - state.player.x, e.y - state.player.y, cos, sin);
+    return { sx: s.sx, sy: s.sy, r: e.r, color: e.color };
+  });
+}
+
+// Flechas en el borde para las entidades que están enteras fuera de la
+// pantalla.  Cada flecha se coloca donde la línea desde el centro hacia
+// la entidad corta el borde.
+function drawOffscreenArrows(ctx, canvas, points) {
+  const halfW = canvas.width / 2;
+  const halfH = canvas.height / 2;
+  ctx.save();
+  ctx.translate(halfW, halfH);
+  for (const p of points) {
+    const ax = Math.abs(p.sx);
+    const ay = Math.abs(p.sy);
+    if (ax - p.r <= halfW && ay - p.r <= halfH) continue;
+    const k = Math.min(
+      ax > 0 ? (halfW - ARROW_MARGIN) / ax : Infinity,
+      ay > 0 ? (halfH - ARROW_MARGIN) / ay : Infinity
+    );
+    ctx.save();
+    ctx.translate(p.sx * k, p.sy * k);
+    ctx.rotate(Math.atan2(p.sy, p.sx));
+    ctx.beginPath();
+    ctx.moveTo(ARROW_SIZE, 0);
+    ctx.lineTo(-ARROW_SIZE * 0.6, -ARROW_SIZE * 0.7);
+    ctx.lineTo(-ARROW_SIZE * 0.6, ARROW_SIZE * 0.7);
+    ctx.closePath();
+    ctx.globalAlpha = 0.85;
+    ctx.fillStyle = p.color;
+    ctx.fill();
+    ctx.restore();
+  }
+  ctx.restore();
+}
+
+// Radar circular abajo a la derecha
+function drawRadar(ctx, canvas, points) {
+  const range = Math.max(1, CFG.radarRangePx);
+  const k = RADAR_R / range;
+  ctx.save();
+  ctx.translate(canvas.width - RADAR_R - RADAR_MARGIN, canvas.height - RADAR_R - RADAR_MARGIN);
+  ctx.beginPath();
+  ctx.arc(0, 0, RADAR_R, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+  ctx.lineWidth = 1;
+  ctx.stroke();
+  ctx.clip();
+  ctx.beginPath();
+  ctx.arc(0, 0, RADAR_R / 2, 0, Math.PI * 2);
+  ctx.stroke();
+  // Zona visible de la pantalla
+  ctx.strokeStyle = 'rgba(0,255,204,0.5)';
+  ctx.strokeRect(-canvas.width / 2 * k, -canvas.height / 2 * k, canvas.width * k, canvas.height * k);
+  for (const p of points) {
+    if (Math.hypot(p.sx, p.sy) > range) continue;
+    ctx.beginPath();
+    ctx.arc(p.sx * k, p.sy * k, Math.max(2, p.r * k), 0, Math.PI * 2);
+    ctx.fillStyle = p.color;
+    ctx.fill();
+  }
+  // Jugador
+  ctx.fillStyle = '#00ffcc';
+  ctx.fillRect(-1.5, -1.5, 3, 3);
+  ctx.restore();
+}
+
+/**
+ * Dibuja las flechas de entidades fuera de la vista y el radar, según
+ * estén activados en `CFG`.
+ */
+export function drawIndicators() {
+  const ctx = state.ctx;
+  const canvas = state.canvas;
+  if (!ctx || !canvas) return;
+  if (!CFG.offscreenArrows && !CFG.radarEnabled) return;
+  if (CFG.gameMode === 'sphere') {
+    if (CFG.offscreenArrows) drawOffscreenArrows(ctx, canvas, sphereToScreen());
+    return;
+  }
+  const points = toScreen(indicatorEntities());
+  if (CFG.offscreenArrows) drawOffscreenArrows(ctx, canvas, points);
+  if (CFG.radarEnabled) drawRadar(ctx, canvas, points);
+}
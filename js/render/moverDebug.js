@@ -0,0 +1,138 @@
+/*
+ * render/moverDebug.js
+ *
+ * Capa de depuración de los movers (`CFG.moversDebug`).  Dibuja el
+ * estado interno de `systems/movers.js` que no se ve en el juego, para
+ * ajustar a ojo los valores de NOTES.md:
+ *   - el heatmap de anclas (16×9), con cada celda sombreada según su
+ *     calor relativo a la más caliente
+ *   - el ancla actual de cada mover (círculo), su destino (cruz) y el
+ *     tramo que le queda por recorrer
+ *   - la trayectoria prevista del resto del micro‑patrón
+ *   - una etiqueta con rol, episodio, patrón, tamaño y giro del marco
+ * Todo se dibuja en coordenadas de pantalla, igual que las calcula el
+ * sistema de movers.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { worldToScreen } from '../utils/math.js';
+import { getHeatMap, previewMicroPath, MOVER_MODES } from '../systems/movers.js';
+
+// Calor mínimo con el que una celda se dibuja opaca del todo.  Evita
+// que el mapa casi frío se vea saturado al normalizar.
+const HEAT_FLOOR = 5;
+
+const COLOR = '#ffd200';
+
+// Indica si los movers se ven en el modo actual
+function moversVisible() {
+  if (CFG.gameMode === 'classic') return CFG.moversEnabled;
+  return MOVER_MODES.includes(CFG.gameMode);
+}
+
+// Celdas del heatmap sombreadas y rejilla
+function drawHeatMap(ctx) {
+  const hm = getHeatMap();
+  const cellW = (hm.limX * 2) / hm.cols;
+  const cellH = (hm.limY * 2) / hm.rows;
+  let max = HEAT_FLOOR;
+  for (const row of hm.cells) {
+    for (const v of row) max = Math.max(max, v);
+  }
+  for (let r = 0; r < hm.rows; r++) {
+    for (let c = 0; c < hm.cols; c++) {
+      const a = hm.cells[r][c] / max;
+      if (a < 0.01) continue;
+      ctx.fillStyle = `rgba(255,80,0,${(a * 0.35).toFixed(3)})`;
+      ctx.fillRect(-hm.limX + c * cellW, -hm.limY + r * cellH, cellW, cellH);
+    }
+  }
+  ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let c = 0; c <= hm.cols; c++) {
+    ctx.moveTo(-hm.limX + c * cellW, -hm.limY);
+    ctx.lineTo(-hm.limX + c * cellW, hm.limY);
+  }
+  for (let r = 0; r <= hm.rows; r++) {
+    ctx.moveTo(-hm.limX, -hm.limY + r * cellH);
+    ctx.lineTo(hm.limX, -hm.limY + r * cellH);
+  }
+  ctx.stroke();
+}
+
+// Ancla, destino, trayectoria prevista y etiqueta de un mover
+function drawMoverState(ctx, m, pos) {
+  const ax = m.anchorPosSx || 0;
+  const ay = m.anchorPosSy || 0;
+  ctx.strokeStyle = COLOR;
+  ctx.fillStyle = COLOR;
+  ctx.lineWidth = 1;
+  // Tramo del ancla hasta su destino
+  if (m.anchorTargetSx != null && m.anchorTargetSy != null) {
+    const tx = m.anchorTargetSx;
+    const ty = m.anchorTargetSy;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(ax, ay);
+    ctx.lineTo(tx, ty);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(tx - 6, ty - 6);
+    ctx.lineTo(tx + 6, ty + 6);
+    ctx.moveTo(tx + 6, ty - 6);
+    ctx.lineTo(tx - 6, ty + 6);
+    ctx.stroke();
+  }
+  ctx.beginPath();
+  ctx.arc(ax, ay, 5, 0, Math.PI * 2);
+  ctx.stroke();
+  // Unión entre el mover y su ancla
+  ctx.globalAlpha = 0.35;
+  ctx.beginPath();
+  ctx.moveTo(ax, ay);
+  ctx.lineTo(pos.sx, pos.sy);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+  // Resto del micro‑patrón
+  const path = previewMicroPath(m);
+  if (path.length > 1) {
+    ctx.strokeStyle = 'rgba(0,255,204,0.7)';
+    ctx.beginPath();
+    ctx.moveTo(path[0].sx, path[0].sy);
+    for (let i = 1; i < path.length; i++) ctx.lineTo(path[i].sx, path[i].sy);
+    ctx.stroke();
+  }
+  // Etiqueta
+  const frameDeg = m.frameAngle != null ? Math.round(((m.frameAngle * 180 / Math.PI) % 360 + 360) % 360) : 0;
+  const x = pos.sx + m.r + 6;
+  ctx.fillStyle = 'rgba(255,255,255,0.85)';
+  ctx.fillText(`${m.role || '-'} · ${m.episode || '-'}`, x, pos.sy - 7);
+  ctx.fillText(`${m.microPattern || '-'} ${m.microTier || '-'} · ${frameDeg}°`, x, pos.sy + 7);
+}
+
+/**
+ * Dibuja la capa de depuración de los movers si `CFG.moversDebug` está
+ * activo y hay movers en pantalla.
+ */
+export function drawMoverDebug() {
+  const ctx = state.ctx;
+  const canvas = state.canvas;
+  if (!ctx || !canvas || !CFG.moversDebug || !moversVisible()) return;
+  const cos = Math.cos(state.rollAngle);
+  const sin = Math.sin(state.rollAngle);
+  ctx.save();
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  drawHeatMap(ctx);
+  ctx.font = '11px monospace';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  for (const m of state.movers) {
+    if (m.dead) continue;
+    const pos = worldToScreen(m.x - state.player.x, m.y - state.player.y, cos, sin);
+    drawMoverState(ctx, m, pos);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,70 @@
+/*
+ * render/projectiles.js
+ *
+ * Dibuja los proyectiles en vuelo y los pips de adelanto.  Cada
+ * proyectil se dibuja en su punto de impacto y se encoge a medida que
+ * se aleja, de modo que se ve dónde va a llegar.  El pip de adelanto
+ * (un anillo unido a la entidad por una línea) marca dónde hay que
+ * apuntar para alcanzar a un blanco que mantiene su velocidad.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { nowMs } from '../utils/time.js';
+import { leadPoint } from '../systems/projectiles.js';
+
+// Radio en pantalla del proyectil al salir y al llegar
+const SHOT_R_START = 5;
+const SHOT_R_END = 1.5;
+
+// Entidades en movimiento del modo actual
+function movingEntities() {
+  if (CFG.gameMode === 'classic' && CFG.moversEnabled) return state.movers.filter(m => !m.dead);
+  if (CFG.gameMode === 'matrix') return state.matrixTargets.filter(tg => !tg.dead && !tg.hitStart);
+  if (CFG.gameMode === 'split') return state.splitBalls;
+  if (CFG.gameMode === 'depth') return state.depth.targets.filter(tg => !tg.hitStart);
+  return [];
+}
+
+/**
+ * Dibuja los proyectiles y, si `CFG.weaponLeadPip` está activo, los pips
+ * de adelanto.  Sólo dibuja algo con el arma de proyectiles.
+ */
+export function drawProjectiles() {
+  const ctx = state.ctx;
+  const canvas = state.canvas;
+  if (!ctx || !canvas || !CFG.weaponProjectiles) return;
+  const t = nowMs();
+  ctx.save();
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(state.rollAngle);
+  if (CFG.weaponLeadPip) {
+    ctx.strokeStyle = 'rgba(255,210,0,0.8)';
+    ctx.lineWidth = 1;
+    for (const e of movingEntities()) {
+      const p = leadPoint(e);
+      const ex = e.x - state.player.x;
+      const ey = e.y - state.player.y;
+      const px = p.x - state.player.x;
+      const py = p.y - state.player.y;
+      ctx.beginPath();
+      ctx.moveTo(ex, ey);
+      ctx.lineTo(px, py);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(px, py, 5, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+  ctx.fillStyle = '#ffee88';
+  for (const p of state.projectiles) {
+    const k = Number.isFinite(p.arriveAt)
+      ? Math.min(1, (t - p.firedAt) / (p.arriveAt - p.firedAt))
+      : Math.min(1, (t - p.firedAt) / (p.expiresAt - p.firedAt));
+    const r = SHOT_R_START + (SHOT_R_END - SHOT_R_START) * k;
+    ctx.beginPath();
+    ctx.arc(p.x - state.player.x, p.y - state.player.y, r, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
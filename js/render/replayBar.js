@@ -0,0 +1,203 @@
+/*
+ * render/replayBar.js
+ *
+ * Barra de repetición (tecla R).  Muestra los controles de la
+ * repetición abierta: reproducir/pausa, barra de posición, velocidad,
+ * avance frame a frame y exportar/importar.  El HTML se construye al
+ * abrir la barra; en cada frame sólo se actualizan la posición y el
+ * tiempo para no interrumpir el arrastre de la barra.
+ */
+
+import * as state from '../state.js';
+import {
+  getLastReplay,
+  openReplay,
+  closeReplay,
+  getOpenReplay,
+  getReplayStatus,
+  setReplayPlaying,
+  setReplaySpeed,
+  seekReplay,
+  exportReplayJson,
+  importReplayJson,
+  REPLAY_SPEEDS
+} from '../systems/replay.js';
+import { fmtPct } from './scoreHud.js';
+import { MODE_LABELS } from './scenarioOverlay.js';
+
+// Último mensaje (por ejemplo, error al importar)
+let replayStatus = '';
+
+// true mientras se arrastra la barra de posición
+let dragging = false;
+
+// Escapa textos antes de insertarlos en HTML
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function fmtS(ms) {
+  return (ms / 1000).toFixed(2);
+}
+
+/**
+ * Muestra u oculta la barra.  Al mostrarla abre la última repetición
+ * (si la hay); al ocultarla cierra la reproducción y `main.js` vuelve al
+ * modo libre.
+ * @param {boolean} on true para mostrar
+ */
+export function showReplayBar(on) {
+  state.showReplay = !!on;
+  if (state.showReplay) {
+    const rep = getLastReplay();
+    if (rep && !getOpenReplay()) openReplay(rep);
+  } else {
+    closeReplay();
+    replayStatus = '';
+  }
+  if (state.replayBarEl) state.replayBarEl.classList.toggle('hidden', !state.showReplay);
+  buildReplayBar();
+}
+
+/**
+ * Pausa y avanza (o retrocede) la repetición frame a frame.
+ * @param {number} delta número de frames (negativo para retroceder)
+ */
+export function stepReplayFrames(delta) {
+  const st = getReplayStatus();
+  if (!st) return;
+  setReplayPlaying(false);
+  seekReplay(st.frame + delta);
+}
+
+// Resumen de la partida grabada
+function replayInfo(rep) {
+  const mode = MODE_LABELS[rep.cfg.gameMode] || rep.cfg.gameMode;
+  const parts = [mode, `semilla ${rep.seed}`];
+  if (rep.results) parts.push(`${rep.results.score} pts`, fmtPct(rep.results.accuracy));
+  if (rep.date) parts.push(new Date(rep.date).toLocaleString());
+  return parts.map(escapeHtml).join(' · ');
+}
+
+/**
+ * Reconstruye la barra según haya o no una repetición abierta.
+ */
+export function buildReplayBar() {
+  const el = state.replayBarEl;
+  if (!el || !state.showReplay) return;
+  const rep = getOpenReplay();
+  const st = getReplayStatus();
+  const header = `
+    <div class="h">
+      <div class="title">REPETICIÓN</div>
+      <div class="pill">R</div>
+    </div>
+  `;
+  const importHtml = `
+    <button type="button" class="btn" id="rep_import">Importar</button>
+    <input type="file" accept=".json,application/json" id="rep_file" hidden>
+    <button type="button" class="btn" id="rep_close">Cerrar</button>
+  `;
+  const statusHtml = replayStatus ? `<div class="mini bad">${replayStatus}</div>` : '';
+  if (!rep) {
+    el.innerHTML = `
+      ${header}
+      <div class="mini">Aún no hay repetición. Juega un escenario (<span class="k">Enter</span>) o importa un archivo.</div>
+      <div class="check">${importHtml}</div>
+      ${statusHtml}
+    `;
+  } else {
+    el.innerHTML = `
+      ${header}
+      <div class="mini">${replayInfo(rep)}</div>
+      <div class="check">
+        <button type="button" class="btn" id="rep_play">${st.playing ? 'Pausa' : 'Reproducir'}</button>
+        <input type="range" id="rep_seek" min="0" max="${st.frames - 1}" step="1" value="${st.frame}">
+      </div>
+      <div class="mini" id="rep_time"></div>
+      <div class="check">
+        <button type="button" class="btn" id="rep_prev">◀ frame</button>
+        <button type="button" class="btn" id="rep_next">frame ▶</button>
+        <select id="rep_speed">
+          ${REPLAY_SPEEDS.map(s => `<option value="${s}" ${s === st.speed ? 'selected' : ''}>${s}×</option>`).join('')}
+        </select>
+        <button type="button" class="btn" id="rep_export">Exportar</button>
+        ${importHtml}
+      </div>
+      ${statusHtml}
+      <div class="mini"><span class="k">Espacio</span> reproduce/pausa · <span class="k">←/→</span> frame a frame · <span class="k">Esc</span> cierra.</div>
+    `;
+  }
+  bindReplayControls(rep);
+  updateReplayBar();
+}
+
+function bindReplayControls(rep) {
+  const $ = (id) => document.getElementById(id);
+  const onClick = (id, fn) => {
+    const b = $(id);
+    if (b) b.addEventListener('click', fn);
+  };
+  onClick('rep_close', () => showReplayBar(false));
+  const fileEl = $('rep_file');
+  onClick('rep_import', () => {
+    if (fileEl) fileEl.click();
+  });
+  if (fileEl) {
+    fileEl.addEventListener('change', () => {
+      const file = fileEl.files && fileEl.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        openReplay(importReplayJson(text));
+        replayStatus = '';
+        buildReplayBar();
+      }).catch(err => {
+        replayStatus = `No se pudo importar: ${escapeHtml(err.message)}`;
+        buildReplayBar();
+      });
+    });
+  }
+  if (!rep) return;
+  onClick('rep_play', () => {
+    const st = getReplayStatus();
+    if (st) setReplayPlaying(!st.playing);
+  });
+  onClick('rep_prev', () => stepReplayFrames(-1));
+  onClick('rep_next', () => stepReplayFrames(1));
+  onClick('rep_export', () => {
+    const blob = new Blob([exportReplayJson(rep)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `solr-replay-${rep.seed}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  });
+  const seekEl = $('rep_seek');
+  if (seekEl) {
+    seekEl.addEventListener('pointerdown', () => { dragging = true; });
+    seekEl.addEventListener('pointerup', () => { dragging = false; });
+    seekEl.addEventListener('input', () => seekReplay(Number(seekEl.value)));
+  }
+  const speedEl = $('rep_speed');
+  if (speedEl) speedEl.addEventListener('change', () => setReplaySpeed(Number(speedEl.value)));
+}
+
+/**
+ * Actualiza posición, tiempo y botón de reproducción.  Se llama en cada
+ * frame mientras la barra está visible.
+ */
+export function updateReplayBar() {
+  const st = getReplayStatus();
+  if (!st) return;
+  const seekEl = document.getElementById('rep_seek');
+  if (seekEl && !dragging) seekEl.value = String(st.frame);
+  const timeEl = document.getElementById('rep_time');
+  if (timeEl) {
+    timeEl.textContent = `${fmtS(st.timeMs)} / ${fmtS(st.durationMs)} s · frame ${st.frame + 1}/${st.frames} · ${st.speed}×`;
+  }
+  const playEl = document.getElementById('rep_play');
+  const label = st.playing ? 'Pausa' : 'Reproducir';
+  if (playEl && playEl.textContent !== label) playEl.textContent = label;
+}
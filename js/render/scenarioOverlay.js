@@ -0,0 +1,126 @@
+/*
+ * render/scenarioOverlay.js
+ *
+ * Capa HTML del escenario cronometrado.  Según la fase muestra la
+ * cuenta atrás a pantalla completa, el tiempo restante durante la
+ * partida o la pantalla de resultados (puntos, precisión y kills por
+ * minuto).  Igual que los HUD, no dibuja en el canvas sino que
+ * actualiza el contenido del elemento `scenarioOverlayEl`.
+ */
+
+import * as state from '../state.js';
+import {
+  getScenarioPhase,
+  getScenarioRemainingMs,
+  getLastResults,
+  getPauseReason
+} from '../systems/scenario.js';
+import { getPad } from '../input/gamepad.js';
+import { fmtMs, fmtPct } from './scoreHud.js';
+import { dailySeed } from '../utils/rng.js';
+
+// Nombres visibles de los modos de juego
+export const MODE_LABELS = {
+  classic: 'Classic',
+  matrix: 'Matrix',
+  split: 'Split',
+  tracking: 'Tracking',
+  flick: 'Flick',
+  lockon: 'Lock‑on',
+  sphere: 'Esfera 3D',
+  depth: 'Profundidad'
+};
+
+// Intentos del modo Flick que se listan en los resultados
+const FLICK_ATTEMPTS_SHOWN = 10;
+
+// Último HTML escrito, para no reescribir el DOM si nada cambia
+let lastHtml = '';
+
+function render(el, cls, html) {
+  el.className = cls;
+  if (html === lastHtml) return;
+  lastHtml = html;
+  el.innerHTML = html;
+}
+
+// Medias y últimos intentos del modo Flick
+function flickResultsHtml(r) {
+  const shown = r.attempts.slice(-FLICK_ATTEMPTS_SHOWN);
+  const first = r.attempts.length - shown.length;
+  const rows = shown.map((a, i) => `
+    <div class="mini">#${first + i + 1} · ${a.distance} px ${a.angleDeg}° · reacción ${fmtMs(a.reactionMs)} · ${a.completionMs == null ? '<span class="bad">fallado</span>' : `completado ${fmtMs(a.completionMs)}`}</div>
+  `).join('');
+  return `
+    <div><span class="k">Reacción media:</span> ${fmtMs(r.avgReactionMs)} | <span class="k">Completado medio:</span> ${fmtMs(r.avgCompletionMs)}</div>
+    <div><span class="k">Intentos:</span> ${r.attempts.filter(a => a.completionMs != null).length}/${r.attempts.length} acertados</div>
+    ${rows}
+  `;
+}
+
+/**
+ * Devuelve el HTML de la tabla de resultados.  Se exporta para que
+ * otras vistas (por ejemplo, el historial) puedan reutilizarla.
+ * @param {Object} r resultados devueltos por `getLastResults()`
+ */
+export function resultsTableHtml(r) {
+  return `
+    <div><span class="k">Modo:</span> ${MODE_LABELS[r.mode] || r.mode} | ${Math.round(r.durationMs / 1000)} s</div>
+    <div><span class="k">Puntos:</span> ${r.score}</div>
+    ${r.mode === 'tracking'
+      ? `<div><span class="k">Tracking:</span> ${fmtPct(r.accuracy)} (${fmtMs(r.onTargetMs)} de ${fmtMs(r.holdMs)})</div>`
+      : `<div><span class="k">Precisión:</span> ${fmtPct(r.accuracy)} (${r.hits}/${r.shots})</div>`}
+    <div><span class="k">Kills:</span> ${r.kills} | <span class="k">Kills/min:</span> ${r.killsPerMinute.toFixed(1)}</div>
+    <div><span class="k">TTK medio:</span> ${fmtMs(r.avgTtkMs)} | mejor ${fmtMs(r.bestTtkMs)}</div>
+    ${r.mode === 'flick' && r.attempts ? flickResultsHtml(r) : ''}
+    ${r.seed ? `<div><span class="k">Semilla:</span> ${r.seed}${r.seed === dailySeed(new Date(r.date)) ? ' (reto diario)' : ''}</div>` : ''}
+  `;
+}
+
+/**
+ * Actualiza la capa del escenario.  En fase `idle` se oculta.
+ */
+export function drawScenarioOverlay() {
+  const el = state.scenarioOverlayEl;
+  if (!el) return;
+  const phase = getScenarioPhase();
+  if (phase === 'idle') {
+    render(el, 'scenario hidden', '');
+    return;
+  }
+  if (phase === 'countdown') {
+    const s = Math.ceil(getScenarioRemainingMs() / 1000);
+    render(el, 'scenario countdown', `<div class="big">${s > 0 ? s : 'GO'}</div>`);
+    return;
+  }
+  if (phase === 'running') {
+    const s = Math.ceil(getScenarioRemainingMs() / 1000);
+    render(el, 'scenario timer', `<div class="pill">${s} s</div>`);
+    return;
+  }
+  if (phase === 'paused') {
+    const s = Math.ceil(getScenarioRemainingMs() / 1000);
+    const help = getPad(state.activeIndex)
+      ? '<span class="k">Gatillo</span> o <span class="k">Enter</span> para continuar.'
+      : 'Reconecta el mando o elige otro en <span class="k">Config › Mando</span>.';
+    render(el, 'scenario results panel', `
+      <div class="h">
+        <div class="title">PAUSA</div>
+        <div class="pill">${s} s</div>
+      </div>
+      <div class="bad">${getPauseReason()}</div>
+      <div class="mini" style="margin-top:8px">${help} <span class="k">Esc</span> cancela el escenario.</div>
+    `);
+    return;
+  }
+  const r = getLastResults();
+  if (!r) return;
+  render(el, 'scenario results panel', `
+    <div class="h">
+      <div class="title">RESULTADOS</div>
+      <div class="pill">Enter / Esc</div>
+    </div>
+    ${resultsTableHtml(r)}
+    <div class="mini" style="margin-top:8px"><span class="k">Enter</span> repite el escenario. <span class="k">R</span> abre la repetición. <span class="k">Esc</span> vuelve al modo libre.</div>
+  `);
+}
@@ -0,0 +1,97 @@
+/*
+ * render/scoreHud.js
+ *
+ * HUD de puntuación en juego.  A diferencia del HUD de desarrollo
+ * (`devHud.js`), este panel está pensado para el jugador: muestra en
+ * vivo los disparos, la precisión, las eliminaciones y el tiempo hasta
+ * la eliminación (TTK) de la sesión actual; en el modo Tracking, el
+ * tiempo en blanco en lugar de los disparos, y en el modo Flick los
+ * tiempos de reacción y de completado.  Se muestra por defecto y se
+ * alterna con la tecla `H`.
+ */
+
+import * as state from '../state.js';
+import { CFG } from '../config.js';
+import { getScoreSnapshot } from '../systems/scoring.js';
+
+// Etiquetas visibles de cada tipo de entidad
+const KIND_LABELS = {
+  target: 'Targets',
+  mover: 'Movers',
+  matrix: 'Matrix',
+  split: 'Split',
+  flick: 'Flick',
+  sphere: 'Esfera',
+  depth: 'Profundidad'
+};
+
+// Tipos de entidad relevantes para cada modo de juego
+const KINDS_BY_MODE = {
+  classic: ['target', 'mover'],
+  matrix: ['matrix'],
+  split: ['split'],
+  tracking: ['mover'],
+  flick: ['flick'],
+  lockon: ['mover'],
+  sphere: ['sphere'],
+  depth: ['depth']
+};
+
+/**
+ * Formatea un tiempo en milisegundos para el HUD.  Devuelve un guion si
+ * el valor no existe todavía.
+ * @param {number|null} ms tiempo en milisegundos
+ */
+export function fmtMs(ms) {
+  if (ms == null) return '—';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${Math.round(ms)} ms`;
+}
+
+/**
+ * Formatea una proporción 0..1 como porcentaje.
+ * @param {number} v proporción
+ */
+export function fmtPct(v) {
+  return `${(v * 100).toFixed(1)}%`;
+}
+
+// Filas del modo Flick: último intento y medias de la sesión
+function flickRowsHtml(s) {
+  const last = s.attempts[s.attempts.length - 1];
+  return `
+    <div><span class="k">Reacción:</span> ${fmtMs(last ? last.reactionMs : null)} | media ${fmtMs(s.avgReactionMs)}</div>
+    <div><span class="k">Completado:</span> ${fmtMs(last ? last.completionMs : null)} | media ${fmtMs(s.avgCompletionMs)}</div>
+  `;
+}
+
+/**
+ * Actualiza el contenido del HUD de puntuación.  Sólo se muestran las
+ * filas de los tipos de entidad que aparecen en el modo actual.
+ */
+export function drawScoreHUD() {
+  if (!state.showScoreHud) return;
+  const el = state.scoreHudEl;
+  if (!el) return;
+  const s = getScoreSnapshot();
+  const kinds = KINDS_BY_MODE[CFG.gameMode] || [];
+  const rows = kinds.map(k => {
+    const st = s.byKind[k];
+    const esc = (k === 'matrix' || k === 'flick' || k === 'depth') ? ` | escapados ${st.escapes}` : '';
+    return `<div><span class="k">${KIND_LABELS[k]}:</span> ${st.hits} hits | ${st.kills} kills${esc} | TTK ${fmtMs(st.avgTtkMs)}</div>`;
+  }).join('');
+  el.innerHTML = `
+    <div class="h">
+      <div class="title">SCORE</div>
+      <div class="pill">H</div>
+    </div>
+    <div><span class="k">Puntos:</span> ${s.score}</div>
+    ${CFG.gameMode === 'tracking'
+      ? `<div><span class="k">En blanco:</span> ${fmtMs(s.onTargetMs)} de ${fmtMs(s.holdMs)} mantenido</div>
+    <div><span class="k">Tracking:</span> ${fmtPct(s.accuracy)}</div>`
+      : `<div><span class="k">Disparos:</span> ${s.shots} | <span class="ok">${s.hits}</span> / <span class="bad">${s.misses}</span></div>
+    <div><span class="k">Precisión:</span> ${fmtPct(s.accuracy)}</div>`}
+    <div><span class="k">Kills:</span> ${s.kills} | TTK medio ${fmtMs(s.avgTtkMs)} | mejor ${fmtMs(s.bestTtkMs)}</div>
+    ${rows}
+    ${CFG.gameMode === 'flick' ? flickRowsHtml(s) : ''}
+  `;
+}
@@ -8,13 +8,64 @@
  * de los controles con el objeto `CFG`.
  */
 
-import { CFG } from '../config.js';
+import { CFG, MOVERS_MAX } from '../config.js';
 import * as state from '../state.js';
 import { respawnAllTargets, applyUniformRadiusToAll, pickTargetRadius } from '../systems/targets.js';
-import { ensureMoversCount, respawnMover } from '../systems/movers.js';
+import { ensureMoversCount, respawnMover, MOVER_MODES, microPatternNames, invalidCustomPatterns } from '../systems/movers.js';
+import { resetMoverBehavior, exportMoverBehaviorJson, importMoverBehaviorJson, setCustomPatternsJson } from '../systems/moverBehavior.js';
 import { clearMatrixTargets, pickMatrixRadius } from '../systems/matrixMode.js';
 import { clearSplitBalls, ensureSplitBallsCount } from '../systems/splitMode.js';
+import { projectileFlightMs } from '../systems/projectiles.js';
+import { ensureSphereTargetsCount } from '../systems/sphere.js';
+import { WEAPON_PRESETS, applyWeaponPreset, findWeaponPreset, resetWeapon } from '../systems/weapon.js';
 import * as flight from '../systems/flight.js';
+import { startScenario, isScenarioActive, abortScenario } from '../systems/scenario.js';
+import { getPad, getPads } from '../input/gamepad.js';
+import { selectDevice, getDeviceStatus } from '../input/devices.js';
+import {
+  getMapping,
+  setMapping,
+  resetMapping,
+  hasCustomMapping,
+  startMappingWizard,
+  cancelMappingWizard,
+  isMappingWizardActive,
+  getMappingWizardStatus,
+  describeBinding,
+  AXIS_KEYS,
+  ACTION_KEYS,
+  ACTION_LABELS
+} from '../input/mapping.js';
+import { resetWorld } from '../systems/world.js';
+import { parseSeed, dailySeed } from '../utils/rng.js';
+import {
+  listProfiles,
+  saveProfile,
+  loadProfile,
+  renameProfile,
+  deleteProfile,
+  setDefaultProfile,
+  getProfileConfig,
+  exportProfileJson,
+  importProfileJson,
+  cleanProfileName
+} from '../systems/profiles.js';
+
+// Perfil seleccionado en el panel y último mensaje de la sección de
+// perfiles.  Se conservan al reconstruir el panel tras cargar un perfil.
+let selectedProfile = '';
+let profileStatus = '';
+
+// Tabla de `CFG.moverBehavior` que se edita en el panel ('roles.Runner',
+// 'episodes.Explore'…) y último mensaje de la sección
+let selectedBehaviorTable = 'roles.Runner';
+let behaviorStatus = '';
+
+// Escapa texto del usuario (nombres de perfil o de patrón) antes de
+// insertarlo en HTML
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
 
 /**
  * Activa o desactiva el modo FA‑off.  Cuando se desactiva, se llama a
@@ -28,6 +79,467 @@ function setFaOff(on) {
   if (!CFG.faOff) flight.reset();
 }
 
+// Tiempo de vuelo del proyectil con los ajustes actuales
+function weaponFlightText() {
+  const ms = Math.round(projectileFlightMs());
+  return ms <= CFG.weaponLifetimeMs ? `vuelo ${ms} ms` : `no llega (vuelo ${ms} ms)`;
+}
+
+/**
+ * HTML de la sección de perfiles.  La lista se lee de `localStorage`
+ * cada vez que se construye el panel.
+ * @param {Function} id generador de ids del panel
+ */
+function profilesSectionHtml(id) {
+  const profiles = listProfiles();
+  if (!profiles.some(p => p.name === selectedProfile)) selectedProfile = '';
+  const options = profiles.map(p => {
+    const name = escapeHtml(p.name);
+    const sel = p.name === selectedProfile ? 'selected' : '';
+    return `<option value="${name}" ${sel}>${name}${p.isDefault ? ' ★' : ''}</option>`;
+  }).join('');
+  return `
+      <details ${profileStatus ? 'open' : ''}>
+        <summary>Perfiles</summary>
+        <select id="${id('profile')}">
+          <option value="">— ajustes actuales —</option>
+          ${options}
+        </select>
+        <input type="text" id="${id('profileName')}" maxlength="40" placeholder="Nombre del perfil" value="${escapeHtml(selectedProfile)}">
+        <div class="row" style="gap:6px; margin-top:6px">
+          <button type="button" class="btn" id="${id('profileSave')}">Guardar</button>
+          <button type="button" class="btn" id="${id('profileLoad')}">Cargar</button>
+          <button type="button" class="btn" id="${id('profileRename')}">Renombrar</button>
+          <button type="button" class="btn" id="${id('profileDelete')}">Borrar</button>
+          <button type="button" class="btn" id="${id('profileDefault')}">Por defecto</button>
+        </div>
+        <div class="row" style="gap:6px; margin-top:6px">
+          <button type="button" class="btn" id="${id('profileExport')}">Exportar JSON</button>
+          <button type="button" class="btn" id="${id('profileImport')}">Importar JSON</button>
+          <input type="file" accept=".json,application/json" id="${id('profileFile')}" hidden>
+        </div>
+        <div class="mini" id="${id('profileStatus')}">${profileStatus || '★ = se aplica al arrancar'}</div>
+      </details>`;
+}
+
+/**
+ * Aplica el perfil indicado: copia sus ajustes en `CFG`, cancela el
+ * escenario en curso, reinicia el mundo y reconstruye el panel para que
+ * los controles reflejen los nuevos valores.
+ * @param {string} name nombre del perfil
+ */
+function applyProfile(name) {
+  if (!loadProfile(name)) return;
+  if (isScenarioActive()) abortScenario();
+  if (!CFG.faOff) flight.reset();
+  resetWorld();
+  selectedProfile = name;
+  profileStatus = `Perfil «${escapeHtml(name)}» cargado`;
+  buildConfigUI();
+}
+
+/**
+ * Conecta los botones de la sección de perfiles.
+ * @param {Function} id generador de ids del panel
+ */
+function bindProfileControls(id) {
+  const $ = s => document.getElementById(id(s));
+  const selEl = $('profile');
+  const nameEl = $('profileName');
+  const statusEl = $('profileStatus');
+  if (!selEl || !nameEl) return;
+  // Muestra un mensaje y reconstruye el panel para refrescar la lista
+  const done = msg => {
+    profileStatus = msg;
+    buildConfigUI();
+  };
+  const fail = msg => {
+    if (statusEl) statusEl.innerHTML = `<span class="bad">${msg}</span>`;
+  };
+  selEl.addEventListener('change', () => {
+    selectedProfile = selEl.value;
+    nameEl.value = selEl.value;
+  });
+  const onClick = (key, fn) => {
+    const el = $(key);
+    if (el) el.addEventListener('click', () => { fn(); el.blur(); });
+  };
+  onClick('profileSave', () => {
+    const name = cleanProfileName(nameEl.value) || selectedProfile;
+    if (!name) return fail('Escribe un nombre para el perfil');
+    saveProfile(name, CFG);
+    selectedProfile = name;
+    done(`Perfil «${escapeHtml(name)}» guardado`);
+  });
+  onClick('profileLoad', () => {
+    if (!selectedProfile) return fail('Selecciona un perfil');
+    applyProfile(selectedProfile);
+  });
+  onClick('profileRename', () => {
+    if (!selectedProfile) return fail('Selecciona un perfil');
+    const name = cleanProfileName(nameEl.value);
+    if (!renameProfile(selectedProfile, name)) return fail('Nombre vacío o ya en uso');
+    selectedProfile = name;
+    done(`Perfil renombrado a «${escapeHtml(name)}»`);
+  });
+  onClick('profileDelete', () => {
+    if (!selectedProfile) return fail('Selecciona un perfil');
+    if (!window.confirm(`¿Borrar el perfil «${selectedProfile}»?`)) return;
+    deleteProfile(selectedProfile);
+    const name = selectedProfile;
+    selectedProfile = '';
+    done(`Perfil «${escapeHtml(name)}» borrado`);
+  });
+  onClick('profileDefault', () => {
+    if (!selectedProfile) {
+      setDefaultProfile(null);
+      return done('Sin perfil por defecto');
+    }
+    const isDefault = listProfiles().some(p => p.name === selectedProfile && p.isDefault);
+    setDefaultProfile(isDefault ? null : selectedProfile);
+    done(isDefault ? 'Sin perfil por defecto' : `«${escapeHtml(selectedProfile)}» se aplicará al arrancar`);
+  });
+  onClick('profileExport', () => {
+    // Sin perfil seleccionado se exportan los ajustes actuales
+    const name = selectedProfile || 'ajustes';
+    const cfg = selectedProfile ? getProfileConfig(selectedProfile) : CFG;
+    const blob = new Blob([exportProfileJson(name, cfg)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `solr-${name.replace(/[^\w.-]+/g, '_')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  });
+  const fileEl = $('profileFile');
+  onClick('profileImport', () => {
+    if (fileEl) fileEl.click();
+  });
+  if (fileEl) {
+    fileEl.addEventListener('change', () => {
+      const file = fileEl.files && fileEl.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        const name = importProfileJson(text, file.name.replace(/\.json$/i, ''));
+        applyProfile(name);
+      }).catch(err => fail(`No se pudo importar: ${escapeHtml(err.message)}`));
+    });
+  }
+}
+
+// Tabla de `CFG.moverBehavior` en la ruta indicada
+// ('roles.Runner.patternWeights', 'tierScale' o '' para la raíz), o null
+// si ya no existe.  Las rutas sólo usan claves fijas de
+// MOVER_BEHAVIOR_DEFAULTS; los nombres de patrón, que pueden llevar
+// puntos, van aparte como clave de la tabla.
+function behaviorTable(table) {
+  let o = CFG.moverBehavior;
+  for (const k of table ? table.split('.') : []) {
+    o = o !== null && typeof o === 'object' && Object.hasOwn(o, k) ? o[k] : null;
+  }
+  return o !== null && typeof o === 'object' ? o : null;
+}
+
+// Valor de la clave `key` de una tabla de `CFG.moverBehavior`.  Los pesos
+// que faltan en una tabla valen 1, como en systems/movers.js.
+function behaviorValue(table, key) {
+  const t = behaviorTable(table);
+  const v = t && Object.hasOwn(t, key) ? t[key] : undefined;
+  return typeof v === 'number' ? v : 1;
+}
+
+// Número de sliders de la sección, para darles ids únicos sin depender
+// de los nombres de patrón
+let behaviorSliderCount = 0;
+
+// Slider de un valor de `CFG.moverBehavior`
+function behaviorRangeHtml(id, table, key, label, min, max, step, digits) {
+  const elId = `mb_${behaviorSliderCount++}`;
+  const v = behaviorValue(table, key);
+  return `
+        <div class="control">
+          <label for="${id(elId)}"><span class="k">${escapeHtml(label)}</span></label>
+          <div class="val" id="${id(elId + '_val')}">${v.toFixed(digits)}</div>
+          <input type="range" min="${min}" max="${max}" step="${step}" value="${v}" id="${id(elId)}" data-mb="${escapeHtml(table)}" data-mb-key="${escapeHtml(key)}" data-digits="${digits}" style="grid-column:1 / span 2">
+        </div>`;
+}
+
+/**
+ * HTML de la sección "Comportamiento movers": pesos de la tabla de rol
+ * o episodio elegida y valores comunes (escalas y tiempos).
+ * @param {Function} id generador de ids del panel
+ */
+function moverBehaviorSectionHtml(id) {
+  const b = CFG.moverBehavior;
+  const tables = [
+    ...Object.keys(b.roles).map(n => ({ path: `roles.${n}`, label: `Rol: ${n}` })),
+    ...Object.keys(b.episodes).map(n => ({ path: `episodes.${n}`, label: `Episodio: ${n}` }))
+  ];
+  if (!tables.some(t => t.path === selectedBehaviorTable)) selectedBehaviorTable = tables[0].path;
+  const options = tables.map(t => `<option value="${escapeHtml(t.path)}" ${t.path === selectedBehaviorTable ? 'selected' : ''}>${escapeHtml(t.label)}</option>`).join('');
+  const tp = selectedBehaviorTable;
+  const invalid = invalidCustomPatterns();
+  const isEpisode = tp.startsWith('episodes.');
+  behaviorSliderCount = 0;
+  const patterns = microPatternNames().map(n => behaviorRangeHtml(id, `${tp}.patternWeights`, n, n, 0, 4, 0.1, 1)).join('');
+  const tiers = ['S', 'M', 'L'].map(t => behaviorRangeHtml(id, `${tp}.tierWeights`, t, `Tamaño ${t}`, 0, 4, 0.1, 1)).join('');
+  return `
+      <details ${behaviorStatus ? 'open' : ''}>
+        <summary>Comportamiento movers</summary>
+        <select id="${id('mbTable')}">${options}</select>
+        <div class="box">
+          <div class="mini">Sesgo del ancla (+ borde, − centro)${isEpisode ? ' y velocidad del ancla' : ''}</div>
+          ${behaviorRangeHtml(id, tp, 'anchorBias', 'Sesgo ancla', -1, 1.5, 0.05, 2)}
+          ${isEpisode ? behaviorRangeHtml(id, tp, 'macroSpeed', 'Vel. ancla', 0.2, 2.5, 0.05, 2) : ''}
+          <div class="mini">Pesos de patrón (0 = nunca)</div>
+          ${patterns}
+          <div class="mini">Pesos de tamaño</div>
+          ${tiers}
+        </div>
+        <div class="box">
+          <div class="mini">Amplitud por tamaño (figuras / espirales)</div>
+          ${['S', 'M', 'L'].map(t => behaviorRangeHtml(id, 'tierScale', t, `Figura ${t}`, 0.05, 0.9, 0.01, 2)).join('')}
+          ${['S', 'M', 'L'].map(t => behaviorRangeHtml(id, 'spiralScale', t, `Espiral ${t}`, 0.05, 0.95, 0.01, 2)).join('')}
+        </div>
+        <div class="box">
+          <div class="mini">Tiempos (ms) y heatmap</div>
+          ${behaviorRangeHtml(id, '', 'anchorMinMs', 'Ancla mín.', 500, 10000, 100, 0)}
+          ${behaviorRangeHtml(id, '', 'anchorMaxMs', 'Ancla máx.', 500, 10000, 100, 0)}
+          ${behaviorRangeHtml(id, '', 'microMinMs', 'Patrón mín.', 500, 10000, 100, 0)}
+          ${behaviorRangeHtml(id, '', 'microMaxMs', 'Patrón máx.', 500, 10000, 100, 0)}
+          ${behaviorRangeHtml(id, '', 'microBlendMs', 'Mezcla', 0, 2000, 50, 0)}
+          ${behaviorRangeHtml(id, '', 'heatmapDecay', 'Decaimiento heatmap', 0.9, 0.999, 0.001, 3)}
+        </div>
+        <div class="box">
+          <div class="mini">Patrones propios (JSON): lissajous, hypotrochoid, waypoints o path</div>
+          <textarea id="${id('mbPatterns')}" rows="8" spellcheck="false">${escapeHtml(JSON.stringify(b.patterns, null, 2))}</textarea>
+          <button type="button" class="btn" id="${id('mbPatternsApply')}">Aplicar patrones</button>
+          ${invalid.length ? `<div class="mini bad">No válidos: ${invalid.map(escapeHtml).join(', ')}</div>` : ''}
+        </div>
+        <div class="row" style="gap:6px; margin-top:6px">
+          <button type="button" class="btn" id="${id('mbExport')}">Exportar JSON</button>
+          <button type="button" class="btn" id="${id('mbImport')}">Importar JSON</button>
+          <button type="button" class="btn" id="${id('mbReset')}">Por defecto</button>
+          <input type="file" accept=".json,application/json" id="${id('mbFile')}" hidden>
+        </div>
+        <div class="mini" id="${id('mbStatus')}">${behaviorStatus || 'Se guarda con los perfiles'}</div>
+      </details>`;
+}
+
+/**
+ * Conecta los controles de la sección "Comportamiento movers".
+ * @param {Function} id generador de ids del panel
+ */
+function bindMoverBehaviorControls(id) {
+  const $ = s => document.getElementById(id(s));
+  const statusEl = $('mbStatus');
+  // Muestra un mensaje y reconstruye el panel con los nuevos valores
+  const done = msg => {
+    behaviorStatus = msg;
+    buildConfigUI();
+  };
+  const fail = msg => {
+    if (statusEl) statusEl.innerHTML = `<span class="bad">${msg}</span>`;
+  };
+  const tableEl = $('mbTable');
+  if (tableEl) {
+    tableEl.addEventListener('change', () => {
+      selectedBehaviorTable = tableEl.value;
+      done(`Editando ${escapeHtml(tableEl.options[tableEl.selectedIndex].text)}`);
+    });
+  }
+  for (const el of document.querySelectorAll('[data-mb]')) {
+    const table = el.dataset.mb;
+    const key = el.dataset.mbKey;
+    const digits = parseInt(el.dataset.digits, 10) || 0;
+    const valEl = document.getElementById(`${el.id}_val`);
+    el.addEventListener('input', () => {
+      // La tabla se busca en cada cambio: una importación o un perfil
+      // pueden haberla sustituido desde que se construyó el panel
+      const t = behaviorTable(table);
+      if (!t) {
+        done('La tabla ha cambiado; vuelve a ajustar el valor');
+        return;
+      }
+      const v = parseFloat(el.value);
+      // Como propiedad propia, para que un patrón "__proto__" sea un peso más
+      Object.defineProperty(t, key, { value: v, writable: true, enumerable: true, configurable: true });
+      if (valEl) valEl.textContent = v.toFixed(digits);
+    });
+  }
+  const onClick = (key, fn) => {
+    const el = $(key);
+    if (el) el.addEventListener('click', () => { fn(); el.blur(); });
+  };
+  onClick('mbExport', () => {
+    const blob = new Blob([exportMoverBehaviorJson()], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'solr-movers.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  });
+  onClick('mbPatternsApply', () => {
+    const el = $('mbPatterns');
+    if (!el) return;
+    try {
+      const invalid = setCustomPatternsJson(el.value);
+      done(invalid.length ? 'Patrones aplicados con errores' : 'Patrones aplicados');
+    } catch (err) {
+      fail(`JSON no válido: ${escapeHtml(err.message)}`);
+    }
+  });
+  onClick('mbReset', () => {
+    resetMoverBehavior();
+    done('Comportamiento por defecto');
+  });
+  const fileEl = $('mbFile');
+  onClick('mbImport', () => {
+    if (fileEl) fileEl.click();
+  });
+  if (fileEl) {
+    fileEl.addEventListener('change', () => {
+      const file = fileEl.files && fileEl.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        const changed = importMoverBehaviorJson(text);
+        done(changed ? `«${escapeHtml(file.name)}» importado` : 'Sin cambios');
+      }).catch(err => fail(`No se pudo importar: ${escapeHtml(err.message)}`));
+    });
+  }
+}
+
+// Último resumen y lista de mandos escritos en la sección "Mando", para
+// no tocar el DOM en cada frame si nada cambia
+let lastMappingHtml = '';
+let lastDevicesHtml = '';
+
+// Lista de mandos conectados con un botón para elegir el activo
+function devicesHtml() {
+  const pads = getPads();
+  const rows = pads.map(p => {
+    const active = p.index === state.activeIndex;
+    const btn = active
+      ? '<span class="pill">activo</span>'
+      : `<button type="button" class="btn" data-index="${p.index}">Usar</button>`;
+    return `<div class="check"><span class="mini" style="word-break:break-word">#${p.index + 1} ${escapeHtml(p.id)}</span>${btn}</div>`;
+  }).join('');
+  const status = getDeviceStatus();
+  return `${rows || '<div class="mini bad">Ningún mando conectado. Pulsa un botón del mando.</div>'}
+    ${status ? `<div class="mini">${escapeHtml(status)}</div>` : ''}`;
+}
+
+/**
+ * Refresca la sección "Mando": mando activo, asignaciones, casillas de
+ * inversión y mensajes del asistente de detección.  Se llama en cada
+ * frame mientras el panel está visible, porque el mando puede
+ * conectarse o el asistente avanzar sin que se reconstruya el panel.
+ */
+export function updateMappingSection() {
+  const summaryEl = document.getElementById('cfg_mapSummary');
+  if (!summaryEl) return;
+  const devicesEl = document.getElementById('cfg_devices');
+  const devHtml = devicesHtml();
+  if (devicesEl && devHtml !== lastDevicesHtml) {
+    lastDevicesHtml = devHtml;
+    devicesEl.innerHTML = devHtml;
+  }
+  const pad = getPad(state.activeIndex);
+  const wizardOn = isMappingWizardActive();
+  let html;
+  if (!pad) {
+    html = '<div class="bad">No hay gamepad activo</div>';
+  } else {
+    const map = getMapping(pad.id);
+    const b = key => escapeHtml(describeBinding(map[key]));
+    html = `
+      <div class="mini" style="word-break:break-word">${escapeHtml(pad.id)}${hasCustomMapping(pad.id) ? '' : ' · mapeo por defecto'}</div>
+      <div style="word-break:break-word"><span class="k">Roll:</span> ${b('roll')} | <span class="k">Pitch:</span> ${b('pitch')} | <span class="k">Yaw:</span> ${b('yaw')} | <span class="k">Disparo:</span> ${b('fire')}</div>`;
+    for (const key of ACTION_KEYS) {
+      const el = document.getElementById(`cfg_mapAction_${key}`);
+      if (el) el.textContent = describeBinding(map[key]);
+    }
+    for (const key of AXIS_KEYS) {
+      const el = document.getElementById(`cfg_mapInv_${key}`);
+      if (el) el.checked = map[key].invert;
+    }
+  }
+  const status = getMappingWizardStatus();
+  html += `<div class="mini">${wizardOn ? `<span class="k">${status}</span>` : status}</div>`;
+  if (html === lastMappingHtml && summaryEl.innerHTML) return;
+  lastMappingHtml = html;
+  summaryEl.innerHTML = html;
+  const detectEl = document.getElementById('cfg_mapDetect');
+  if (detectEl) detectEl.textContent = wizardOn ? 'Cancelar' : 'Detectar mapeo';
+}
+
+/**
+ * Conecta los controles de la sección "Mando".
+ * @param {Function} id generador de ids del panel
+ */
+function bindMappingControls(id) {
+  // Los botones "Usar" se regeneran al cambiar la lista: delegamos
+  const devicesEl = document.getElementById(id('devices'));
+  if (devicesEl) {
+    devicesEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-index]');
+      if (!btn) return;
+      selectDevice(parseInt(btn.dataset.index, 10));
+    });
+  }
+  for (const key of AXIS_KEYS) {
+    const el = document.getElementById(id(`mapInv_${key}`));
+    if (!el) continue;
+    el.addEventListener('change', () => {
+      const pad = getPad(state.activeIndex);
+      if (!pad) return;
+      const map = getMapping(pad.id);
+      setMapping(pad.id, { ...map, [key]: { ...map[key], invert: !!el.checked } });
+    });
+  }
+  const detectEl = document.getElementById(id('mapDetect'));
+  if (detectEl) {
+    detectEl.addEventListener('click', () => {
+      if (isMappingWizardActive()) cancelMappingWizard();
+      else startMappingWizard(getPad(state.activeIndex));
+      detectEl.blur();
+    });
+  }
+  // Asignar o quitar el botón de cada acción
+  for (const key of ACTION_KEYS) {
+    const learnEl = document.getElementById(id(`mapLearn_${key}`));
+    if (learnEl) {
+      learnEl.addEventListener('click', () => {
+        if (isMappingWizardActive()) cancelMappingWizard();
+        startMappingWizard(getPad(state.activeIndex), [key]);
+        learnEl.blur();
+      });
+    }
+    const clearEl = document.getElementById(id(`mapClear_${key}`));
+    if (clearEl) {
+      clearEl.addEventListener('click', () => {
+        const pad = getPad(state.activeIndex);
+        if (pad) setMapping(pad.id, { ...getMapping(pad.id), [key]: null });
+        clearEl.blur();
+      });
+    }
+  }
+  const resetEl = document.getElementById(id('mapReset'));
+  if (resetEl) {
+    resetEl.addEventListener('click', () => {
+      const pad = getPad(state.activeIndex);
+      if (pad) resetMapping(pad.id);
+      resetEl.blur();
+    });
+  }
+  lastMappingHtml = '';
+  lastDevicesHtml = '';
+  updateMappingSection();
+}
+
 /**
  * Construye el HTML del panel de configuración y añade listeners a los
  * controles.  Se recomienda llamar a esta función una vez, después de
@@ -46,6 +558,7 @@ export function buildConfigUI() {
       <div class="pill">C</div>
     </div>
     <div class="controls">
+      ${profilesSectionHtml(id)}
       <details open>
         <summary>Modo de juego</summary>
         <div class="control">
@@ -55,6 +568,11 @@ export function buildConfigUI() {
             <option value="classic">Classic</option>
             <option value="matrix">Matrix</option>
             <option value="split">Split</option>
+            <option value="tracking">Tracking</option>
+            <option value="flick">Flick</option>
+            <option value="lockon">Lock‑on</option>
+            <option value="sphere">Esfera 3D</option>
+            <option value="depth">Profundidad</option>
           </select>
         </div>
         <div class="box">
@@ -85,6 +603,167 @@ export function buildConfigUI() {
             <span class="mini">si OFF: uniforme</span>
           </div>
         </div>
+        <div class="box">
+          <div class="mini"><span class="k">Tracking</span> (mantén el gatillo sobre los movers)</div>
+          <div class="control">
+            <label for="${id('trackingKillMs')}"><span class="k">Vida</span> (ms en blanco)</label>
+            <div class="val" id="${id('trackingKillMs_val')}">${CFG.trackingKillMs} ms</div>
+            <input type="range" min="200" max="5000" step="100" value="${CFG.trackingKillMs}" id="${id('trackingKillMs')}" style="grid-column:1 / span 2">
+          </div>
+        </div>
+        <div class="box">
+          <div class="mini"><span class="k">Flick</span> (reacción: un blanco tras una espera)</div>
+          <div class="control">
+            <label for="${id('flickDelayMinMs')}"><span class="k">Espera mín.</span></label>
+            <div class="val" id="${id('flickDelayMinMs_val')}">${CFG.flickDelayMinMs} ms</div>
+            <input type="range" min="0" max="5000" step="50" value="${CFG.flickDelayMinMs}" id="${id('flickDelayMinMs')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('flickDelayMaxMs')}"><span class="k">Espera máx.</span></label>
+            <div class="val" id="${id('flickDelayMaxMs_val')}">${CFG.flickDelayMaxMs} ms</div>
+            <input type="range" min="0" max="5000" step="50" value="${CFG.flickDelayMaxMs}" id="${id('flickDelayMaxMs')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('flickDistMin')}"><span class="k">Distancia mín.</span></label>
+            <div class="val" id="${id('flickDistMin_val')}">${CFG.flickDistMin} px</div>
+            <input type="range" min="0" max="800" step="10" value="${CFG.flickDistMin}" id="${id('flickDistMin')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('flickDistMax')}"><span class="k">Distancia máx.</span></label>
+            <div class="val" id="${id('flickDistMax_val')}">${CFG.flickDistMax} px</div>
+            <input type="range" min="0" max="800" step="10" value="${CFG.flickDistMax}" id="${id('flickDistMax')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('flickDirections')}"><span class="k">Direcciones</span></label>
+            <div class="val" id="${id('flickDirections_val')}">${CFG.flickDirections}</div>
+            <select id="${id('flickDirections')}" style="grid-column:1 / span 2">
+              <option value="all">Todas</option>
+              <option value="horizontal">Horizontal</option>
+              <option value="vertical">Vertical</option>
+              <option value="cardinal">Cruz (4)</option>
+              <option value="diagonal">Diagonales (4)</option>
+            </select>
+          </div>
+          <div class="control">
+            <label for="${id('flickSpreadDeg')}"><span class="k">Desviación</span></label>
+            <div class="val" id="${id('flickSpreadDeg_val')}">${CFG.flickSpreadDeg}°</div>
+            <input type="range" min="0" max="45" step="1" value="${CFG.flickSpreadDeg}" id="${id('flickSpreadDeg')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('flickTimeoutMs')}"><span class="k">Tiempo límite</span></label>
+            <div class="val" id="${id('flickTimeoutMs_val')}">${CFG.flickTimeoutMs} ms</div>
+            <input type="range" min="500" max="10000" step="100" value="${CFG.flickTimeoutMs}" id="${id('flickTimeoutMs')}" style="grid-column:1 / span 2">
+          </div>
+        </div>
+        <div class="box">
+          <div class="mini"><span class="k">Lock‑on</span> (fija un mover y lanza misiles)</div>
+          <div class="control">
+            <label for="${id('lockRingPx')}"><span class="k">Anillo</span> (radio)</label>
+            <div class="val" id="${id('lockRingPx_val')}">${CFG.lockRingPx} px</div>
+            <input type="range" min="20" max="300" step="5" value="${CFG.lockRingPx}" id="${id('lockRingPx')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('lockTimeMs')}"><span class="k">Tiempo de fijación</span></label>
+            <div class="val" id="${id('lockTimeMs_val')}">${CFG.lockTimeMs} ms</div>
+            <input type="range" min="100" max="5000" step="100" value="${CFG.lockTimeMs}" id="${id('lockTimeMs')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('missileSpeed')}"><span class="k">Velocidad misil</span></label>
+            <div class="val" id="${id('missileSpeed_val')}">${CFG.missileSpeed} px/s</div>
+            <input type="range" min="200" max="3000" step="50" value="${CFG.missileSpeed}" id="${id('missileSpeed')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('missileLifetimeMs')}"><span class="k">Vida misil</span></label>
+            <div class="val" id="${id('missileLifetimeMs_val')}">${CFG.missileLifetimeMs} ms</div>
+            <input type="range" min="500" max="8000" step="100" value="${CFG.missileLifetimeMs}" id="${id('missileLifetimeMs')}" style="grid-column:1 / span 2">
+          </div>
+        </div>
+        <div class="box">
+          <div class="mini"><span class="k">Esfera 3D</span> (la vista gira; velocidades a fondo de stick)</div>
+          <div class="control">
+            <label for="${id('sphereFovDeg')}"><span class="k">Campo de visión</span></label>
+            <div class="val" id="${id('sphereFovDeg_val')}">${CFG.sphereFovDeg}°</div>
+            <input type="range" min="40" max="140" step="5" value="${CFG.sphereFovDeg}" id="${id('sphereFovDeg')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('sphereYawRate')}"><span class="k">Yaw</span></label>
+            <div class="val" id="${id('sphereYawRate_val')}">${CFG.sphereYawRate} °/s</div>
+            <input type="range" min="10" max="360" step="5" value="${CFG.sphereYawRate}" id="${id('sphereYawRate')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('spherePitchRate')}"><span class="k">Pitch</span></label>
+            <div class="val" id="${id('spherePitchRate_val')}">${CFG.spherePitchRate} °/s</div>
+            <input type="range" min="10" max="360" step="5" value="${CFG.spherePitchRate}" id="${id('spherePitchRate')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('sphereRollRate')}"><span class="k">Roll</span></label>
+            <div class="val" id="${id('sphereRollRate_val')}">${CFG.sphereRollRate} °/s</div>
+            <input type="range" min="10" max="720" step="10" value="${CFG.sphereRollRate}" id="${id('sphereRollRate')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('sphereTargetCount')}"><span class="k">Blancos</span></label>
+            <div class="val" id="${id('sphereTargetCount_val')}">${CFG.sphereTargetCount}</div>
+            <input type="range" min="1" max="10" step="1" value="${CFG.sphereTargetCount}" id="${id('sphereTargetCount')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('sphereTargetDeg')}"><span class="k">Tamaño</span></label>
+            <div class="val" id="${id('sphereTargetDeg_val')}">${CFG.sphereTargetDeg}°</div>
+            <input type="range" min="0.5" max="10" step="0.5" value="${CFG.sphereTargetDeg}" id="${id('sphereTargetDeg')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('sphereSpawnMinDeg')}"><span class="k">Aparición mín.</span></label>
+            <div class="val" id="${id('sphereSpawnMinDeg_val')}">${CFG.sphereSpawnMinDeg}°</div>
+            <input type="range" min="0" max="180" step="5" value="${CFG.sphereSpawnMinDeg}" id="${id('sphereSpawnMinDeg')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('sphereSpawnMaxDeg')}"><span class="k">Aparición máx.</span></label>
+            <div class="val" id="${id('sphereSpawnMaxDeg_val')}">${CFG.sphereSpawnMaxDeg}°</div>
+            <input type="range" min="0" max="180" step="5" value="${CFG.sphereSpawnMaxDeg}" id="${id('sphereSpawnMaxDeg')}" style="grid-column:1 / span 2">
+          </div>
+        </div>
+        <div class="box">
+          <div class="mini"><span class="k">Profundidad</span> (pasadas de frente; tamaños a la distancia de referencia)</div>
+          <div class="control">
+            <label for="${id('depthSpawnMs')}"><span class="k">Frecuencia</span></label>
+            <div class="val" id="${id('depthSpawnMs_val')}">${CFG.depthSpawnMs} ms</div>
+            <input type="range" min="200" max="5000" step="50" value="${CFG.depthSpawnMs}" id="${id('depthSpawnMs')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('depthSpawnDist')}"><span class="k">Aparición</span></label>
+            <div class="val" id="${id('depthSpawnDist_val')}">${CFG.depthSpawnDist} m</div>
+            <input type="range" min="200" max="4000" step="50" value="${CFG.depthSpawnDist}" id="${id('depthSpawnDist')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('depthSpeed')}"><span class="k">Velocidad</span></label>
+            <div class="val" id="${id('depthSpeed_val')}">${CFG.depthSpeed} m/s</div>
+            <input type="range" min="50" max="1500" step="10" value="${CFG.depthSpeed}" id="${id('depthSpeed')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('depthTargetR')}"><span class="k">Tamaño</span></label>
+            <div class="val" id="${id('depthTargetR_val')}">${CFG.depthTargetR} px</div>
+            <input type="range" min="4" max="60" step="1" value="${CFG.depthTargetR}" id="${id('depthTargetR')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('depthSpreadPx')}"><span class="k">Dispersión</span></label>
+            <div class="val" id="${id('depthSpreadPx_val')}">${CFG.depthSpreadPx} px</div>
+            <input type="range" min="0" max="600" step="10" value="${CFG.depthSpreadPx}" id="${id('depthSpreadPx')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('depthPassPx')}"><span class="k">Paso lateral</span></label>
+            <div class="val" id="${id('depthPassPx_val')}">${CFG.depthPassPx} px</div>
+            <input type="range" min="0" max="300" step="5" value="${CFG.depthPassPx}" id="${id('depthPassPx')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('depthRangeMin')}"><span class="k">Alcance mín.</span></label>
+            <div class="val" id="${id('depthRangeMin_val')}">${CFG.depthRangeMin} m</div>
+            <input type="range" min="20" max="2000" step="10" value="${CFG.depthRangeMin}" id="${id('depthRangeMin')}" style="grid-column:1 / span 2">
+          </div>
+          <div class="control">
+            <label for="${id('depthRangeMax')}"><span class="k">Alcance máx.</span></label>
+            <div class="val" id="${id('depthRangeMax_val')}">${CFG.depthRangeMax} m</div>
+            <input type="range" min="20" max="4000" step="10" value="${CFG.depthRangeMax}" id="${id('depthRangeMax')}" style="grid-column:1 / span 2">
+          </div>
+        </div>
         <div class="box">
           <div class="mini"><span class="k">Split</span> (pelotas que se dividen)</div>
           <div class="control">
@@ -99,6 +778,56 @@ export function buildConfigUI() {
           </div>
         </div>
       </details>
+      <details>
+        <summary>Escenario</summary>
+        <div class="control">
+          <label for="${id('scenarioCountdownS')}"><span class="k">Cuenta atrás</span></label>
+          <div class="val" id="${id('scenarioCountdownS_val')}">${CFG.scenarioCountdownS} s</div>
+          <input type="range" min="0" max="10" step="1" value="${CFG.scenarioCountdownS}" id="${id('scenarioCountdownS')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('scenarioDurationS')}"><span class="k">Duración</span></label>
+          <div class="val" id="${id('scenarioDurationS_val')}">${CFG.scenarioDurationS} s</div>
+          <input type="range" min="10" max="300" step="5" value="${CFG.scenarioDurationS}" id="${id('scenarioDurationS')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('scenarioSeed')}"><span class="k">Semilla</span></label>
+          <div class="val">
+            <button type="button" class="btn" id="${id('seedDaily')}">Diaria</button>
+            <button type="button" class="btn" id="${id('seedRandom')}">Aleatoria</button>
+          </div>
+          <input type="text" id="${id('scenarioSeed')}" placeholder="vacía = aleatoria en cada partida" value="${CFG.scenarioSeed || ''}" style="grid-column:1 / span 2">
+        </div>
+        <div class="check">
+          <button type="button" class="btn" id="${id('scenarioStart')}">Iniciar escenario</button>
+          <span class="mini">Enter inicia · Esc cancela</span>
+        </div>
+      </details>
+      <details>
+        <summary>Mando</summary>
+        <div class="mini"><span class="k">Mandos conectados</span> (se elige solo el que se mueve si no hay activo)</div>
+        <div id="${id('devices')}"></div>
+        <div id="${id('mapSummary')}"></div>
+        <div class="row" style="grid-template-columns: repeat(3, minmax(0, 1fr)); gap:8px;">
+          ${AXIS_KEYS.map(k => `<label class="mini"><input type="checkbox" id="${id(`mapInv_${k}`)}"> Invertir ${k}</label>`).join('')}
+        </div>
+        <div class="check">
+          <button type="button" class="btn" id="${id('mapDetect')}">Detectar mapeo</button>
+          <button type="button" class="btn" id="${id('mapReset')}">Restablecer</button>
+        </div>
+        <div class="box">
+          <div class="mini"><span class="k">Acciones</span> (botón de cualquier mando)</div>
+          ${ACTION_KEYS.map(k => `
+          <div class="check">
+            <span class="mini">${ACTION_LABELS[k]}: <span id="${id(`mapAction_${k}`)}">—</span></span>
+            <span>
+              <button type="button" class="btn" id="${id(`mapLearn_${k}`)}">Asignar</button>
+              <button type="button" class="btn" id="${id(`mapClear_${k}`)}">Quitar</button>
+            </span>
+          </div>`).join('')}
+        </div>
+        <div class="mini">El mapeo se guarda para cada mando activo (por su nombre).  Los ejes y botones pueden venir de otros mandos conectados: stick, throttle y pedales se combinan.</div>
+      </details>
       <details open>
         <summary>Sensibilidades</summary>
         <div class="control">
@@ -187,6 +916,36 @@ export function buildConfigUI() {
           <label><input type="checkbox" id="${id('blackBg')}" ${CFG.blackBg ? 'checked' : ''}> Fondo <span class="k">negro</span> total</label>
           <span class="mini">sin textura</span>
         </div>
+        <div class="check">
+          <label><input type="checkbox" id="${id('offscreenArrows')}" ${CFG.offscreenArrows ? 'checked' : ''}> <span class="k">Flechas</span> fuera de pantalla</label>
+          <span class="mini">en el borde</span>
+        </div>
+        <div class="check">
+          <label><input type="checkbox" id="${id('radarEnabled')}" ${CFG.radarEnabled ? 'checked' : ''}> <span class="k">Radar</span></label>
+          <span class="mini">abajo a la derecha</span>
+        </div>
+        <div class="control">
+          <label for="${id('radarRangePx')}"><span class="k">Alcance</span> del radar</label>
+          <div class="val" id="${id('radarRangePx_val')}">${CFG.radarRangePx} px</div>
+          <input type="range" min="300" max="5000" step="100" value="${CFG.radarRangePx}" id="${id('radarRangePx')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="check">
+          <label><input type="checkbox" id="${id('horizonEnabled')}" ${CFG.horizonEnabled ? 'checked' : ''}> <span class="k">Horizonte</span> artificial</label>
+          <span class="mini">roll y orientación</span>
+        </div>
+        <div class="control">
+          <label for="${id('horizonStyle')}"><span class="k">Estilo</span> del horizonte</label>
+          <div class="val" id="${id('horizonStyle_val')}">${CFG.horizonStyle}</div>
+          <select id="${id('horizonStyle')}" style="grid-column:1 / span 2">
+            <option value="ladder">Con escalera de pitch</option>
+            <option value="minimal">Mínimo (horizonte y roll)</option>
+          </select>
+        </div>
+        <div class="control">
+          <label for="${id('horizonOpacity')}"><span class="k">Opacidad</span> del horizonte</label>
+          <div class="val" id="${id('horizonOpacity_val')}">${Math.round(CFG.horizonOpacity * 100)}%</div>
+          <input type="range" min="0.1" max="1" step="0.05" value="${CFG.horizonOpacity}" id="${id('horizonOpacity')}" style="grid-column:1 / span 2">
+        </div>
       </details>
       <details>
         <summary>FA‑off (inercia)</summary>
@@ -210,6 +969,122 @@ export function buildConfigUI() {
           <input type="range" min="0.00" max="3.00" step="0.01" value="${CFG.faAccZ}" id="${id('faAccZ')}" style="grid-column:1 / span 2">
         </div>
       </details>
+      <details>
+        <summary>Arma</summary>
+        <div class="control">
+          <label for="${id('weaponPreset')}"><span class="k">Perfil</span> de arma</label>
+          <div class="val"></div>
+          <select id="${id('weaponPreset')}" style="grid-column:1 / span 2">
+            ${Object.entries(WEAPON_PRESETS).map(([k, p]) => `<option value="${k}">${p.label}</option>`).join('')}
+            <option value="">Personalizada</option>
+          </select>
+        </div>
+        <div class="control">
+          <label for="${id('weaponFireMode')}"><span class="k">Disparo</span></label>
+          <div class="val" id="${id('weaponFireMode_val')}">${CFG.weaponFireMode}</div>
+          <select id="${id('weaponFireMode')}" style="grid-column:1 / span 2">
+            <option value="semi">Semiautomático (uno por pulsación)</option>
+            <option value="burst">Ráfaga por pulsación</option>
+            <option value="auto">Automático (mantener)</option>
+          </select>
+        </div>
+        <div class="control">
+          <label for="${id('weaponRpm')}"><span class="k">Cadencia</span></label>
+          <div class="val" id="${id('weaponRpm_val')}">${CFG.weaponRpm} rpm</div>
+          <input type="range" min="30" max="1800" step="10" value="${CFG.weaponRpm}" id="${id('weaponRpm')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponBurst')}"><span class="k">Ráfaga</span> (disparos)</label>
+          <div class="val" id="${id('weaponBurst_val')}">${CFG.weaponBurst}</div>
+          <input type="range" min="1" max="10" step="1" value="${CFG.weaponBurst}" id="${id('weaponBurst')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponLimit')}"><span class="k">Límite</span></label>
+          <div class="val" id="${id('weaponLimit_val')}">${CFG.weaponLimit}</div>
+          <select id="${id('weaponLimit')}" style="grid-column:1 / span 2">
+            <option value="none">Sin límite</option>
+            <option value="heat">Calor</option>
+            <option value="ammo">Cargador</option>
+          </select>
+        </div>
+        <div class="control">
+          <label for="${id('weaponHeatPerShot')}"><span class="k">Calor</span> por disparo</label>
+          <div class="val" id="${id('weaponHeatPerShot_val')}">${Math.round(CFG.weaponHeatPerShot * 100)}%</div>
+          <input type="range" min="0" max="0.5" step="0.01" value="${CFG.weaponHeatPerShot}" id="${id('weaponHeatPerShot')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponCoolPerS')}"><span class="k">Enfriado</span> por segundo</label>
+          <div class="val" id="${id('weaponCoolPerS_val')}">${Math.round(CFG.weaponCoolPerS * 100)}%/s</div>
+          <input type="range" min="0" max="2" step="0.05" value="${CFG.weaponCoolPerS}" id="${id('weaponCoolPerS')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponOverheatMs')}"><span class="k">Sobrecalentada</span></label>
+          <div class="val" id="${id('weaponOverheatMs_val')}">${CFG.weaponOverheatMs} ms</div>
+          <input type="range" min="0" max="8000" step="100" value="${CFG.weaponOverheatMs}" id="${id('weaponOverheatMs')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponMagazine')}"><span class="k">Cargador</span> (balas)</label>
+          <div class="val" id="${id('weaponMagazine_val')}">${CFG.weaponMagazine}</div>
+          <input type="range" min="1" max="200" step="1" value="${CFG.weaponMagazine}" id="${id('weaponMagazine')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponReloadMs')}"><span class="k">Recarga</span></label>
+          <div class="val" id="${id('weaponReloadMs_val')}">${CFG.weaponReloadMs} ms</div>
+          <input type="range" min="0" max="8000" step="100" value="${CFG.weaponReloadMs}" id="${id('weaponReloadMs')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponSpreadPx')}"><span class="k">Dispersión</span> (radio del cono)</label>
+          <div class="val" id="${id('weaponSpreadPx_val')}">${CFG.weaponSpreadPx} px</div>
+          <input type="range" min="0" max="60" step="1" value="${CFG.weaponSpreadPx}" id="${id('weaponSpreadPx')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="check">
+          <label><input type="checkbox" id="${id('gimbalEnabled')}" ${CFG.gimbalEnabled ? 'checked' : ''}> <span class="k">Cardán</span> (gimbal)</label>
+          <span class="mini">apunta solo dentro del cono</span>
+        </div>
+        <div class="control">
+          <label for="${id('gimbalConePx')}"><span class="k">Cono</span> del cardán (radio)</label>
+          <div class="val" id="${id('gimbalConePx_val')}">${CFG.gimbalConePx} px</div>
+          <input type="range" min="5" max="250" step="5" value="${CFG.gimbalConePx}" id="${id('gimbalConePx')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('gimbalLagMs')}"><span class="k">Retraso</span> del cardán</label>
+          <div class="val" id="${id('gimbalLagMs_val')}">${CFG.gimbalLagMs} ms</div>
+          <input type="range" min="0" max="1000" step="10" value="${CFG.gimbalLagMs}" id="${id('gimbalLagMs')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('triggerOn')}"><span class="k">Gatillo</span> pulsado desde</label>
+          <div class="val" id="${id('triggerOn_val')}">${CFG.triggerOn.toFixed(2)}</div>
+          <input type="range" min="0.05" max="1" step="0.05" value="${CFG.triggerOn}" id="${id('triggerOn')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('triggerOff')}"><span class="k">Gatillo</span> suelto bajo</label>
+          <div class="val" id="${id('triggerOff_val')}">${CFG.triggerOff.toFixed(2)}</div>
+          <input type="range" min="0" max="0.95" step="0.05" value="${CFG.triggerOff}" id="${id('triggerOff')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="check">
+          <label><input type="checkbox" id="${id('weaponProjectiles')}" ${CFG.weaponProjectiles ? 'checked' : ''}> <span class="k">Proyectiles</span></label>
+          <span class="mini" id="${id('weaponFlight')}">${weaponFlightText()}</span>
+        </div>
+        <div class="control">
+          <label for="${id('weaponMuzzleSpeed')}"><span class="k">Velocidad</span> (m/s)</label>
+          <div class="val" id="${id('weaponMuzzleSpeed_val')}">${CFG.weaponMuzzleSpeed} m/s</div>
+          <input type="range" min="200" max="5000" step="50" value="${CFG.weaponMuzzleSpeed}" id="${id('weaponMuzzleSpeed')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponTargetDist')}"><span class="k">Distancia</span> a los blancos</label>
+          <div class="val" id="${id('weaponTargetDist_val')}">${CFG.weaponTargetDist} m</div>
+          <input type="range" min="50" max="2000" step="10" value="${CFG.weaponTargetDist}" id="${id('weaponTargetDist')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="control">
+          <label for="${id('weaponLifetimeMs')}"><span class="k">Vida</span> del proyectil</label>
+          <div class="val" id="${id('weaponLifetimeMs_val')}">${CFG.weaponLifetimeMs} ms</div>
+          <input type="range" min="100" max="5000" step="50" value="${CFG.weaponLifetimeMs}" id="${id('weaponLifetimeMs')}" style="grid-column:1 / span 2">
+        </div>
+        <div class="check">
+          <label><input type="checkbox" id="${id('weaponLeadPip')}" ${CFG.weaponLeadPip ? 'checked' : ''}> Pip de <span class="k">adelanto</span></label>
+          <span class="mini">blancos en movimiento</span>
+        </div>
+      </details>
       <details open>
         <summary>Movers</summary>
         <div class="check">
@@ -219,7 +1094,7 @@ export function buildConfigUI() {
         <div class="control">
           <label for="${id('moversCount')}"><span class="k">Cantidad</span></label>
           <div class="val" id="${id('moversCount_val')}">${CFG.moversCount}</div>
-          <input type="range" min="0" max="5" step="1" value="${CFG.moversCount}" id="${id('moversCount')}" style="grid-column:1 / span 2">
+          <input type="range" min="0" max="${MOVERS_MAX}" step="1" value="${CFG.moversCount}" id="${id('moversCount')}" style="grid-column:1 / span 2">
         </div>
         <div class="control">
           <label for="${id('moversR')}"><span class="k">Tamaño</span></label>
@@ -230,6 +1105,15 @@ export function buildConfigUI() {
           <label><input type="checkbox" id="${id('moversFlee')}" ${CFG.moversFlee ? 'checked' : ''}> <span class="k">Huir del jugador</span></label>
           <span class="mini">reacciona a la velocidad</span>
         </div>
+        <div class="check">
+          <label><input type="checkbox" id="${id('moversFlock')}" ${CFG.moversFlock ? 'checked' : ''}> <span class="k">Formaciones</span></label>
+          <span class="mini">líder y cuña; se dispersan</span>
+        </div>
+        <div class="control">
+          <label for="${id('moversFlockSize')}"><span class="k">Tamaño de grupo</span></label>
+          <div class="val" id="${id('moversFlockSize_val')}">${CFG.moversFlockSize | 0}</div>
+          <input type="range" min="2" max="8" step="1" value="${CFG.moversFlockSize}" id="${id('moversFlockSize')}" style="grid-column:1 / span 2">
+        </div>
         <div class="control">
           <label for="${id('moversSpeed')}"><span class="k">Velocidad</span></label>
           <div class="val" id="${id('moversSpeed_val')}">${CFG.moversSpeed.toFixed(2)}</div>
@@ -263,10 +1147,21 @@ export function buildConfigUI() {
           -->
           <input type="range" min="0.00" max="7.00" step="0.05" value="${CFG.moversHit2Boost}" id="${id('moversHit2Boost')}" style="grid-column:1 / span 2">
         </div>
+        <div class="check">
+          <label><input type="checkbox" id="${id('moversDebug')}" ${CFG.moversDebug ? 'checked' : ''}> <span class="k">Depuración</span></label>
+          <span class="mini">anclas, heatmap y patrón</span>
+        </div>
       </details>
+      ${moverBehaviorSectionHtml(id)}
       <div class="mini">Cierra con <span class="k">C</span>. <span class="k">Espacio</span> respawnea targets.</div>
     </div>
   `;
+  bindProfileControls(id);
+  bindMoverBehaviorControls(id);
+  bindMappingControls(id);
+  // El mensaje de estado sólo se muestra en la reconstrucción siguiente
+  profileStatus = '';
+  behaviorStatus = '';
   // Helper para range inputs.  Actualiza CFG y la etiqueta de valor
   const bindRange = (key, fmtVal, after) => {
     const el = document.getElementById(id(key));
@@ -278,6 +1173,18 @@ export function buildConfigUI() {
       if (after) after();
     });
   };
+  // Selectores con valor de texto
+  const bindSelect = (key, after) => {
+    const el = document.getElementById(id(key));
+    const valEl = document.getElementById(id(key + '_val'));
+    if (!el) return;
+    el.value = CFG[key];
+    el.addEventListener('change', () => {
+      CFG[key] = el.value;
+      if (valEl) valEl.textContent = CFG[key];
+      if (after) after();
+    });
+  };
   bindRange('sensX', v => v.toFixed(2));
   bindRange('sensY', v => v.toFixed(2));
   bindRange('sensZ', v => v.toFixed(2));
@@ -302,6 +1209,103 @@ export function buildConfigUI() {
     }
   });
   bindRange('splitBallSpeed', v => v.toFixed(2));
+  bindRange('trackingKillMs', v => `${Math.round(v)} ms`);
+  bindRange('lockRingPx', v => `${Math.round(v)} px`);
+  bindRange('lockTimeMs', v => `${Math.round(v)} ms`);
+  bindRange('missileSpeed', v => `${Math.round(v)} px/s`);
+  bindRange('missileLifetimeMs', v => `${Math.round(v)} ms`);
+  bindRange('sphereFovDeg', v => `${Math.round(v)}°`);
+  bindRange('sphereYawRate', v => `${Math.round(v)} °/s`);
+  bindRange('spherePitchRate', v => `${Math.round(v)} °/s`);
+  bindRange('sphereRollRate', v => `${Math.round(v)} °/s`);
+  bindRange('sphereTargetCount', v => `${v | 0}`, () => {
+    CFG.sphereTargetCount = (CFG.sphereTargetCount | 0);
+    if (CFG.gameMode === 'sphere') ensureSphereTargetsCount();
+  });
+  bindRange('sphereTargetDeg', v => `${v.toFixed(1)}°`);
+  bindRange('sphereSpawnMinDeg', v => `${Math.round(v)}°`);
+  bindRange('sphereSpawnMaxDeg', v => `${Math.round(v)}°`);
+  bindRange('depthSpawnMs', v => `${Math.round(v)} ms`);
+  bindRange('depthSpawnDist', v => `${Math.round(v)} m`);
+  bindRange('depthSpeed', v => `${Math.round(v)} m/s`);
+  bindRange('depthTargetR', v => `${Math.round(v)} px`);
+  bindRange('depthSpreadPx', v => `${Math.round(v)} px`);
+  bindRange('depthPassPx', v => `${Math.round(v)} px`);
+  bindRange('depthRangeMin', v => `${Math.round(v)} m`);
+  bindRange('depthRangeMax', v => `${Math.round(v)} m`);
+  const updateWeaponFlight = () => {
+    const el = document.getElementById(id('weaponFlight'));
+    if (el) el.textContent = weaponFlightText();
+  };
+  bindRange('weaponMuzzleSpeed', v => `${Math.round(v)} m/s`, updateWeaponFlight);
+  bindRange('weaponTargetDist', v => `${Math.round(v)} m`, updateWeaponFlight);
+  bindRange('weaponLifetimeMs', v => `${Math.round(v)} ms`, updateWeaponFlight);
+  // Perfil de arma: al elegir uno se copian sus ajustes y se reconstruye
+  // el panel; al tocar un ajuste el selector pasa a «Personalizada»
+  const weaponPresetEl = document.getElementById(id('weaponPreset'));
+  const syncWeaponPreset = () => {
+    if (weaponPresetEl) weaponPresetEl.value = findWeaponPreset();
+  };
+  if (weaponPresetEl) {
+    syncWeaponPreset();
+    weaponPresetEl.addEventListener('change', () => {
+      if (applyWeaponPreset(weaponPresetEl.value)) buildConfigUI();
+    });
+  }
+  bindSelect('weaponFireMode', syncWeaponPreset);
+  // Los ajustes de calor y cargador reinician el arma para que el calor,
+  // las balas y los bloqueos en curso no sigan con los valores anteriores
+  const resetWeaponLimit = () => {
+    resetWeapon();
+    syncWeaponPreset();
+  };
+  bindSelect('weaponLimit', resetWeaponLimit);
+  bindRange('weaponRpm', v => `${Math.round(v)} rpm`, syncWeaponPreset);
+  bindRange('weaponBurst', v => `${v | 0}`, () => {
+    CFG.weaponBurst = CFG.weaponBurst | 0;
+    syncWeaponPreset();
+  });
+  bindRange('weaponHeatPerShot', v => `${Math.round(v * 100)}%`, resetWeaponLimit);
+  bindRange('weaponCoolPerS', v => `${Math.round(v * 100)}%/s`, resetWeaponLimit);
+  bindRange('weaponOverheatMs', v => `${Math.round(v)} ms`, resetWeaponLimit);
+  bindRange('weaponMagazine', v => `${v | 0}`, () => {
+    CFG.weaponMagazine = CFG.weaponMagazine | 0;
+    resetWeaponLimit();
+  });
+  bindRange('weaponReloadMs', v => `${Math.round(v)} ms`, resetWeaponLimit);
+  bindRange('weaponSpreadPx', v => `${Math.round(v)} px`, syncWeaponPreset);
+  bindRange('triggerOn', v => v.toFixed(2));
+  bindRange('triggerOff', v => v.toFixed(2));
+  bindRange('gimbalConePx', v => `${Math.round(v)} px`);
+  bindRange('gimbalLagMs', v => `${Math.round(v)} ms`);
+  bindRange('flickDelayMinMs', v => `${Math.round(v)} ms`);
+  bindRange('flickDelayMaxMs', v => `${Math.round(v)} ms`);
+  bindRange('flickDistMin', v => `${Math.round(v)} px`);
+  bindRange('flickDistMax', v => `${Math.round(v)} px`);
+  bindRange('flickSpreadDeg', v => `${Math.round(v)}°`);
+  bindRange('flickTimeoutMs', v => `${Math.round(v)} ms`);
+  bindSelect('flickDirections');
+  bindRange('scenarioCountdownS', v => `${v | 0} s`);
+  bindRange('scenarioDurationS', v => `${v | 0} s`);
+  // Semilla: número o texto (se convierte con un hash).  Vacía = 0
+  const seedEl = document.getElementById(id('scenarioSeed'));
+  const setSeedCfg = v => {
+    CFG.scenarioSeed = v;
+    if (seedEl) seedEl.value = v ? String(v) : '';
+  };
+  if (seedEl) seedEl.addEventListener('change', () => setSeedCfg(parseSeed(seedEl.value)));
+  const seedDailyEl = document.getElementById(id('seedDaily'));
+  if (seedDailyEl) seedDailyEl.addEventListener('click', () => setSeedCfg(dailySeed()));
+  const seedRandomEl = document.getElementById(id('seedRandom'));
+  if (seedRandomEl) seedRandomEl.addEventListener('click', () => setSeedCfg(0));
+  const startEl = document.getElementById(id('scenarioStart'));
+  if (startEl) {
+    startEl.addEventListener('click', () => {
+      if (!isScenarioActive()) startScenario();
+      // Quitamos el foco para que Enter/Espacio no vuelvan a pulsarlo
+      startEl.blur();
+    });
+  }
   bindRange('targetR', v => `${v.toFixed(0)} px`, () => {
     if (!CFG.randomTargetSize) applyUniformRadiusToAll();
   });
@@ -314,7 +1318,7 @@ export function buildConfigUI() {
   });
   bindRange('moversCount', v => `${v | 0}`, () => {
     CFG.moversCount = (CFG.moversCount | 0);
-    if (CFG.gameMode !== 'classic') return;
+    if (CFG.gameMode !== 'classic' && !MOVER_MODES.includes(CFG.gameMode)) return;
     ensureMoversCount();
     // Al cambiar la cantidad de movers, reposicionamos los existentes
     for (let i = 0; i < state.movers.length; i++) respawnMover(state.movers[i]);
@@ -322,7 +1326,7 @@ export function buildConfigUI() {
   // Tamaño de movers: actualiza CFG y reposiciona todos los movers
   bindRange('moversR', v => `${Math.round(v)} px`, () => {
     CFG.moversR = Math.round(CFG.moversR);
-    if (CFG.gameMode !== 'classic') return;
+    if (CFG.gameMode !== 'classic' && !MOVER_MODES.includes(CFG.gameMode)) return;
     // Ajustamos el radio de todos los movers actuales.  Para evitar
     // solapamiento con los bordes, los respawneamos.
     for (let i = 0; i < state.movers.length; i++) {
@@ -363,6 +1367,12 @@ export function buildConfigUI() {
   bindCheck('applyCurveToX');
   bindCheck('showGrid');
   bindCheck('blackBg');
+  bindCheck('offscreenArrows');
+  bindCheck('radarEnabled');
+  bindRange('radarRangePx', v => `${Math.round(v)} px`);
+  bindCheck('horizonEnabled');
+  bindSelect('horizonStyle');
+  bindRange('horizonOpacity', v => `${Math.round(v * 100)}%`);
   bindCheck('regenOnHit', () => {
     if (CFG.gameMode === 'classic') respawnAllTargets();
   });
@@ -395,6 +1405,16 @@ export function buildConfigUI() {
   }
   // Flee de movers
   bindCheck('moversFlee');
+  bindCheck('moversFlock');
+  bindRange('moversFlockSize', v => `${v | 0}`, () => {
+    CFG.moversFlockSize = (CFG.moversFlockSize | 0);
+  });
+  bindCheck('moversDebug');
+  // Arma de proyectiles
+  bindCheck('weaponProjectiles');
+  bindCheck('weaponLeadPip');
+  // Cardán
+  bindCheck('gimbalEnabled');
 
   // Dirección de Matrix
   bindCheck('matrixFromTop');
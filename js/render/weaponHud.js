@@ -0,0 +1,64 @@
+/*
+ * render/weaponHud.js
+ *
+ * HUD del arma: modo de disparo, cadencia y, según el límite del arma,
+ * la barra de calor o las balas del cargador, con el tiempo restante de
+ * sobrecalentamiento o recarga.  Igual que el HUD de puntuación,
+ * actualiza el contenido de un elemento HTML.  Se oculta en los modos
+ * Tracking y Lock‑on, que no usan el arma.
+ */
+
+import * as state from '../state.js';
+import { CFG } from '../config.js';
+import { getWeaponStatus, findWeaponPreset, WEAPON_PRESETS } from '../systems/weapon.js';
+
+// Nombres visibles de los modos de disparo
+const FIRE_MODE_LABELS = {
+  semi: 'Semi',
+  burst: 'Ráfaga',
+  auto: 'Auto'
+};
+
+// Último HTML escrito, para no reescribir el DOM si nada cambia
+let lastHtml = '';
+
+// Barra de progreso 0..1 hecha con texto
+function bar(v, cls) {
+  const n = 20;
+  const k = Math.round(Math.max(0, Math.min(1, v)) * n);
+  return `<span class="${cls}">${'█'.repeat(k)}</span><span class="dim">${'░'.repeat(n - k)}</span>`;
+}
+
+/**
+ * Actualiza el HUD del arma.
+ */
+export function drawWeaponHUD() {
+  const el = state.weaponHudEl;
+  if (!el) return;
+  const visible = CFG.gameMode !== 'tracking' && CFG.gameMode !== 'lockon';
+  el.classList.toggle('hidden', !visible);
+  if (!visible) return;
+  const st = getWeaponStatus();
+  const preset = WEAPON_PRESETS[findWeaponPreset()];
+  const mode = FIRE_MODE_LABELS[CFG.weaponFireMode] || CFG.weaponFireMode;
+  const burst = CFG.weaponFireMode === 'burst' ? ` ×${CFG.weaponBurst | 0}` : '';
+  let limitHtml = '';
+  if (st.limit === 'heat') {
+    const label = st.overheated
+      ? `<span class="bad">SOBRECALENTADA ${(st.overheatLeftMs / 1000).toFixed(1)} s</span>`
+      : `${Math.round(st.heat * 100)}%`;
+    limitHtml = `<div><span class="k">Calor:</span> ${bar(st.heat, st.overheated ? 'bad' : 'ok')} ${label}</div>`;
+  } else if (st.limit === 'ammo') {
+    const label = st.reloading
+      ? `<span class="bad">RECARGANDO ${(st.reloadLeftMs / 1000).toFixed(1)} s</span>`
+      : `${st.ammo}/${st.magazine}`;
+    limitHtml = `<div><span class="k">Cargador:</span> ${bar(st.ammo / st.magazine, 'ok')} ${label}</div>`;
+  }
+  const html = `
+    <div><span class="k">Arma:</span> ${preset ? preset.label : 'Personalizada'} | ${mode}${burst} | ${CFG.weaponRpm | 0} rpm${CFG.weaponProjectiles ? ' | proyectil' : ''}</div>
+    ${limitHtml}
+  `;
+  if (html === lastHtml) return;
+  lastHtml = html;
+  el.innerHTML = html;
+}
@@ -14,7 +14,9 @@
  * comportamiento del juego depende de ellas.
  */
 
-// Índice del gamepad activo (por si conectas varios mandos)
+// Índice del gamepad activo (por si conectas varios mandos).  Se cambia
+// con `setActiveIndex()` desde la lista de mandos o al detectar el mando
+// que se mueve (ver `input/devices.js`).
 export let activeIndex = 0;
 
 // Ángulo actual de roll (rotación) en radianes
@@ -30,7 +32,7 @@ export const player = { x: 0, y: 0 };
 export let prevPlayerX = 0;
 export let prevPlayerY = 0;
 
-// Lista de blancos activos.  Cada objeto tiene { x, y, r, hitStart, dead }
+// Lista de blancos activos.  Cada objeto tiene { x, y, r, hitStart, dead, spawnedAt }
 export let targets = [];
 
 // Lista de targets del modo Matrix.
@@ -42,6 +44,9 @@ export let splitBalls = [];
 // Lista de movers (amarillos).  Los objetos tienen { x, y, vx, vy, r, t0, p1, p2, hitUntil }
 export const movers = [];
 
+// Proyectiles en vuelo (ver systems/projectiles.js)
+export const projectiles = [];
+
 // Flag para el estado del disparo: true mientras se mantiene pulsado el gatillo
 export let triggerPressed = false;
 
@@ -58,6 +63,11 @@ export let lastFrameMs = performance.now();
 // Flags para mostrar u ocultar paneles de UI
 export let showConfig = false;
 export let showDevHud = false;
+// El HUD de puntuación se muestra por defecto (tecla H)
+export let showScoreHud = true;
+export let showHistory = false;
+// Barra de repetición (tecla R)
+export let showReplay = false;
 
 // Modo de juego activo (se usa para detectar cambios)
 export let activeGameMode = 'classic';
@@ -73,6 +83,50 @@ export let matrixSpawner = {
   }
 };
 
+// Estado del modo Flick: blanco actual (o null), instante de la próxima
+// aparición y primer movimiento del stick tras aparecer (0 si aún no)
+export const flick = {
+  target: null,
+  nextSpawnAt: 0,
+  reactedAt: 0
+};
+
+// Estado del modo Lock‑on: mover dentro del anillo de fijación (o null),
+// instante en que entró (`since`) y su `spawnedAt` para detectar que ha
+// reaparecido; `locked` a true cuando lleva dentro `CFG.lockTimeMs`
+export const lockOn = {
+  target: null,
+  since: 0,
+  spawnedAt: 0,
+  locked: false
+};
+
+// Misiles guiados del modo Lock‑on en vuelo (ver systems/lockOn.js)
+export const missiles = [];
+
+// Estado del modo Profundidad: blancos en vuelo hacia el jugador e
+// instante de la última aparición (ver systems/depthMode.js)
+export const depth = {
+  targets: [],
+  lastSpawnAt: 0
+};
+
+// Estado del modo Esfera 3D: orientación de la vista (vectores unitarios
+// del mundo hacia la derecha, abajo y delante de la pantalla) y blancos
+// de la esfera (ver systems/sphere.js)
+export const sphere = {
+  right: [1, 0, 0],
+  down: [0, 1, 0],
+  forward: [0, 0, 1],
+  targets: []
+};
+
+// Tamaño del área de juego en píxeles.  Los sistemas (targets, movers,
+// Matrix, Split) lo usan en lugar de leer el canvas, así que también
+// funcionan sin navegador: `render/canvas.js` lo actualiza al
+// redimensionar y las herramientas de `tools/` lo fijan a mano.
+export const viewport = { width: 0, height: 0 };
+
 // Elementos DOM que se rellenan en `main.js` tras cargarse la página.  Se
 // exportan aquí para que otros módulos puedan manipular el HUD o la
 // configuración sin volver a consultarlos en el DOM.
@@ -80,6 +134,11 @@ export let canvas = null;
 export let ctx = null;
 export let devHudEl = null;
 export let configPanelEl = null;
+export let scoreHudEl = null;
+export let scenarioOverlayEl = null;
+export let historyPanelEl = null;
+export let replayBarEl = null;
+export let weaponHudEl = null;
 export let toastEl = null;
 export let shotAudio = null;
 export let successAudio = null;
@@ -96,12 +155,22 @@ export let successAudio = null;
  * @param {HTMLElement} toast nodo del mensaje inicial
  * @param {HTMLAudioElement} shot sonido de disparo
  * @param {HTMLAudioElement} success sonido de acierto
+ * @param {HTMLElement} scoreHud nodo del HUD de puntuación
+ * @param {HTMLElement} scenarioOverlay nodo de la capa del escenario
+ * @param {HTMLElement} historyPanel nodo de la vista del historial
+ * @param {HTMLElement} replayBar nodo de la barra de repetición
+ * @param {HTMLElement} weaponHud nodo del HUD del arma
  */
-export function initDomRefs(c, context, devHud, cfgPanel, toast, shot, success) {
+export function initDomRefs(c, context, devHud, cfgPanel, toast, shot, success, scoreHud, scenarioOverlay, historyPanel, replayBar, weaponHud) {
   canvas = c;
   ctx = context;
   devHudEl = devHud;
   configPanelEl = cfgPanel;
+  scoreHudEl = scoreHud;
+  scenarioOverlayEl = scenarioOverlay;
+  historyPanelEl = historyPanel;
+  replayBarEl = replayBar;
+  weaponHudEl = weaponHud;
   toastEl = toast;
   shotAudio = shot;
   successAudio = success;
@@ -120,3 +189,21 @@ export function movePlayer(dx, dy, dAngle = 0) {
   player.y += dy;
   rollAngle += dAngle;
 }
+
+/**
+ * Fija el tamaño del área de juego.
+ * @param {number} width ancho en píxeles
+ * @param {number} height alto en píxeles
+ */
+export function setViewport(width, height) {
+  viewport.width = width;
+  viewport.height = height;
+}
+
+/**
+ * Cambia el gamepad activo.
+ * @param {number} index índice del mando en `navigator.getGamepads()`
+ */
+export function setActiveIndex(index) {
+  activeIndex = index;
+}
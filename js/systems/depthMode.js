@@ -0,0 +1,150 @@
+/*
+ * systems/depthMode.js
+ *
+ * Lógica del modo Profundidad (pasadas de frente): los blancos aparecen
+ * a una distancia simulada (`CFG.depthSpawnDist`, en m) y vuelan en
+ * línea recta hacia el jugador a `CFG.depthSpeed` m/s.  Igual que en
+ * Matrix el movimiento es rectilíneo, pero sobre el eje de profundidad:
+ * cada blanco tiene un punto de fuga fijo en el mundo (`ax, ay`) y una
+ * separación lateral (`lx, ly`); en pantalla, tanto el radio como la
+ * separación crecen en perspectiva con `CFG.depthRefDist / z`.
+ *
+ * Sólo se pueden alcanzar dentro de la ventana de distancia
+ * `CFG.depthRangeMin`..`CFG.depthRangeMax`; si llegan a DEPTH_NEAR sin
+ * ser alcanzados, pasan de largo y cuentan como escapados.
+ *
+ * Los blancos guardan su posición proyectada (`x, y, r`) y su velocidad
+ * en pantalla (`vx, vy`) con la misma forma que los de Matrix, así que
+ * el disparo, el cardán, los pips de adelanto y los indicadores los
+ * tratan como cualquier otra entidad.
+ */
+
+import { CFG, HIT_FADE_MS } from '../config.js';
+import * as state from '../state.js';
+import { clamp, screenToWorld } from '../utils/math.js';
+import { nowMs } from '../utils/time.js';
+import { streamRandom } from '../utils/rng.js';
+import { recordEscape } from './scoring.js';
+
+// Números aleatorios de este sistema: flujo 'depth' del generador con
+// semilla (ver utils/rng.js)
+const random = streamRandom('depth');
+
+// Distancia (m) a la que un blanco ya ha pasado junto al jugador
+export const DEPTH_NEAR = 20;
+
+// Punto uniforme dentro de un círculo de radio r
+function randomInDisc(r) {
+  const a = random() * Math.PI * 2;
+  const d = Math.sqrt(random()) * r;
+  return { sx: Math.cos(a) * d, sy: Math.sin(a) * d };
+}
+
+// Recalcula la posición y el radio proyectados de un blanco
+function project(tg, dtN) {
+  const k = CFG.depthRefDist / Math.max(DEPTH_NEAR, tg.z);
+  const x = tg.ax + tg.lx * k;
+  const y = tg.ay + tg.ly * k;
+  tg.vx = dtN > 0 ? (x - tg.x) / dtN : 0;
+  tg.vy = dtN > 0 ? (y - tg.y) / dtN : 0;
+  tg.x = x;
+  tg.y = y;
+  tg.r = tg.baseR * k;
+}
+
+function spawnDepthTarget() {
+  const cos = Math.cos(state.rollAngle);
+  const sin = Math.sin(state.rollAngle);
+  const anchor = randomInDisc(Math.max(0, CFG.depthSpreadPx));
+  const lateral = randomInDisc(Math.max(0, CFG.depthPassPx));
+  const a = screenToWorld(anchor.sx, anchor.sy, cos, sin);
+  const l = screenToWorld(lateral.sx, lateral.sy, cos, sin);
+  const tg = {
+    spawnedAt: nowMs(),
+    ax: state.player.x + a.dx,
+    ay: state.player.y + a.dy,
+    lx: l.dx,
+    ly: l.dy,
+    z: Math.max(DEPTH_NEAR * 2, CFG.depthSpawnDist),
+    baseR: Math.max(1, CFG.depthTargetR),
+    x: 0,
+    y: 0,
+    r: 0,
+    vx: 0,
+    vy: 0,
+    hitStart: 0,
+    dead: false
+  };
+  project(tg, 0);
+  state.depth.targets.push(tg);
+}
+
+/**
+ * Indica si un blanco está dentro de la ventana de distancia en la que
+ * se puede alcanzar.
+ * @param {Object} tg blanco del modo Profundidad
+ */
+export function isInDepthRange(tg) {
+  const lo = Math.min(CFG.depthRangeMin, CFG.depthRangeMax);
+  const hi = Math.max(CFG.depthRangeMin, CFG.depthRangeMax);
+  return tg.z >= lo && tg.z <= hi;
+}
+
+/**
+ * Elimina todos los blancos y reinicia el spawner.
+ */
+export function clearDepthTargets() {
+  state.depth.targets.length = 0;
+  state.depth.lastSpawnAt = 0;
+}
+
+/**
+ * Avanza el modo un frame: hace aparecer blancos cada
+ * `CFG.depthSpawnMs`, los acerca y retira los alcanzados y los que han
+ * pasado de largo.
+ * @param {number} dtN tiempo normalizado (1 ≈ 16.6 ms)
+ */
+export function updateDepthTargets(dtN) {
+  const t = nowMs();
+  const interval = clamp(CFG.depthSpawnMs, 200, 10000);
+  if (t - state.depth.lastSpawnAt >= interval) {
+    state.depth.lastSpawnAt = t;
+    spawnDepthTarget();
+  }
+  const dz = CFG.depthSpeed * dtN * 16.6667 / 1000;
+  const list = state.depth.targets;
+  for (let i = list.length - 1; i >= 0; i--) {
+    const tg = list[i];
+    if (tg.hitStart) {
+      if (t - tg.hitStart >= HIT_FADE_MS) list.splice(i, 1);
+      continue;
+    }
+    tg.z -= dz;
+    if (tg.z <= DEPTH_NEAR) {
+      recordEscape('depth');
+      list.splice(i, 1);
+      continue;
+    }
+    project(tg, dtN);
+  }
+}
+
+/**
+ * Busca el blanco alcanzable más cercano al punto de mundo (x, y), por
+ * defecto la mira, y lo marca como alcanzado.  Los que están fuera de
+ * la ventana de distancia no cuentan.  Devuelve el blanco o `null`.
+ */
+export function hitTestDepthTargets(x = state.player.x, y = state.player.y) {
+  let best = null;
+  let bestZ = Infinity;
+  for (const tg of state.depth.targets) {
+    if (tg.hitStart || !isInDepthRange(tg)) continue;
+    // Si se solapan, el más cercano tapa a los demás
+    if (Math.hypot(tg.x - x, tg.y - y) < tg.r && tg.z < bestZ) {
+      best = tg;
+      bestZ = tg.z;
+    }
+  }
+  if (best) best.hitStart = nowMs();
+  return best;
+}
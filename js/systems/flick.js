@@ -0,0 +1,114 @@
+/*
+ * systems/flick.js
+ *
+ * Lógica del modo Flick (reacción): tras una espera aleatoria aparece un
+ * único blanco a una distancia y en una dirección controladas respecto
+ * a la mira (ver `spawnTargetNearPlayer()`).  Cada aparición es un
+ * intento con dos tiempos medidos desde el spawn:
+ *   reacción   → primer movimiento del stick
+ *   completado → impacto sobre el blanco
+ * Si el blanco no se alcanza en `CFG.flickTimeoutMs`, el intento queda
+ * como fallado.  Los intentos se registran en `scoring.js`.
+ *
+ * El blanco sólo aparece con el stick en reposo, de modo que la reacción
+ * siempre se mide desde parado.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { nowMs } from '../utils/time.js';
+import { streamRandom } from '../utils/rng.js';
+import { spawnTargetNearPlayer } from './targets.js';
+import { recordEscape, recordAttempt } from './scoring.js';
+
+// Números aleatorios de este sistema: flujo 'flick' del generador con
+// semilla (ver utils/rng.js)
+const random = streamRandom('flick');
+
+// Direcciones de aparición en pantalla (rad; 0 = derecha, π/2 = abajo).
+// null = cualquier dirección.
+export const FLICK_DIRECTIONS = {
+  all: null,
+  horizontal: [0, Math.PI],
+  vertical: [-Math.PI / 2, Math.PI / 2],
+  cardinal: [0, Math.PI / 2, Math.PI, -Math.PI / 2],
+  diagonal: [Math.PI / 4, Math.PI * 3 / 4, -Math.PI * 3 / 4, -Math.PI / 4]
+};
+
+// Magnitud del stick (ejes ya limpios) a partir de la cual se considera
+// que el jugador ha reaccionado
+export const FLICK_MOVE_THRESHOLD = 0.15;
+
+// Programa la próxima aparición tras una espera aleatoria
+function scheduleNext(t) {
+  const lo = Math.max(0, Math.min(CFG.flickDelayMinMs, CFG.flickDelayMaxMs));
+  const hi = Math.max(lo, CFG.flickDelayMaxMs);
+  state.flick.nextSpawnAt = t + lo + random() * (hi - lo);
+}
+
+// Cierra el intento actual, lo registra y programa el siguiente
+function finishAttempt(hit, t) {
+  const fl = state.flick;
+  const tg = fl.target;
+  recordAttempt({
+    distance: Math.round(tg.spawnDist),
+    angleDeg: Math.round(tg.spawnAngle * 180 / Math.PI),
+    reactionMs: fl.reactedAt ? fl.reactedAt - tg.spawnedAt : null,
+    completionMs: hit ? t - tg.spawnedAt : null
+  });
+  fl.target = null;
+  fl.reactedAt = 0;
+  scheduleNext(t);
+}
+
+/**
+ * Quita el blanco actual y programa una nueva aparición.
+ */
+export function clearFlick() {
+  state.flick.target = null;
+  state.flick.reactedAt = 0;
+  scheduleNext(nowMs());
+}
+
+/**
+ * Avanza el modo Flick un frame: mide la reacción, cierra los intentos
+ * caducados y hace aparecer el siguiente blanco.
+ * @param {number} stick magnitud del stick en este frame (0..1)
+ */
+export function updateFlick(stick) {
+  const fl = state.flick;
+  const t = nowMs();
+  const moving = stick >= FLICK_MOVE_THRESHOLD;
+  const tg = fl.target;
+  if (tg) {
+    // El frame en que aparece el blanco no cuenta: aún no se ha visto
+    if (!fl.reactedAt && moving && t > tg.spawnedAt) fl.reactedAt = t;
+    if (t - tg.spawnedAt >= CFG.flickTimeoutMs) {
+      recordEscape('flick');
+      finishAttempt(false, t);
+    }
+    return;
+  }
+  if (t < fl.nextSpawnAt || moving) return;
+  const deg = Math.PI / 180;
+  fl.target = spawnTargetNearPlayer({
+    minDist: CFG.flickDistMin,
+    maxDist: CFG.flickDistMax,
+    angles: FLICK_DIRECTIONS[CFG.flickDirections] || null,
+    spread: CFG.flickSpreadDeg * deg
+  });
+}
+
+/**
+ * Comprueba si el punto de mundo (x, y), por defecto la mira, está sobre
+ * el blanco actual.  Si lo está, cierra el intento como acertado y
+ * devuelve el blanco; si no, `null`.
+ */
+export function hitTestFlick(x = state.player.x, y = state.player.y) {
+  const fl = state.flick;
+  const tg = fl.target;
+  if (!tg) return null;
+  if (Math.hypot(tg.x - x, tg.y - y) >= tg.r) return null;
+  finishAttempt(true, nowMs());
+  return tg;
+}
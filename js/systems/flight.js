@@ -76,4 +76,15 @@ export function stepRoll(rollIn, dtN, angAccel, maxW) {
  */
 export function getVel() {
   return { vx, vy, w };
-}
\ No newline at end of file
+}
+
+/**
+ * Restaura unas velocidades internas guardadas con `getVel()`.  Lo usa
+ * la repetición para empezar con la misma inercia que la partida.
+ * @param {{vx:number, vy:number, w:number}} v velocidades
+ */
+export function setVel(v) {
+  vx = v.vx;
+  vy = v.vy;
+  w  = v.w;
+}
@@ -0,0 +1,94 @@
+/*
+ * systems/gimbal.js
+ *
+ * Arma con cardán (gimbal).  Con `CFG.gimbalEnabled` activo, el arma
+ * apunta sola dentro de un cono alrededor de la mira: busca la entidad
+ * más cercana cuyo centro esté a menos de `CFG.gimbalConePx` píxeles y
+ * mueve hacia ella el pip del cardán, con un retraso de primer orden
+ * (`CFG.gimbalLagMs`).  Los disparos salen hacia el pip en lugar de
+ * hacia el centro de la mira.  Sin entidad en el cono, el pip vuelve al
+ * centro.
+ *
+ * El pip se guarda en pantalla, relativo a la mira: al girar o mover la
+ * mira se queda donde estaba y vuelve a converger con el mismo retraso.
+ * Con el arma de proyectiles, el cardán apunta al punto de adelanto.
+ *
+ * ZONA PELIGROSA: el pip forma parte de la simulación; si cambias
+ * `updateGimbal()` las repeticiones antiguas se desvían.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { worldToScreen } from '../utils/math.js';
+import { leadPoint } from './projectiles.js';
+import { isInDepthRange } from './depthMode.js';
+
+// Estado del cardán: desplazamiento del pip en pantalla y entidad a la
+// que apunta (o null)
+let gimbal = { sx: 0, sy: 0, target: null };
+
+// Entidades a las que puede apuntar el cardán en el modo actual.  Los
+// modos Tracking y Lock‑on no usan el arma.
+function aimableEntities() {
+  if (CFG.gameMode === 'classic') {
+    const list = state.targets.filter(tg => !tg.dead && !tg.hitStart);
+    if (CFG.moversEnabled) list.push(...state.movers.filter(m => !m.dead));
+    return list;
+  }
+  if (CFG.gameMode === 'matrix') return state.matrixTargets.filter(tg => !tg.dead && !tg.hitStart);
+  if (CFG.gameMode === 'split') return state.splitBalls;
+  if (CFG.gameMode === 'flick') return state.flick.target ? [state.flick.target] : [];
+  if (CFG.gameMode === 'depth') return state.depth.targets.filter(tg => !tg.hitStart && isInDepthRange(tg));
+  return [];
+}
+
+/**
+ * Devuelve el pip al centro y suelta la entidad.
+ */
+export function resetGimbal() {
+  gimbal = { sx: 0, sy: 0, target: null };
+}
+
+/**
+ * Avanza el cardán un frame: elige la entidad más cercana dentro del
+ * cono y acerca el pip a ella.  Debe llamarse después de mover las
+ * entidades y antes de disparar.
+ * @param {number} dtN tiempo normalizado (1 ≈ 16.6 ms)
+ */
+export function updateGimbal(dtN) {
+  if (!CFG.gimbalEnabled) {
+    resetGimbal();
+    return;
+  }
+  const cone = Math.max(0, CFG.gimbalConePx);
+  let best = null;
+  let bestD = Infinity;
+  for (const e of aimableEntities()) {
+    const d = Math.hypot(e.x - state.player.x, e.y - state.player.y);
+    if (d <= cone && d < bestD) {
+      best = e;
+      bestD = d;
+    }
+  }
+  gimbal.target = best;
+  let aimX = 0;
+  let aimY = 0;
+  if (best) {
+    const p = CFG.weaponProjectiles ? leadPoint(best) : best;
+    const s = worldToScreen(p.x - state.player.x, p.y - state.player.y, Math.cos(state.rollAngle), Math.sin(state.rollAngle));
+    aimX = s.sx;
+    aimY = s.sy;
+  }
+  const k = CFG.gimbalLagMs > 0 ? 1 - Math.exp(-(dtN * 16.6667) / CFG.gimbalLagMs) : 1;
+  gimbal.sx += (aimX - gimbal.sx) * k;
+  gimbal.sy += (aimY - gimbal.sy) * k;
+}
+
+/**
+ * Estado del cardán para el disparo y el dibujo.
+ * @returns {{sx:number, sy:number, target:Object|null}} pip en pantalla
+ *   relativo a la mira y entidad a la que apunta
+ */
+export function getGimbal() {
+  return { sx: gimbal.sx, sy: gimbal.sy, target: gimbal.target };
+}
@@ -0,0 +1,165 @@
+/*
+ * systems/history.js
+ *
+ * Historial persistente de escenarios.  Al terminar cada escenario se
+ * guarda en `localStorage` un registro con los resultados, el modo, una
+ * copia completa de `CFG` y la fecha.  Los registros se agrupan por modo
+ * y por "preset" (huella de los ajustes) para poder comparar la
+ * evolución con unos mismos ajustes o ver si un cambio de sensibilidad
+ * o de curva ha servido de algo.
+ *
+ * ZONA SEGURA: puedes cambiar HISTORY_MAX para guardar más partidas.
+ * ZONA PELIGROSA: cambiar HISTORY_KEY hace que los registros antiguos
+ * dejen de verse, y cambiar PRESET_IGNORED_KEYS cambia las huellas que
+ * se muestran.
+ */
+
+// Clave de localStorage y número máximo de registros guardados
+const HISTORY_KEY = 'solr.history.v1';
+const HISTORY_MAX = 500;
+
+// Claves de CFG que no forman parte del preset: el modo ya se agrupa
+// por separado, ni la duración ni la semilla del escenario cambian
+// cómo se apunta, y las ayudas de pantalla (flechas, radar, horizonte,
+// depuración de movers) sólo se dibujan encima.
+const PRESET_IGNORED_KEYS = [
+  'gameMode', 'scenarioCountdownS', 'scenarioDurationS', 'scenarioSeed',
+  'offscreenArrows', 'radarEnabled', 'radarRangePx',
+  'horizonEnabled', 'horizonStyle', 'horizonOpacity',
+  'moversDebug'
+];
+
+/**
+ * Calcula la huella de un snapshot de CFG.  Dos partidas con los mismos
+ * ajustes comparten huella aunque se jueguen en días distintos.
+ * @param {Object} cfg snapshot de configuración
+ * @returns {string} huella hexadecimal de 8 caracteres
+ */
+export function presetKey(cfg) {
+  const keys = Object.keys(cfg).filter(k => !PRESET_IGNORED_KEYS.includes(k)).sort();
+  const text = keys.map(k => `${k}=${JSON.stringify(cfg[k])}`).join(';');
+  // FNV‑1a de 32 bits: suficiente para distinguir presets a simple vista
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+/**
+ * Devuelve todos los registros guardados, del más antiguo al más
+ * reciente.  Si el almacenamiento no está disponible devuelve [].
+ */
+export function loadHistory() {
+  try {
+    const raw = localStorage.getItem(HISTORY_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function storeHistory(list) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(list));
+  } catch (_) {}
+}
+
+/**
+ * Guarda los resultados de un escenario junto con una copia de CFG.
+ * @param {Object} results resultados de `getLastResults()`
+ * @param {Object} cfg configuración activa durante la partida
+ * @param {string|null} [profile] perfil guardado que coincide con `cfg`
+ * @returns {Object} registro guardado
+ */
+export function saveRun(results, cfg, profile = null) {
+  const snapshot = JSON.parse(JSON.stringify(cfg));
+  const entry = {
+    date: results.date,
+    mode: results.mode,
+    preset: presetKey(snapshot),
+    cfg: snapshot,
+    profile,
+    results
+  };
+  const list = loadHistory();
+  list.push(entry);
+  if (list.length > HISTORY_MAX) list.splice(0, list.length - HISTORY_MAX);
+  storeHistory(list);
+  return entry;
+}
+
+/**
+ * Borra todo el historial.
+ */
+export function clearHistory() {
+  try {
+    localStorage.removeItem(HISTORY_KEY);
+  } catch (_) {}
+}
+
+/**
+ * Agrupa los registros por modo y preset.  Cada grupo incluye sus
+ * registros, la fecha de la última partida y el nombre de perfil con el
+ * que se jugó (si lo hubo), ordenados de más a menos reciente.
+ * @param {Array} list registros de `loadHistory()`
+ */
+export function groupHistory(list) {
+  const groups = new Map();
+  for (const e of list) {
+    // La huella se recalcula para que los registros antiguos se agrupen
+    // igual que los nuevos si cambia PRESET_IGNORED_KEYS
+    const preset = e.cfg ? presetKey(e.cfg) : e.preset;
+    const key = `${e.mode}:${preset}`;
+    if (!groups.has(key)) groups.set(key, { key, mode: e.mode, preset, profile: null, entries: [], lastDate: 0 });
+    const g = groups.get(key);
+    g.entries.push(e);
+    if (e.date >= g.lastDate) {
+      g.lastDate = e.date;
+      // El nombre de perfil más reciente etiqueta el grupo
+      if (e.profile) g.profile = e.profile;
+    }
+  }
+  return [...groups.values()].sort((a, b) => b.lastDate - a.lastDate);
+}
+
+// Clave de día local (AAAA-MM-DD) de una marca de tiempo
+function dayKey(ms) {
+  const d = new Date(ms);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Resume los registros por día: media de precisión, puntos y TTK.  Los
+ * días sin eliminaciones tienen TTK `null`.
+ * @param {Array} entries registros de un mismo grupo
+ * @returns {Array<{day:string, runs:number, accuracy:number, score:number, avgTtkMs:number|null}>}
+ */
+export function dailySeries(entries) {
+  const days = new Map();
+  for (const e of entries) {
+    const k = dayKey(e.date);
+    if (!days.has(k)) days.set(k, { day: k, runs: 0, acc: 0, score: 0, ttkSum: 0, ttkCount: 0 });
+    const d = days.get(k);
+    d.runs++;
+    d.acc += e.results.accuracy;
+    d.score += e.results.score;
+    if (e.results.avgTtkMs != null) {
+      d.ttkSum += e.results.avgTtkMs;
+      d.ttkCount++;
+    }
+  }
+  return [...days.values()]
+    .sort((a, b) => (a.day < b.day ? -1 : 1))
+    .map(d => ({
+      day: d.day,
+      runs: d.runs,
+      accuracy: d.acc / d.runs,
+      score: d.score / d.runs,
+      avgTtkMs: d.ttkCount > 0 ? d.ttkSum / d.ttkCount : null
+    }));
+}
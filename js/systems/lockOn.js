@@ -0,0 +1,189 @@
+/*
+ * systems/lockOn.js
+ *
+ * Lógica del modo Lock‑on (misiles): en lugar de acertar con precisión,
+ * el jugador mantiene un mover dentro del anillo de fijación que rodea
+ * la mira (`CFG.lockRingPx`).  Tras `CFG.lockTimeMs` dentro del anillo el
+ * mover queda fijado; si sale antes, el progreso vuelve a cero.  Con el
+ * mover fijado, el gatillo lanza un misil guiado que lo persigue y, al
+ * alcanzarlo, se registra el kill y el mover reaparece en otro punto.
+ * Si el misil no lo alcanza en `CFG.missileLifetimeMs`, cuenta como
+ * fallo.
+ *
+ * Los movers se mueven con la misma lógica que en Classic
+ * (`updateMovers()`), incluida la huida, así que pueden esquivar el
+ * misil.  El anillo y el progreso se dibujan en `render/crosshair.js`.
+ *
+ * ZONA SEGURA: puedes ajustar el giro máximo y el radio del misil.
+ * ZONA PELIGROSA: los misiles forman parte de la simulación; si cambias
+ * su guiado las repeticiones antiguas se desvían.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { nowMs } from '../utils/time.js';
+import { respawnMover, alertFlocks } from './movers.js';
+import { recordHit, recordMiss } from './scoring.js';
+
+// Giro máximo del misil (rad por frame normalizado)
+const MISSILE_TURN_RATE = 0.12;
+
+// Radio del misil (px) para el impacto
+export const MISSILE_R = 4;
+
+// true si ya hay un misil en vuelo hacia el mover
+function hasMissileInbound(m) {
+  return state.missiles.some(ms => ms.target === m && ms.spawnedAt === m.spawnedAt);
+}
+
+// true si el mover puede fijarse: vivo, con el centro dentro del anillo
+// y sin un misil ya en camino
+function isLockable(m) {
+  if (m.dead || hasMissileInbound(m)) return false;
+  return Math.hypot(m.x - state.player.x, m.y - state.player.y) <= Math.max(0, CFG.lockRingPx);
+}
+
+// Mover más cercano a la mira de entre los que pueden fijarse
+function nearestLockable() {
+  let best = null;
+  let bestD = Infinity;
+  for (const m of state.movers) {
+    if (!isLockable(m)) continue;
+    const d = Math.hypot(m.x - state.player.x, m.y - state.player.y);
+    if (d < bestD) {
+      best = m;
+      bestD = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Suelta el mover fijado y elimina los misiles en vuelo.
+ */
+export function clearLockOn() {
+  const lk = state.lockOn;
+  lk.target = null;
+  lk.since = 0;
+  lk.spawnedAt = 0;
+  lk.locked = false;
+  state.missiles.length = 0;
+}
+
+/**
+ * Avanza la fijación un frame.  Debe llamarse después de mover los
+ * movers.  El mover que se está fijando se mantiene mientras siga en el
+ * anillo aunque otro pase más cerca de la mira.
+ */
+export function updateLockOn() {
+  const lk = state.lockOn;
+  const t = nowMs();
+  const keep = lk.target && lk.target.spawnedAt === lk.spawnedAt && isLockable(lk.target);
+  const m = keep ? lk.target : nearestLockable();
+  // Otro mover, ninguno o el mismo tras reaparecer: se empieza de cero
+  if (m !== lk.target || (m && m.spawnedAt !== lk.spawnedAt)) {
+    lk.target = m;
+    lk.since = t;
+    lk.spawnedAt = m ? m.spawnedAt : 0;
+  }
+  lk.locked = !!m && t - lk.since >= CFG.lockTimeMs;
+}
+
+/**
+ * Progreso de la fijación (0..1) del mover que está en el anillo.
+ */
+export function lockProgress() {
+  const lk = state.lockOn;
+  if (!lk.target) return 0;
+  if (lk.locked) return 1;
+  return Math.max(0, Math.min(1, (nowMs() - lk.since) / Math.max(1, CFG.lockTimeMs)));
+}
+
+/**
+ * Lanza un misil desde la mira hacia el mover fijado.  Tras el
+ * lanzamiento hay que volver a fijar un blanco.
+ * @returns {boolean} false si no hay ningún mover fijado
+ */
+export function launchMissile() {
+  const lk = state.lockOn;
+  if (!lk.locked || !lk.target) return false;
+  const m = lk.target;
+  const t = nowMs();
+  // El lanzamiento dispersa la formación del mover fijado
+  alertFlocks(m.x, m.y);
+  const dx = m.x - state.player.x;
+  const dy = m.y - state.player.y;
+  const d = Math.hypot(dx, dy) || 1;
+  state.missiles.push({
+    x: state.player.x,
+    y: state.player.y,
+    dirX: dx / d,
+    dirY: dy / d,
+    target: m,
+    spawnedAt: m.spawnedAt,
+    launchedAt: t,
+    expiresAt: t + CFG.missileLifetimeMs
+  });
+  lk.target = null;
+  lk.since = t;
+  lk.spawnedAt = 0;
+  lk.locked = false;
+  return true;
+}
+
+// Distancia del punto (px, py) al segmento (ax, ay)–(bx, by)
+function segmentDistance(px, py, ax, ay, bx, by) {
+  const vx = bx - ax;
+  const vy = by - ay;
+  const len2 = vx * vx + vy * vy;
+  const k = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * vx + (py - ay) * vy) / len2)) : 0;
+  return Math.hypot(px - (ax + vx * k), py - (ay + vy * k));
+}
+
+/**
+ * Avanza los misiles un frame, registra sus impactos y fallos y hace
+ * reaparecer a los movers alcanzados.  Un misil cuyo mover ha
+ * reaparecido (lo ha alcanzado otro misil) sigue recto hasta caducar.
+ * @param {number} dtN tiempo normalizado (1 ≈ 16.6 ms)
+ * @returns {{kills:number, misses:number}} resultado de este frame
+ */
+export function updateMissiles(dtN) {
+  const t = nowMs();
+  const step = CFG.missileSpeed * dtN * 16.6667 / 1000;
+  let kills = 0;
+  let misses = 0;
+  for (let i = state.missiles.length - 1; i >= 0; i--) {
+    const ms = state.missiles[i];
+    const m = ms.target;
+    const homing = !m.dead && m.spawnedAt === ms.spawnedAt;
+    if (homing) {
+      // Gira hacia el mover como mucho MISSILE_TURN_RATE por frame
+      const want = Math.atan2(m.y - ms.y, m.x - ms.x);
+      const cur = Math.atan2(ms.dirY, ms.dirX);
+      let diff = want - cur;
+      while (diff > Math.PI) diff -= Math.PI * 2;
+      while (diff < -Math.PI) diff += Math.PI * 2;
+      const maxTurn = MISSILE_TURN_RATE * dtN;
+      const a = cur + Math.max(-maxTurn, Math.min(maxTurn, diff));
+      ms.dirX = Math.cos(a);
+      ms.dirY = Math.sin(a);
+    }
+    const nx = ms.x + ms.dirX * step;
+    const ny = ms.y + ms.dirY * step;
+    if (homing && segmentDistance(m.x, m.y, ms.x, ms.y, nx, ny) <= m.r + MISSILE_R) {
+      recordHit('mover', m, true);
+      respawnMover(m);
+      state.missiles.splice(i, 1);
+      kills++;
+      continue;
+    }
+    ms.x = nx;
+    ms.y = ny;
+    if (t >= ms.expiresAt) {
+      recordMiss();
+      state.missiles.splice(i, 1);
+      misses++;
+    }
+  }
+  return { kills, misses };
+}
@@ -9,11 +9,17 @@ import { CFG, HIT_FADE_MS, MARGIN } from '../config.js';
 import * as state from '../state.js';
 import { clamp, screenToWorld, worldToScreen } from '../utils/math.js';
 import { nowMs } from '../utils/time.js';
+import { streamRandom } from '../utils/rng.js';
+import { recordEscape } from './scoring.js';
+
+// Números aleatorios de este sistema: flujo 'matrix' del generador con
+// semilla (ver utils/rng.js)
+const random = streamRandom('matrix');
 
 export function pickMatrixRadius() {
   if (!CFG.matrixRandomSize) return CFG.matrixTargetR;
   const base = CFG.matrixTargetR;
-  const r = base * (0.6 + Math.random() * 1.4);
+  const r = base * (0.6 + random() * 1.4);
   return clamp(r, 4, 200);
 }
 
@@ -31,19 +37,19 @@ function getLaneStep() {
   return base * 2.4;
 }
 
-function lanePosition(canvas, dir, index) {
+function lanePosition(view, dir, index) {
   const step = getLaneStep();
   const span = (dir === 'top' || dir === 'bottom')
-    ? canvas.width - MARGIN * 2
-    : canvas.height - MARGIN * 2;
+    ? view.width - MARGIN * 2
+    : view.height - MARGIN * 2;
   const laneCount = Math.max(1, Math.floor(span / step));
   const offset = -span / 2 + step * 0.5 + (index % laneCount) * step;
   return offset;
 }
 
 function spawnMatrixTarget(dir) {
-  const canvas = state.canvas;
-  if (!canvas) return;
+  const view = state.viewport;
+  if (!view.width) return;
   const cos = Math.cos(state.rollAngle);
   const sin = Math.sin(state.rollAngle);
   const r = pickMatrixRadius();
@@ -55,29 +61,30 @@ function spawnMatrixTarget(dir) {
   let vys = 0;
   const speed = Math.max(0.1, CFG.matrixSpeed);
   if (dir === 'top') {
-    sx = lanePosition(canvas, dir, laneIndex);
-    sy = -canvas.height / 2 - MARGIN;
+    sx = lanePosition(view, dir, laneIndex);
+    sy = -view.height / 2 - MARGIN;
     vxs = 0;
     vys = speed;
   } else if (dir === 'bottom') {
-    sx = lanePosition(canvas, dir, laneIndex);
-    sy = canvas.height / 2 + MARGIN;
+    sx = lanePosition(view, dir, laneIndex);
+    sy = view.height / 2 + MARGIN;
     vxs = 0;
     vys = -speed;
   } else if (dir === 'left') {
-    sx = -canvas.width / 2 - MARGIN;
-    sy = lanePosition(canvas, dir, laneIndex);
+    sx = -view.width / 2 - MARGIN;
+    sy = lanePosition(view, dir, laneIndex);
     vxs = speed;
     vys = 0;
   } else if (dir === 'right') {
-    sx = canvas.width / 2 + MARGIN;
-    sy = lanePosition(canvas, dir, laneIndex);
+    sx = view.width / 2 + MARGIN;
+    sy = lanePosition(view, dir, laneIndex);
     vxs = -speed;
     vys = 0;
   }
   const wPos = screenToWorld(sx, sy, cos, sin);
   const wVel = screenToWorld(vxs, vys, cos, sin);
   state.matrixTargets.push({
+    spawnedAt: nowMs(),
     x: state.player.x + wPos.dx,
     y: state.player.y + wPos.dy,
     r,
@@ -98,8 +105,8 @@ export function clearMatrixTargets() {
 }
 
 export function updateMatrixTargets(dtN) {
-  const canvas = state.canvas;
-  if (!canvas) return;
+  const view = state.viewport;
+  if (!view.width) return;
   const t = nowMs();
   const dirs = getEnabledDirections();
   const interval = clamp(CFG.matrixSpawnMs, 80, 5000);
@@ -109,8 +116,8 @@ export function updateMatrixTargets(dtN) {
   }
   const cos = Math.cos(state.rollAngle);
   const sin = Math.sin(state.rollAngle);
-  const maxX = canvas.width / 2 + MARGIN * 2;
-  const maxY = canvas.height / 2 + MARGIN * 2;
+  const maxX = view.width / 2 + MARGIN * 2;
+  const maxY = view.height / 2 + MARGIN * 2;
   for (let i = state.matrixTargets.length - 1; i >= 0; i--) {
     const tg = state.matrixTargets[i];
     if (tg.dead) {
@@ -127,20 +134,27 @@ export function updateMatrixTargets(dtN) {
     const rely = tg.y - state.player.y;
     const scr = worldToScreen(relx, rely, cos, sin);
     if (Math.abs(scr.sx) > maxX + tg.r || Math.abs(scr.sy) > maxY + tg.r) {
+      // Un target que sale de la pantalla sin ser alcanzado se ha escapado
+      if (!tg.hitStart) recordEscape('matrix');
       state.matrixTargets.splice(i, 1);
     }
   }
 }
 
-export function hitTestMatrixTargets() {
+/**
+ * Busca el target Matrix más cercano al punto de mundo (x, y), por
+ * defecto la mirilla, y lo marca como alcanzado.  Devuelve el target o
+ * `null` si no hay impacto.
+ */
+export function hitTestMatrixTargets(x = state.player.x, y = state.player.y) {
   const t = nowMs();
   let bestIdx = -1;
   let bestD = Infinity;
   for (let i = 0; i < state.matrixTargets.length; i++) {
     const tg = state.matrixTargets[i];
     if (tg.dead || tg.hitStart) continue;
-    const dx = tg.x - state.player.x;
-    const dy = tg.y - state.player.y;
+    const dx = tg.x - x;
+    const dy = tg.y - y;
     const d = Math.hypot(dx, dy);
     if (d < tg.r && d < bestD) {
       bestIdx = i;
@@ -148,8 +162,9 @@ export function hitTestMatrixTargets() {
     }
   }
   if (bestIdx >= 0) {
-    state.matrixTargets[bestIdx].hitStart = t;
-    return true;
+    const tg = state.matrixTargets[bestIdx];
+    tg.hitStart = t;
+    return tg;
   }
-  return false;
+  return null;
 }
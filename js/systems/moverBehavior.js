@@ -0,0 +1,81 @@
+/*
+ * systems/moverBehavior.js
+ *
+ * Personalidades de los movers.  `CFG.moverBehavior` agrupa las tablas
+ * que usa `systems/movers.js` (roles, episodios, escalas de tamaño y
+ * tiempos; ver MOVER_BEHAVIOR_DEFAULTS en config.js).  Como forma parte
+ * de `CFG`, se guarda con los perfiles y con las repeticiones; este
+ * módulo añade volver a los valores por defecto y exportar/importar
+ * sólo el comportamiento como JSON, para compartir movers fáciles,
+ * evasivos o erráticos sin el resto de los ajustes, y editar como JSON
+ * los micro‑patrones propios.
+ *
+ * ZONA PELIGROSA: si cambias el formato de exportación, incrementa
+ * EXPORT_VERSION y mantén la lectura del formato anterior.
+ */
+
+import { CFG, MOVER_BEHAVIOR_DEFAULTS } from '../config.js';
+import { applyConfigSnapshot } from './profiles.js';
+import { invalidCustomPatterns } from './movers.js';
+
+// Tipo y versión del formato de exportación
+const EXPORT_TYPE = 'solr-mover-behavior';
+const EXPORT_VERSION = 1;
+
+/**
+ * Vuelve a las tablas de comportamiento por defecto.
+ */
+export function resetMoverBehavior() {
+  applyConfigSnapshot({ moverBehavior: JSON.parse(JSON.stringify(MOVER_BEHAVIOR_DEFAULTS)) });
+}
+
+/**
+ * Serializa el comportamiento actual como JSON para exportarlo.
+ * @returns {string} texto JSON
+ */
+export function exportMoverBehaviorJson() {
+  return JSON.stringify({
+    type: EXPORT_TYPE,
+    version: EXPORT_VERSION,
+    behavior: CFG.moverBehavior
+  }, null, 2);
+}
+
+/**
+ * Aplica un comportamiento importado desde texto JSON.  Acepta el
+ * formato de `exportMoverBehaviorJson()` o directamente las tablas.
+ * Igual que con los perfiles, sólo se copian los valores que ya existen
+ * en `CFG.moverBehavior` y con el mismo tipo; los que falten conservan
+ * su valor actual.
+ * @param {string} text contenido del archivo
+ * @returns {boolean} true si ha cambiado algún valor
+ * @throws {Error} si el texto no es JSON válido o no trae tablas de movers
+ */
+export function importMoverBehaviorJson(text) {
+  const data = JSON.parse(text);
+  const wrapped = data && data.type === EXPORT_TYPE && data.behavior && typeof data.behavior === 'object';
+  const behavior = wrapped ? data.behavior : data;
+  if (!behavior || typeof behavior !== 'object' || !Object.keys(CFG.moverBehavior).some(k => k in behavior)) {
+    throw new Error('El archivo no contiene un comportamiento de movers');
+  }
+  const before = JSON.stringify(CFG.moverBehavior);
+  applyConfigSnapshot({ moverBehavior: behavior });
+  return before !== JSON.stringify(CFG.moverBehavior);
+}
+
+/**
+ * Sustituye los micro‑patrones propios (`CFG.moverBehavior.patterns`)
+ * por los del texto JSON: un objeto nombre → definición (ver «PATRONES
+ * PROPIOS» en systems/movers.js).
+ * @param {string} text objeto JSON con las definiciones
+ * @returns {string[]} nombres de las definiciones que no son válidas
+ * @throws {Error} si el texto no es JSON válido o no es un objeto
+ */
+export function setCustomPatternsJson(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Los patrones deben ser un objeto { nombre: definición }');
+  }
+  applyConfigSnapshot({ moverBehavior: { patterns: data } });
+  return invalidCustomPatterns();
+}
@@ -8,10 +8,17 @@
  * velocidad y comportamiento de esquiva se configuran desde `CFG`.
  */
 
-import { CFG, MARGIN, MOVERS_MAX_HITS, HEAL_INTERVAL_MS } from '../config.js';
+import { CFG, MARGIN, MOVERS_MAX, MOVERS_MAX_HITS, HEAL_INTERVAL_MS } from '../config.js';
 import * as state from '../state.js';
-import { clamp, worldToScreen, screenToWorld, rand } from '../utils/math.js';
+import { clamp, worldToScreen, screenToWorld } from '../utils/math.js';
 import { nowMs } from '../utils/time.js';
+import { streamRandom } from '../utils/rng.js';
+import { createSpatialHash } from '../utils/spatialHash.js';
+
+// Números aleatorios de este sistema: flujo 'movers' del generador con
+// semilla (ver utils/rng.js)
+const random = streamRandom('movers');
+const rand = (a, b) => a + random() * (b - a);
 
 // Lista de patrones disponibles.  Se conserva por compatibilidad con
 // código antiguo pero ya no se usa para el movimiento.  Los nuevos
@@ -29,7 +36,7 @@ const PATTERNS = ['bounce', 'orbit', 'lissajous', 'strafe', 'circular', 'spiral'
  * (`gain`) que controla la amplitud dentro de su tier (S/M/L) y
  * devuelve un desplazamiento {x, y} en coordenadas de pantalla
  * normalizadas (amplitud 1).  El desplazamiento final se escala
- * posteriormente con TIER_SCALE o SPIRAL_SCALE y con el parámetro
+ * posteriormente con `tierScale` o `spiralScale` y con el parámetro
  * `microGain` de cada mover.
  */
 
@@ -38,7 +45,7 @@ const PATTERNS = ['bounce', 'orbit', 'lissajous', 'strafe', 'circular', 'spiral'
 // spiralBurst.  Los patrones de figura de ocho se basan en curvas de
 // Lissajous con distintas frecuencias.  Los patrones de espiral
 // producen trayectorias que crecen radialmente con el tiempo.
-const MICRO_PATTERNS = {
+export const MICRO_PATTERNS = {
   figure8: (t, gain, opts) => {
     const w = opts.w * gain;
     const x = Math.sin(w * t + (opts.phase1 || 0));
@@ -135,6 +142,169 @@ const MICRO_PATTERNS = {
 // iterar y validar entradas externas.
 const MICRO_PATTERN_NAMES = Object.keys(MICRO_PATTERNS);
 
+/*
+ * PATRONES PROPIOS
+ *
+ * Además de los patrones de MICRO_PATTERNS se pueden definir patrones
+ * con datos en `CFG.moverBehavior.patterns` (nombre → definición) para
+ * reproducir maniobras concretas (jink, barrel roll, break turn…).
+ * Participan en los pesos de rol y episodio igual que los de serie
+ * (sin peso valen 1).  Tipos:
+ *   lissajous    { ax, ay, fx, fy, phase }: x = ax·sin(fx·ωt),
+ *                y = ay·sin(fy·ωt + phase)
+ *   hypotrochoid { R, r, d }: curva del espirógrafo normalizada a 1
+ *   waypoints    { points: [[x, y]…], curve: 'linear' | 'smooth' }:
+ *                lazo cerrado por los puntos (‑1..1); cada tramo dura
+ *                lo mismo y 'smooth' lo suaviza con Catmull‑Rom
+ *   path         { points: [[x, y]…] }: trayectoria grabada a intervalos
+ *                regulares, recorrida una vez durante el micro‑patrón
+ * Todos aceptan `speed` (multiplica la frecuencia, 1 por defecto) y
+ * `scale: 'spiral'` para usar las amplitudes de las espirales en lugar
+ * de las de las figuras.  Las definiciones no válidas y los nombres de
+ * los patrones de serie se ignoran.
+ *
+ * Las definiciones se compilan cuando cambia el objeto
+ * `CFG.moverBehavior.patterns`; para editarlas hay que sustituirlo
+ * entero (como hacen el panel y la importación), no modificarlo.
+ */
+
+const num = (v, def) => (typeof v === 'number' && Number.isFinite(v) ? v : def);
+
+// Lista de puntos [x, y] válida con al menos `min` elementos, o null
+function pointList(points, min) {
+  if (!Array.isArray(points) || points.length < min) return null;
+  const ok = points.every(p => Array.isArray(p) && p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+  return ok ? points.map(p => ({ x: p[0], y: p[1] })) : null;
+}
+
+// Catmull‑Rom uniforme entre p1 y p2
+function catmullRom(p0, p1, p2, p3, u) {
+  const u2 = u * u;
+  const u3 = u2 * u;
+  const f = (a, b, c, d) => 0.5 * (2 * b + (c - a) * u + (2 * a - 5 * b + 4 * c - d) * u2 + (3 * b - a - 3 * c + d) * u3);
+  return { x: f(p0.x, p1.x, p2.x, p3.x), y: f(p0.y, p1.y, p2.y, p3.y) };
+}
+
+// Constructores de cada tipo: reciben la definición y devuelven una
+// función con la misma firma que las de MICRO_PATTERNS, o null
+const CUSTOM_PATTERN_TYPES = {
+  lissajous: (def, speed) => {
+    const ax = num(def.ax, 1);
+    const ay = num(def.ay, 1);
+    const fx = num(def.fx, 1);
+    const fy = num(def.fy, 2);
+    const phase = num(def.phase, 0);
+    return (t, gain, opts) => {
+      const w = opts.w * gain * speed;
+      return {
+        x: ax * Math.sin(fx * w * t + (opts.phase1 || 0)),
+        y: ay * Math.sin(fy * w * t + (opts.phase2 || 0) + phase)
+      };
+    };
+  },
+  hypotrochoid: (def, speed) => {
+    const R = num(def.R, 5);
+    const r = num(def.r, 3);
+    const d = num(def.d, 5);
+    if (r === 0) return null;
+    const k = (R - r) / r;
+    const norm = Math.abs(R - r) + Math.abs(d) || 1;
+    return (t, gain, opts) => {
+      const a = opts.w * gain * speed * t + (opts.phase1 || 0);
+      return {
+        x: ((R - r) * Math.cos(a) + d * Math.cos(k * a)) / norm,
+        y: ((R - r) * Math.sin(a) - d * Math.sin(k * a)) / norm
+      };
+    };
+  },
+  waypoints: (def, speed) => {
+    const pts = pointList(def.points, 3);
+    if (!pts) return null;
+    const n = pts.length;
+    const smooth = def.curve === 'smooth';
+    return (t, gain, opts) => {
+      // Una vuelta al lazo por cada 2π de fase, como las figuras de ocho
+      const cycles = (opts.w * gain * speed * t + (opts.phase1 || 0)) / (Math.PI * 2);
+      const s = (cycles - Math.floor(cycles)) * n;
+      const i = Math.floor(s) % n;
+      const u = s - Math.floor(s);
+      const p1 = pts[i];
+      const p2 = pts[(i + 1) % n];
+      if (smooth) return catmullRom(pts[(i - 1 + n) % n], p1, p2, pts[(i + 2) % n], u);
+      return { x: p1.x + (p2.x - p1.x) * u, y: p1.y + (p2.y - p1.y) * u };
+    };
+  },
+  path: (def, speed) => {
+    const pts = pointList(def.points, 2);
+    if (!pts) return null;
+    return (t, gain, opts) => {
+      const cycle = opts.duration > 0 ? clamp((opts.elapsed * speed) / opts.duration, 0, 1) : 0;
+      const s = cycle * (pts.length - 1);
+      const i = Math.min(pts.length - 2, Math.floor(s));
+      const u = s - i;
+      return { x: pts[i].x + (pts[i + 1].x - pts[i].x) * u, y: pts[i].y + (pts[i + 1].y - pts[i].y) * u };
+    };
+  }
+};
+
+// Patrones propios compilados a partir de `defs` (el objeto
+// `CFG.moverBehavior.patterns` con el que se compilaron)
+let customCache = { defs: null, fns: Object.create(null), spiral: new Set(), invalid: [] };
+
+function customPatterns() {
+  const defs = behavior().patterns;
+  if (defs === customCache.defs) return customCache;
+  // Sin prototipo: los nombres son libres ("__proto__", "toString"…)
+  const fns = Object.create(null);
+  const spiral = new Set();
+  const invalid = [];
+  for (const [name, def] of Object.entries(defs || {})) {
+    const make = def && typeof def === 'object' && Object.hasOwn(CUSTOM_PATTERN_TYPES, def.type) ? CUSTOM_PATTERN_TYPES[def.type] : null;
+    const fn = make && !Object.hasOwn(MICRO_PATTERNS, name) ? make(def, Math.max(0.05, num(def.speed, 1))) : null;
+    if (!fn) {
+      invalid.push(name);
+      continue;
+    }
+    fns[name] = fn;
+    if (def.scale === 'spiral') spiral.add(name);
+  }
+  customCache = { defs, fns, spiral, invalid };
+  return customCache;
+}
+
+/**
+ * Nombres de todos los micro‑patrones disponibles: los de serie y, a
+ * continuación, los propios válidos de `CFG.moverBehavior.patterns`.
+ * @returns {string[]}
+ */
+export function microPatternNames() {
+  return [...MICRO_PATTERN_NAMES, ...Object.keys(customPatterns().fns)];
+}
+
+/**
+ * Función de un micro‑patrón (de serie o propio) por su nombre, o
+ * `undefined` si no existe.
+ * @param {string} name nombre del patrón
+ */
+export function getMicroPattern(name) {
+  return Object.hasOwn(MICRO_PATTERNS, name) ? MICRO_PATTERNS[name] : customPatterns().fns[name];
+}
+
+/**
+ * Nombres de los patrones propios que no se han podido compilar
+ * (tipo desconocido, parámetros no válidos o nombre de un patrón de
+ * serie).
+ * @returns {string[]}
+ */
+export function invalidCustomPatterns() {
+  return customPatterns().invalid.slice();
+}
+
+// Indica si el patrón usa las amplitudes de las espirales
+function usesSpiralScale(name) {
+  return Object.hasOwn(MICRO_PATTERNS, name) ? name.includes('spiral') : customPatterns().spiral.has(name);
+}
+
 /*
  * ROLES
  *
@@ -145,29 +315,11 @@ const MICRO_PATTERN_NAMES = Object.keys(MICRO_PATTERNS);
  * tamaños, así como una preferencia de distancia al centro al
  * seleccionar un anchor (anchorBias).  Un valor positivo favorece
  * anchors lejanos; uno negativo favorece centros.
+ *
+ * Las tablas están en `CFG.moverBehavior.roles` (valores por defecto en
+ * MOVER_BEHAVIOR_DEFAULTS de config.js) para poder editarlas desde el
+ * panel sin tocar código.
  */
-const ROLES = {
-  Runner: {
-    anchorBias: 0.7,
-    patternWeights: { spiral: 2, spiralBurst: 1.5, figure8: 1, figure8Wide: 0.5, figure8Spiral: 0.5 },
-    tierWeights: { S: 1, M: 1.5, L: 2 }
-  },
-  Dancer: {
-    anchorBias: -0.2,
-    patternWeights: { figure8: 2, figure8Wide: 1.5, figure8Spiral: 1.2, spiral: 0.5, spiralBurst: 0.5 },
-    tierWeights: { S: 1.5, M: 1, L: 0.8 }
-  },
-  Trickster: {
-    anchorBias: 0.0,
-    patternWeights: { figure8Wide: 2, figure8Spiral: 2, spiralBurst: 1, spiral: 0.8, figure8: 0.8 },
-    tierWeights: { S: 1, M: 1, L: 1 }
-  },
-  Kiter: {
-    anchorBias: 0.5,
-    patternWeights: { spiral: 1.8, spiralBurst: 1.8, figure8: 1, figure8Wide: 0.5, figure8Spiral: 0.5 },
-    tierWeights: { S: 0.8, M: 1.2, L: 1.8 }
-  }
-};
 
 /*
  * EPISODES
@@ -181,52 +333,57 @@ const ROLES = {
  * sesgo de anchor y una velocidad de macro desplazamiento
  * (macroSpeed) que influye en la duración de la transición de
  * anchors.
+ *
+ * Las tablas están en `CFG.moverBehavior.episodes`.
  */
-const EPISODES = {
-  Explore: {
-    anchorBias: 0.2,
-    patternWeights: { figure8: 1, figure8Wide: 1, figure8Spiral: 0.7, spiral: 0.6, spiralBurst: 0.5, rosette: 0.8, swerveStop: 0.8 },
-    tierWeights: { S: 1.2, M: 1.0, L: 0.8 },
-    macroSpeed: 1.1
-  },
-  Perform: {
-    anchorBias: 0.0,
-    patternWeights: { figure8: 2, figure8Wide: 1.5, figure8Spiral: 1.2, spiral: 1.2, spiralBurst: 1.0, rosette: 0.7, swerveStop: 0.5 },
-    tierWeights: { S: 0.8, M: 1.2, L: 1.6 },
-    macroSpeed: 0.7
-  },
-  Evade: {
-    anchorBias: 0.6,
-    patternWeights: { figure8: 0.7, figure8Wide: 0.7, figure8Spiral: 0.8, spiral: 0.6, spiralBurst: 0.8, rosette: 1.0, swerveStop: 1.5 },
-    tierWeights: { S: 1.6, M: 1.0, L: 0.7 },
-    macroSpeed: 1.4
-  },
-  Kite: {
-    anchorBias: 0.8,
-    patternWeights: { figure8: 0.8, figure8Wide: 0.6, figure8Spiral: 0.7, spiral: 1.5, spiralBurst: 1.3, rosette: 1.2, swerveStop: 0.6 },
-    tierWeights: { S: 0.9, M: 1.1, L: 1.4 },
-    macroSpeed: 1.0
-  }
-};
 
-// Número máximo de movers permitidos por episodio.  Limitar la
-// presencia simultánea evita que todos se comporten igual.  Si se
-// alcanzan estos límites, se elige el episodio con menos
+// Tablas de comportamiento activas
+function behavior() {
+  return CFG.moverBehavior;
+}
+
+// Peso de `name` en una tabla de pesos.  Los que faltan valen 1; 0
+// descarta la opción.
+function weightOf(weights, name) {
+  const w = weights ? weights[name] : undefined;
+  return typeof w === 'number' && w >= 0 ? w : 1;
+}
+
+// Tabla del rol y del episodio del mover (o null)
+function roleOf(m) {
+  return (m.role && behavior().roles[m.role]) || null;
+}
+function episodeOf(m) {
+  return (m.episode && behavior().episodes[m.episode]) || null;
+}
+
+// Número máximo de movers permitidos por episodio o por rol.  Limitar
+// la presencia simultánea evita que todos se comporten igual.  El
+// límite es el reparto uniforme de `CFG.moversCount` entre los
+// `kinds` episodios o roles con un 25 % de margen, y nunca menos de 2:
+// con pocos movers queda en 2 y con multitudes crece con la cantidad.
+// Si se alcanzan estos límites, se elige el que tenga menos
 // instancias.
-const EPISODE_MAX_COUNT = 2;
+const CLONE_MIN_LIMIT = 2;
+const CLONE_SLACK = 1.25;
+
+function cloneLimit(kinds) {
+  return Math.max(CLONE_MIN_LIMIT, Math.ceil((CFG.moversCount | 0) * CLONE_SLACK / Math.max(1, kinds)));
+}
 
 // Registro temporal de cuántos movers hay en cada episodio.
 const episodeCounts = {};
 
 // Elige un episodio aleatorio respetando la restricción de clones.
 function pickEpisode() {
-  for (const e in EPISODES) {
+  for (const e in behavior().episodes) {
     if (episodeCounts[e] == null) episodeCounts[e] = 0;
   }
-  const candidates = Object.entries(episodeCounts).filter(([name, count]) => count < EPISODE_MAX_COUNT);
+  const limit = cloneLimit(Object.keys(episodeCounts).length);
+  const candidates = Object.entries(episodeCounts).filter(([name, count]) => count < limit);
   let chosen;
   if (candidates.length > 0) {
-    const idx = Math.floor(Math.random() * candidates.length);
+    const idx = Math.floor(random() * candidates.length);
     chosen = candidates[idx][0];
   } else {
     // elige el episodio con menos instancias
@@ -242,9 +399,6 @@ function pickEpisode() {
   return chosen;
 }
 
-// Número máximo de movers permitidos por rol para evitar clones.
-const ROLE_MAX_COUNT = 2;
-
 // Registro temporal de cuántos movers hay en cada rol.  Se inicializa
 // dinámicamente en spawn.
 const roleCounts = {};
@@ -254,14 +408,15 @@ const roleCounts = {};
 // tenga menos instancias.  Devuelve el nombre del rol.
 function pickRole() {
   // Inicializa recuento
-  for (const r in ROLES) {
+  for (const r in behavior().roles) {
     if (roleCounts[r] == null) roleCounts[r] = 0;
   }
-  const candidates = Object.entries(roleCounts).filter(([name, count]) => count < ROLE_MAX_COUNT);
+  const limit = cloneLimit(Object.keys(roleCounts).length);
+  const candidates = Object.entries(roleCounts).filter(([name, count]) => count < limit);
   let chosen;
   if (candidates.length > 0) {
     // Elige uno al azar entre los que no están saturados
-    const idx = Math.floor(Math.random() * candidates.length);
+    const idx = Math.floor(random() * candidates.length);
     chosen = candidates[idx][0];
   } else {
     // Busca el rol con menos instancias
@@ -277,6 +432,13 @@ function pickRole() {
   return chosen;
 }
 
+// Descuenta el rol y el episodio de un mover que se retira o se
+// sustituye
+function releaseRoleAndEpisode(m) {
+  if (m.role && roleCounts[m.role] != null) roleCounts[m.role] = Math.max(0, roleCounts[m.role] - 1);
+  if (m.episode && episodeCounts[m.episode] != null) episodeCounts[m.episode] = Math.max(0, episodeCounts[m.episode] - 1);
+}
+
 /*
  * A partir de aquí se definen las constantes y estructuras necesarias
  * para implementar la nueva lógica de los movers.  En lugar de
@@ -299,55 +461,51 @@ function pickRole() {
 const HEAT_COLS = 16;
 const HEAT_ROWS = 9;
 
-// Parámetros de decaimiento e incremento del heatmap.  Cada frame los
-// valores se multiplican por HEATMAP_DECAY y se incrementa 1.0 en la
-// celda del anchor activo.  Los anchors se elegirán favoreciendo
-// celdas con menos calor y alejadas de otros movers y blancos.
-const HEATMAP_DECAY  = 0.98;
+// Incremento del heatmap.  Cada frame los valores se multiplican por
+// `CFG.moverBehavior.heatmapDecay` y se incrementa la celda del anchor
+// activo.  Los anchors se elegirán favoreciendo celdas con menos calor
+// y alejadas de otros movers y blancos.
 const HEATMAP_INCREMENT = 1.0;
 
-// Intervalo de reevaluación de anchors (milisegundos).  Al expirar
-// este tiempo se elige una nueva posición de anchor en pantalla.  Para
-// dar variedad se emplea un rango aleatorio entre estos valores.
-const ANCHOR_MIN_MS = 2500;
-const ANCHOR_MAX_MS = 6000;
+// Rejillas de vecinos (ver utils/spatialHash.js) que `updateMovers`
+// rellena en cada frame para no comparar cada mover con todos los
+// demás: posiciones en pantalla de los movers vivos, para la
+// separación y la evitación predictiva, y anclas de todos, para
+// repartir los destinos en `chooseNewAnchorTarget`.  Los ids son los
+// índices en `state.movers`.
+const ANCHOR_CELL_PX = 120;
+const neighbourGrid = createSpatialHash(128);
+const anchorGrid = createSpatialHash(ANCHOR_CELL_PX);
 
-// Duración mínima y máxima de cada micro‑patrón (figure‑8 o espiral).
-// Una vez que expira se alternará el tipo y el tamaño según una
-// secuencia S→M→L→M→S…
-const MICRO_MIN_MS   = 2500;
-const MICRO_MAX_MS   = 5000;
-
-// Tiempo de mezcla al cambiar de tamaño o de patrón (milisegundos).
-// Se hace una interpolación lineal entre el desplazamiento anterior y
-// el nuevo para evitar cortes bruscos.
-const MICRO_BLEND_MS = 600;
+// Los tiempos del ancla (`anchorMinMs`..`anchorMaxMs`), de los
+// micro‑patrones (`microMinMs`..`microMaxMs`, `microBlendMs`) y las
+// escalas de tamaño (`tierScale`, `spiralScale`) también están en
+// `CFG.moverBehavior`.  Los tamaños alternan según la secuencia
+// S→M→L→M→S…
 
 // Secuencia de tamaños.  La secuencia incluye un retroceso para que
 // después de "L" vuelva a "M" y luego a "S".
 const MICRO_TIERS = ['S', 'M', 'L', 'M', 'S'];
 
-// Factores de amplitud para los patrones de figure‑8.  Cada tamaño
-// representa un porcentaje del espacio disponible en X e Y.  Al ser
-// valores proporcionales al "limX" y "limY", se adaptan a la
-// resolución de la ventana.
-// Factores de amplitud para los patrones de figure‑8.  Ajustamos
-// estos valores para aumentar la legibilidad y aprovechar mejor la
-// pantalla.  Los valores anteriores (0.12, 0.25, 0.38) resultaban
-// pequeños en resoluciones grandes.  Ahora S usa ~15 % del ancho,
-// M ~35 % y L ~60 % del espacio horizontal (en vertical se adapta al
-// alto).  L recorre gran parte de la pantalla para patrones más
-// amplios.
-const TIER_SCALE = { S: 0.15, M: 0.35, L: 0.60 };
-
-// Factores de radio máximo para los patrones de espiral.  Al igual
-// que TIER_SCALE se expresan como porcentaje del menor de limX y limY.
-// Factores de radio máximo para los patrones de espiral.  Se elevan
-// respecto a la versión anterior para que las espirales abarquen una
-// porción mayor de la pantalla.  L alcanza ~75 % del semieje
-// menor, creando grandes remolinos; S y M son proporciones más
-// pequeñas pero igualmente legibles.
-const SPIRAL_SCALE = { S: 0.25, M: 0.50, L: 0.75 };
+/**
+ * Amplitud en píxeles de un micro‑patrón.  Las espirales usan un radio
+ * proporcional al menor de los semiejes; el resto escala cada eje por
+ * separado.  Se exporta para que `tools/micro_simulation.js` mida los
+ * mismos tamaños que el juego.
+ * @param {string} patternName nombre del patrón (ver MICRO_PATTERNS)
+ * @param {string} tier tamaño 'S', 'M' o 'L'
+ * @param {number} limX semiancho útil de la pantalla
+ * @param {number} limY semialto útil de la pantalla
+ * @returns {{ampX:number, ampY:number}}
+ */
+export function microAmplitude(patternName, tier, limX, limY) {
+  const b = behavior();
+  if (usesSpiralScale(patternName)) {
+    const base = b.spiralScale[tier] * Math.min(limX, limY);
+    return { ampX: base, ampY: base };
+  }
+  return { ampX: b.tierScale[tier] * limX, ampY: b.tierScale[tier] * limY };
+}
 
 // Heatmap global.  Cada celda almacena un valor acumulado de
 // ocupación que se incrementa cuando un mover se ancla allí y decae
@@ -355,14 +513,15 @@ const SPIRAL_SCALE = { S: 0.25, M: 0.50, L: 0.75 };
 // las posiciones de los anchors.
 let heatMap = Array.from({ length: HEAT_ROWS }, () => new Array(HEAT_COLS).fill(0));
 
-// Decae el heatmap multiplicando cada celda por HEATMAP_DECAY.  Se
+// Decae el heatmap multiplicando cada celda por `heatmapDecay`.  Se
 // invoca al comienzo de cada frame para evitar acumulaciones
 // permanentes.
 function decayHeatMap() {
+  const decay = behavior().heatmapDecay;
   for (let r = 0; r < HEAT_ROWS; r++) {
     const row = heatMap[r];
     for (let c = 0; c < HEAT_COLS; c++) {
-      row[c] *= HEATMAP_DECAY;
+      row[c] *= decay;
     }
   }
 }
@@ -381,84 +540,6 @@ function getCellForPos(sx, sy, limX, limY) {
   return { row, col };
 }
 
-// Selecciona una nueva celda de anchor para el mover `m`.  Se evalúan
-// varias celdas aleatorias y se calcula una puntuación basada en el
-// calor, la distancia a otros movers, la distancia a los blancos y la
-// preferencia de alejarse del centro si el modo de huida está activo.
-function chooseNewAnchor(m, t, limX, limY, liveTargetsScr, moversList) {
-  let best = null;
-  // Realizamos varios intentos al azar para encontrar una celda
-  // adecuada.  Cuantos más intentos, más uniforme la distribución.
-  for (let attempt = 0; attempt < 20; attempt++) {
-    const c = Math.floor(rand(0, HEAT_COLS));
-    const r = Math.floor(rand(0, HEAT_ROWS));
-    const cellHeat = heatMap[r][c];
-    // Coordenada central de la celda candidate
-    const cellW = (limX * 2) / HEAT_COLS;
-    const cellH = (limY * 2) / HEAT_ROWS;
-    const sx = -limX + (c + 0.5) * cellW;
-    const sy = -limY + (r + 0.5) * cellH;
-    // Distancia mínima a anchors de otros movers
-    let minDistMovers = Infinity;
-    for (const other of moversList) {
-      if (other === m) continue;
-      if (other.anchorSx === undefined || other.anchorSy === undefined) continue;
-      const dxs = sx - other.anchorSx;
-      const dys = sy - other.anchorSy;
-      const d = Math.hypot(dxs, dys);
-      if (d < minDistMovers) minDistMovers = d;
-    }
-    // Distancia mínima a blancos vivos
-    let minDistTg = Infinity;
-    for (const tg of liveTargetsScr) {
-      const dxs = sx - tg.sx;
-      const dys = sy - tg.sy;
-      const d = Math.hypot(dxs, dys) - (tg.r + m.r + 60);
-      if (d < minDistTg) minDistTg = d;
-    }
-    // Distancia al centro (jugador).  Se usa para favorecer posiciones
-    // alejadas cuando el modo flee está activo.
-    const distCenter = Math.hypot(sx, sy);
-    // Cálculo de la puntuación.  Un calor bajo mejora la puntuación,
-    // mayor distancia a otros movers también, mientras que estar muy
-    // cerca de un blanco penaliza.  Si flee está activo se premian
-    // posiciones alejadas del centro.  Además cada rol aporta un
-    // sesgo hacia anchors más alejados o más cercanos según su
-    // anchorBias.
-    let score = 0;
-    // menor calor => mejor
-    score += (1 - cellHeat * 0.1);
-    // distancia a otros movers normalizada
-    score += (minDistMovers / Math.max(limX, limY)) * 1.2;
-    // penaliza si invade un blanco
-    if (minDistTg < 0) score -= 2.0;
-    // distancia al centro si flee
-    if (CFG.moversFlee) {
-      score += (distCenter / Math.max(limX, limY)) * 0.5;
-    }
-    // Sesgo del rol: favorece o penaliza anchors lejanos.  Un valor
-    // positivo incrementa la puntuación cuanto más lejos del centro.
-    const roleBias = (m.role && ROLES[m.role]) ? ROLES[m.role].anchorBias : 0;
-    score += (distCenter / Math.max(limX, limY)) * roleBias;
-    if (!best || score > best.score) {
-      best = { row: r, col: c, sx, sy, score };
-    }
-  }
-  // Si se encontró una celda adecuada, actualizamos el anchor
-  if (best) {
-    m.anchorSx = best.sx;
-    m.anchorSy = best.sy;
-    m.anchorExpires = t + rand(ANCHOR_MIN_MS, ANCHOR_MAX_MS);
-    heatMap[best.row][best.col] += HEATMAP_INCREMENT;
-  } else {
-    // Como último recurso se asigna un punto aleatorio dentro de la
-    // pantalla
-    m.anchorSx = rand(-limX * 0.8, limX * 0.8);
-    m.anchorSy = rand(-limY * 0.8, limY * 0.8);
-    m.anchorExpires = t + rand(ANCHOR_MIN_MS, ANCHOR_MAX_MS);
-  }
-}
-
 /**
  * Selecciona un nuevo anchorTarget para un mover y calcula la
  * velocidad de transición hasta él.  Esta función implementa el
@@ -474,14 +555,17 @@ function chooseNewAnchor(m, t, limX, limY, liveTargetsScr, moversList) {
  * @param {number} limX semi‑ancho de la pantalla
  * @param {number} limY semi‑alto de la pantalla
  * @param {Array} liveTargetsScr blancos vivos en coords de pantalla
- * @param {Array} moversList lista de todos los movers
+ * @param {number} id índice del mover en `state.movers` (su id en
+ *   `anchorGrid`)
  */
-function chooseNewAnchorTarget(m, t, limX, limY, liveTargetsScr, moversList) {
+function chooseNewAnchorTarget(m, t, limX, limY, liveTargetsScr, id) {
   let best = null;
   // determinamos el sesgo de anchor combinando rol y episodio
   let bias = 0;
-  if (m.role && ROLES[m.role]) bias += ROLES[m.role].anchorBias || 0;
-  if (m.episode && EPISODES[m.episode]) bias += EPISODES[m.episode].anchorBias || 0;
+  const role = roleOf(m);
+  const episode = episodeOf(m);
+  if (role) bias += role.anchorBias || 0;
+  if (episode) bias += episode.anchorBias || 0;
   // Intenta varios candidatos al azar
   for (let attempt = 0; attempt < 25; attempt++) {
     const c = Math.floor(rand(0, HEAT_COLS));
@@ -491,20 +575,12 @@ function chooseNewAnchorTarget(m, t, limX, limY, liveTargetsScr, moversList) {
     const cellW = (limX * 2) / HEAT_COLS;
     const cellH = (limY * 2) / HEAT_ROWS;
     // Jitter dentro de la celda para evitar puntos fijos
-    const jitterX = (Math.random() - 0.5) * cellW * 0.8;
-    const jitterY = (Math.random() - 0.5) * cellH * 0.8;
+    const jitterX = (random() - 0.5) * cellW * 0.8;
+    const jitterY = (random() - 0.5) * cellH * 0.8;
     const sx = -limX + (c + 0.5) * cellW + jitterX;
     const sy = -limY + (r + 0.5) * cellH + jitterY;
-    // Distancias a otros movers
-    let minDistMovers = Infinity;
-    for (const other of moversList) {
-      if (other === m) continue;
-      if (other.anchorPosSx === undefined || other.anchorPosSy === undefined) continue;
-      const dxs = sx - other.anchorPosSx;
-      const dys = sy - other.anchorPosSy;
-      const d = Math.hypot(dxs, dys);
-      if (d < minDistMovers) minDistMovers = d;
-    }
+    // Distancia al ancla de otro mover más cercana
+    const minDistMovers = anchorGrid.nearest(sx, sy, id);
     // Distancia a blancos vivos
     let minDistTg = Infinity;
     for (const tg of liveTargetsScr) {
@@ -535,9 +611,9 @@ function chooseNewAnchorTarget(m, t, limX, limY, liveTargetsScr, moversList) {
     const prevX = m.anchorPosSx != null ? m.anchorPosSx : 0;
     const prevY = m.anchorPosSy != null ? m.anchorPosSy : 0;
     const dist = Math.hypot(best.sx - prevX, best.sy - prevY) || 1;
-    // duración entre 2000–5000 ms modificada por macroSpeed del episodio
-    const macroSpeed = (m.episode && EPISODES[m.episode]) ? EPISODES[m.episode].macroSpeed : 1;
-    const baseDur = rand(2000, 5000) / macroSpeed;
+    // duración entre anchorMinMs y anchorMaxMs modificada por macroSpeed del episodio
+    const macroSpeed = episode ? Math.max(0.1, episode.macroSpeed) : 1;
+    const baseDur = rand(behavior().anchorMinMs, behavior().anchorMaxMs) / macroSpeed;
     // si la distancia es muy grande, aumentamos la duración para evitar saltos bruscos
     const dur = baseDur + dist * 0.3;
     m.anchorTargetSx = best.sx;
@@ -556,7 +632,7 @@ function chooseNewAnchorTarget(m, t, limX, limY, liveTargetsScr, moversList) {
     const prevX = m.anchorPosSx != null ? m.anchorPosSx : 0;
     const prevY = m.anchorPosSy != null ? m.anchorPosSy : 0;
     const dist = Math.hypot(sx - prevX, sy - prevY) || 1;
-    const baseDur = rand(2000, 5000);
+    const baseDur = rand(behavior().anchorMinMs, behavior().anchorMaxMs);
     const dur = baseDur + dist * 0.3;
     m.anchorTargetSx = sx;
     m.anchorTargetSy = sy;
@@ -586,7 +662,7 @@ function chooseNewMicro(m, t) {
   // Determinamos el conjunto de patrones candidatos.  Si no se ha
   // producido una figura de ocho en varios ciclos se fuerza un
   // patrón de esa familia (anti‑sequía).
-  let candidates = MICRO_PATTERN_NAMES;
+  let candidates = microPatternNames();
   const forceFigure = (m.nonFigureCount != null && m.nonFigureCount >= 3);
   if (forceFigure) {
     candidates = MICRO_PATTERN_NAMES.filter(n => n.startsWith('figure8'));
@@ -597,19 +673,19 @@ function chooseNewMicro(m, t) {
   // Pesos combinados de rol y episodio.  Se multiplican los pesos
   // para acentuar las preferencias.  Si algún patrón no tiene peso
   // definido, se considera 1.
-  const rolePat = (m.role && ROLES[m.role]) ? ROLES[m.role].patternWeights : {};
-  const epiPat = (m.episode && EPISODES[m.episode]) ? EPISODES[m.episode].patternWeights : {};
+  const rolePat = roleOf(m) ? roleOf(m).patternWeights : {};
+  const epiPat = episodeOf(m) ? episodeOf(m).patternWeights : {};
   let sum = 0;
   const cum = [];
   for (let i = 0; i < candidates.length; i++) {
     const name = candidates[i];
-    const wRole = rolePat[name] || 1;
-    const wEpi = epiPat[name] || 1;
+    const wRole = weightOf(rolePat, name);
+    const wEpi = weightOf(epiPat, name);
     const w = wRole * wEpi;
     sum += w;
     cum.push(sum);
   }
-  const rPick = Math.random() * sum;
+  const rPick = random() * sum;
   let chosenName = candidates[0];
   for (let i = 0; i < cum.length; i++) {
     if (rPick <= cum[i]) { chosenName = candidates[i]; break; }
@@ -620,8 +696,8 @@ function chooseNewMicro(m, t) {
   // prefieren cierto tamaño.  Sumamos los pesos del rol y
   // seleccionamos el siguiente tier con esas probabilidades.
   // Pesos combinados de rol y episodio para tamaños
-  const roleTier = (m.role && ROLES[m.role]) ? ROLES[m.role].tierWeights : { S: 1, M: 1, L: 1 };
-  const epiTier = (m.episode && EPISODES[m.episode]) ? EPISODES[m.episode].tierWeights : { S: 1, M: 1, L: 1 };
+  const roleTier = roleOf(m) ? roleOf(m).tierWeights : { S: 1, M: 1, L: 1 };
+  const epiTier = episodeOf(m) ? episodeOf(m).tierWeights : { S: 1, M: 1, L: 1 };
   // Calculamos un nuevo tier index aleatorio influenciado por weights.
   // Para mantener la alternancia suavizamos la probabilidad de moverse
   // hacia el siguiente en la secuencia.
@@ -630,13 +706,13 @@ function chooseNewMicro(m, t) {
   let tierSum = 0;
   const tierCum = [];
   for (const tName of tierCandidates) {
-    const wRole = roleTier[tName] || 1;
-    const wEpi = epiTier[tName] || 1;
+    const wRole = weightOf(roleTier, tName);
+    const wEpi = weightOf(epiTier, tName);
     const w = wRole * wEpi;
     tierSum += w;
     tierCum.push(tierSum);
   }
-  const trPick = Math.random() * tierSum;
+  const trPick = random() * tierSum;
   let chosenTierName = tierCandidates[0];
   for (let i = 0; i < tierCum.length; i++) {
     if (trPick <= tierCum[i]) { chosenTierName = tierCandidates[i]; break; }
@@ -651,7 +727,7 @@ function chooseNewMicro(m, t) {
   // durar un poco más para que se puedan leer.  Además se aplica un
   // ligero ajuste si el mover está amenazado (se gestionará en la
   // actualización principal).
-  const baseDur = rand(MICRO_MIN_MS, MICRO_MAX_MS);
+  const baseDur = rand(behavior().microMinMs, behavior().microMaxMs);
   // microDuration se recalculará en updateMovers según nivel de amenaza
   m.microDuration = baseDur;
   m.microBlendStart = t;
@@ -665,17 +741,17 @@ function chooseNewMicro(m, t) {
     m.nonFigureCount = (m.nonFigureCount || 0) + 1;
   }
   // Actualizamos lateralidad ocasionalmente para evitar sincronización
-  if (Math.random() < 0.3) {
-    m.fleeSide = (Math.random() < 0.5 ? 1 : -1);
+  if (random() < 0.3) {
+    m.fleeSide = (random() < 0.5 ? 1 : -1);
   }
 }
 
-// Calcula el desplazamiento local del micro‑patrón para el mover `m`.
-// Recibe el tiempo actual y los límites de pantalla.  Devuelve un
-// objeto {x, y} con las coordenadas relativas en pantalla.  La
-// interpolación lineal asegura transiciones suaves entre patrones y
-// tamaños.
-function computeMicroOffset(m, t, limX, limY) {
+// Desplazamiento del micro‑patrón del mover `m` en el instante `t`, con
+// el marco del patrón girado `frameAngle` y el ancla en (anchorSx,
+// anchorSy), ya escalado y con el clamp suave pero sin la mezcla con el
+// patrón anterior.  No modifica el mover, así que también sirve para
+// la vista previa de la trayectoria (ver previewMicroPath).
+function patternOffset(m, t, limX, limY, frameAngle, anchorSx, anchorSy) {
   // Calcula el desplazamiento del micro‑patrón usando la nueva
   // colección de patrones y parámetros personalizados.  Se obtienen
   // valores normalizados de la función de patrón y luego se escalan
@@ -683,7 +759,7 @@ function computeMicroOffset(m, t, limX, limY) {
   const dtMs = t - (m.microStart || 0);
   const elapsedSec = dtMs * 0.001;
   const patternName = m.microPattern || (m.microType === 'figure8' ? 'figure8' : 'spiral');
-  const fn = MICRO_PATTERNS[patternName] || MICRO_PATTERNS.figure8;
+  const fn = getMicroPattern(patternName) || MICRO_PATTERNS.figure8;
   // Factor de frecuencia actual (w) ya modulado en updateMovers
   const opts = {
     w: (m.wCurrent || 1) * (CFG.moversSpeed || 1),
@@ -697,8 +773,8 @@ function computeMicroOffset(m, t, limX, limY) {
   // Obtenemos desplazamiento normalizado
   let pt = fn(elapsedSec, g, opts);
   // Rotación del patrón en un marco que gira lentamente
-  if (m.frameAngle != null) {
-    const a = m.frameAngle;
+  if (frameAngle != null) {
+    const a = frameAngle;
     const cosA = Math.cos(a);
     const sinA = Math.sin(a);
     const rx = pt.x * cosA - pt.y * sinA;
@@ -706,16 +782,7 @@ function computeMicroOffset(m, t, limX, limY) {
     pt = { x: rx, y: ry };
   }
   // Escalado según tamaño y tipo de patrón
-  let ampX = 0;
-  let ampY = 0;
-  if (patternName.includes('spiral')) {
-    const base = SPIRAL_SCALE[m.microTier] * Math.min(limX, limY);
-    ampX = base;
-    ampY = base;
-  } else {
-    ampX = TIER_SCALE[m.microTier] * limX;
-    ampY = TIER_SCALE[m.microTier] * limY;
-  }
+  const { ampX, ampY } = microAmplitude(patternName, m.microTier, limX, limY);
   let ox = pt.x * ampX;
   let oy = pt.y * ampY;
   // Feints: fase invertida temporal
@@ -729,8 +796,6 @@ function computeMicroOffset(m, t, limX, limY) {
     oy += zz * ampY * 0.3;
   }
   // Clamp suave: calculamos factor radial para mantener el patrón dentro de pantalla sin recortar
-  const anchorSx = m.anchorPosSx != null ? m.anchorPosSx : (m.anchorSx || 0);
-  const anchorSy = m.anchorPosSy != null ? m.anchorPosSy : (m.anchorSy || 0);
   const buffer = m.r + 20;
   const maxDx = limX - Math.abs(anchorSx) - buffer;
   const maxDy = limY - Math.abs(anchorSy) - buffer;
@@ -744,12 +809,25 @@ function computeMicroOffset(m, t, limX, limY) {
   }
   ox *= scale;
   oy *= scale;
+  return { x: ox, y: oy };
+}
+
+// Calcula el desplazamiento local del micro‑patrón para el mover `m`.
+// Recibe el tiempo actual y los límites de pantalla.  Devuelve un
+// objeto {x, y} con las coordenadas relativas en pantalla.  La
+// interpolación lineal asegura transiciones suaves entre patrones y
+// tamaños.
+function computeMicroOffset(m, t, limX, limY) {
+  const anchorSx = m.anchorPosSx != null ? m.anchorPosSx : (m.anchorSx || 0);
+  const anchorSy = m.anchorPosSy != null ? m.anchorPosSy : (m.anchorSy || 0);
+  const { x: ox, y: oy } = patternOffset(m, t, limX, limY, m.frameAngle, anchorSx, anchorSy);
   // Interpolación con el desplazamiento anterior para suavizar las transiciones
   let resultX = ox;
   let resultY = oy;
   if (m.prevOffset) {
     const bdt = t - (m.microBlendStart || 0);
-    const alpha = Math.max(0, Math.min(1, MICRO_BLEND_MS > 0 ? bdt / MICRO_BLEND_MS : 1));
+    const blendMs = behavior().microBlendMs;
+    const alpha = Math.max(0, Math.min(1, blendMs > 0 ? bdt / blendMs : 1));
     resultX = m.prevOffset.x * (1 - alpha) + ox * alpha;
     resultY = m.prevOffset.y * (1 - alpha) + oy * alpha;
     if (alpha >= 1) {
@@ -761,20 +839,87 @@ function computeMicroOffset(m, t, limX, limY) {
   return { x: resultX, y: resultY };
 }
 
+// Semiejes útiles de la pantalla en los que se mueven las anclas
+function screenLimits() {
+  return { limX: state.viewport.width / 2 - MARGIN, limY: state.viewport.height / 2 - MARGIN };
+}
+
+/**
+ * Heatmap de anclas para la capa de depuración.  Las celdas cubren el
+ * rectángulo ‑limX..limX × ‑limY..limY de la pantalla, relativo al
+ * centro.  `cells[row][col]` es el propio mapa: no debe modificarse.
+ * @returns {{cells:number[][], cols:number, rows:number, limX:number, limY:number}}
+ */
+export function getHeatMap() {
+  return { cells: heatMap, cols: HEAT_COLS, rows: HEAT_ROWS, ...screenLimits() };
+}
+
+/**
+ * Trayectoria prevista del mover durante el resto de su micro‑patrón
+ * (como mucho `horizonMs`), para la capa de depuración.  Avanza el
+ * ancla y el giro del marco con sus velocidades actuales; no incluye la
+ * mezcla con el patrón anterior ni las esquivas.  No modifica el mover.
+ * @param {Object} m mover
+ * @param {number} [horizonMs] tiempo máximo previsto
+ * @param {number} [steps] número de tramos
+ * @returns {{sx:number, sy:number}[]} puntos en pantalla, relativos al centro
+ */
+export function previewMicroPath(m, horizonMs = 1500, steps = 40) {
+  const { limX, limY } = screenLimits();
+  const t0 = nowMs();
+  const end = m.microNextSwitch != null ? Math.min(t0 + horizonMs, m.microNextSwitch) : t0 + horizonMs;
+  const span = Math.max(0, end - t0);
+  const anchorEnd = m.anchorMoveEnd != null ? m.anchorMoveEnd : t0;
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const dt = span * i / steps;
+    const da = Math.max(0, Math.min(dt, anchorEnd - t0));
+    const ax = (m.anchorPosSx || 0) + (m.anchorVelSx || 0) * da;
+    const ay = (m.anchorPosSy || 0) + (m.anchorVelSy || 0) * da;
+    const frame = m.frameAngle != null ? m.frameAngle + (m.frameRate || 0) * dt : null;
+    const off = patternOffset(m, t0 + dt, limX, limY, frame, ax, ay);
+    points.push({ sx: ax + off.x, sy: ay + off.y });
+  }
+  return points;
+}
+
+// Modos en los que los movers son los únicos blancos
+export const MOVER_MODES = ['tracking', 'lockon'];
+
+/**
+ * Indica si hay movers en juego.  En los modos de MOVER_MODES son los
+ * únicos blancos, así que cuentan siempre; en los demás dependen de
+ * `CFG.moversEnabled`.
+ */
+export function moversInPlay() {
+  return MOVER_MODES.includes(CFG.gameMode) || CFG.moversEnabled;
+}
+
 /**
  * Asegura que el número de movers en `state.movers` coincide con
- * `CFG.moversCount` siempre que estén habilitados.  Si no están
- * habilitados (`CFG.moversEnabled` es false) se vacía el array.
+ * `CFG.moversCount` siempre que estén en juego (ver `moversInPlay()`).
+ * Si no lo están se vacía el array.
  */
 export function ensureMoversCount() {
-  const n = CFG.moversEnabled ? clamp((CFG.moversCount | 0), 0, 5) : 0;
+  const n = moversInPlay() ? clamp((CFG.moversCount | 0), 0, MOVERS_MAX) : 0;
   CFG.moversCount = n;
-  if (n === 0) {
-    state.movers.length = 0;
-    return;
-  }
   while (state.movers.length < n) state.movers.push(spawnMoverInWindow());
-  while (state.movers.length > n) state.movers.pop();
+  while (state.movers.length > n) releaseRoleAndEpisode(state.movers.pop());
+}
+
+/**
+ * Elimina todos los movers y reinicia el estado compartido del módulo
+ * (heatmap, recuentos de roles y episodios y estado de las
+ * formaciones).  Tras llamarla, los
+ * movers que se creen con `ensureMoversCount()` dependen sólo de la
+ * semilla del generador, lo que permite repetir una partida idéntica.
+ */
+export function resetMoversState() {
+  state.movers.length = 0;
+  for (const row of heatMap) row.fill(0);
+  for (const k of Object.keys(roleCounts)) delete roleCounts[k];
+  for (const k of Object.keys(episodeCounts)) delete episodeCounts[k];
+  flockGroups.length = 0;
 }
 
 /**
@@ -809,9 +954,9 @@ export function respawnAllMovers() {
  * que el movimiento se mantenga relativo a la pantalla.
  */
 export function spawnMoverInWindow() {
-  const canvas = state.canvas;
-  const limX = canvas.width / 2 - MARGIN;
-  const limY = canvas.height / 2 - MARGIN;
+  const view = state.viewport;
+  const limX = view.width / 2 - MARGIN;
+  const limY = view.height / 2 - MARGIN;
   const cos = Math.cos(state.rollAngle);
   const sin = Math.sin(state.rollAngle);
   // El tamaño de los movers se controla con CFG.moversR.  Aseguramos un
@@ -840,7 +985,7 @@ export function spawnMoverInWindow() {
   // cambiará al siguiente.  También inicializamos contadores de vidas
   // (hits) y velocidad de huida (escapeBoost), así como la marca de
   // último disparo para poder regenerar las vidas.
-  const pattern = PATTERNS[Math.floor(Math.random() * PATTERNS.length)];
+  const pattern = PATTERNS[Math.floor(random() * PATTERNS.length)];
   // Calculamos la posición inicial en coordenadas de mundo.  Almacenar
   // estos valores nos permitirá definir un “centro” propio para cada
   // mover, de modo que sus patrones de movimiento no dependan del
@@ -873,31 +1018,31 @@ export function spawnMoverInWindow() {
   // Inicializamos microGain para el primer patrón
   const initialMicroGain = rand(dna.microGainMin, dna.microGainMax);
   // Elegimos patrón inicial basado en el rol
-  const weights = ROLES[role]?.patternWeights || {};
-  const names = MICRO_PATTERN_NAMES;
+  const weights = behavior().roles[role]?.patternWeights || {};
+  const names = microPatternNames();
   let sum = 0;
   const cumulative = [];
   for (let i = 0; i < names.length; i++) {
-    const w = weights[names[i]] || 1;
+    const w = weightOf(weights, names[i]);
     sum += w;
     cumulative.push(sum);
   }
-  const rnd = Math.random() * sum;
+  const rnd = random() * sum;
   let chosenIndex = 0;
   for (let i = 0; i < cumulative.length; i++) {
     if (rnd <= cumulative[i]) { chosenIndex = i; break; }
   }
   const initialPattern = names[chosenIndex];
   // Inicializamos el tier
-  const tierWeights = ROLES[role]?.tierWeights || { S: 1, M: 1, L: 1 };
+  const tierWeights = behavior().roles[role]?.tierWeights || { S: 1, M: 1, L: 1 };
   const tiers = Object.keys(tierWeights);
   let tierSum = 0;
   const cumT = [];
   for (let i = 0; i < tiers.length; i++) {
-    tierSum += tierWeights[tiers[i]];
+    tierSum += weightOf(tierWeights, tiers[i]);
     cumT.push(tierSum);
   }
-  const rndT = Math.random() * tierSum;
+  const rndT = random() * tierSum;
   let chosenTier = tiers[0];
   for (let i = 0; i < cumT.length; i++) {
     if (rndT <= cumT[i]) { chosenTier = tiers[i]; break; }
@@ -916,6 +1061,8 @@ export function spawnMoverInWindow() {
     r,
     // Momento inicial y fases aleatorias para micro‑patrones.
     t0: tNow,
+    // Instante de aparición para medir el tiempo hasta la eliminación
+    spawnedAt: tNow,
     p1: rand(0, Math.PI * 2),
     p2: rand(0, Math.PI * 2),
     // Contadores de disparos y regeneración
@@ -940,15 +1087,15 @@ export function spawnMoverInWindow() {
     microTier: chosenTier,
     microTierIndex: MICRO_TIERS.indexOf(chosenTier),
     microStart: tNow,
-    microDuration: rand(MICRO_MIN_MS, MICRO_MAX_MS),
+    microDuration: rand(behavior().microMinMs, behavior().microMaxMs),
     microBlendStart: tNow,
-    microNextSwitch: tNow + rand(MICRO_MIN_MS, MICRO_MAX_MS),
+    microNextSwitch: tNow + rand(behavior().microMinMs, behavior().microMaxMs),
     prevOffset: { x: 0, y: 0 },
     microGain: initialMicroGain,
     // Controla cuántos patrones seguidos no son de figura‑8 (para anti‑sequía)
     nonFigureCount: initialPattern.includes('figure8') ? 0 : 1,
     // Dirección lateral de huida: 1 o -1.  Se alterna ocasionalmente
-    fleeSide: (Math.random() < 0.5 ? 1 : -1),
+    fleeSide: (random() < 0.5 ? 1 : -1),
     // Role y tiempos de expiración
     role,
     roleExpires: tNow + rand(8000, 16000),
@@ -994,6 +1141,7 @@ export function respawnMover(m) {
   m.vy = nm.vy;
   m.r = nm.r;
   m.t0 = nm.t0;
+  m.spawnedAt = nm.spawnedAt;
   m.p1 = nm.p1;
   m.p2 = nm.p2;
   m.hitUntil = 0;
@@ -1022,18 +1170,14 @@ export function respawnMover(m) {
   m.microGain = nm.microGain;
   m.nonFigureCount = nm.nonFigureCount;
   m.fleeSide = nm.fleeSide;
-  // Actualizar rol y episodio respetando los recuentos
-  const oldRole = m.role;
-  const oldEpisode = m.episode;
+  // Actualizar rol y episodio respetando los recuentos:
+  // spawnMoverInWindow ya ha contado los nuevos, sólo falta descontar
+  // los anteriores
+  releaseRoleAndEpisode(m);
   m.role = nm.role;
   m.roleExpires = nm.roleExpires;
   m.episode = nm.episode;
   m.episodeExpires = nm.episodeExpires;
-  // Ajustar contadores
-  if (oldRole && roleCounts[oldRole] != null) roleCounts[oldRole] = Math.max(0, roleCounts[oldRole] - 1);
-  roleCounts[m.role] = (roleCounts[m.role] || 0) + 1;
-  if (oldEpisode && episodeCounts[oldEpisode] != null) episodeCounts[oldEpisode] = Math.max(0, episodeCounts[oldEpisode] - 1);
-  episodeCounts[m.episode] = (episodeCounts[m.episode] || 0) + 1;
   m.dna = nm.dna;
   m.wCurrent = nm.wCurrent;
   // Copiar variables de macro desplazamiento y rotación
@@ -1052,6 +1196,159 @@ export function respawnMover(m) {
   m.fmPhase = nm.fmPhase;
 }
 
+// Amenaza percibida por un mover en (sx, sy) de pantalla, entre 0 y 1.
+// Sólo con `CFG.moversFlee`: crece al acercarse al centro (la mirilla).
+function threatOf(sx, sy, limX, limY) {
+  if (!CFG.moversFlee) return 0;
+  const maxDist = Math.min(limX, limY) * 0.75;
+  return Math.max(0, 1 - Math.hypot(sx, sy) / maxDist);
+}
+
+/*
+ * FORMACIONES (`CFG.moversFlock`)
+ *
+ * Los movers se agrupan por orden en grupos de `CFG.moversFlockSize`.
+ * El primero vivo de cada grupo es el líder y planifica como un mover
+ * suelto (ancla y micro‑patrón); el resto ocupa un puesto de una cuña
+ * detrás de él, orientada según el avance de su ancla, y se mueve como
+ * un boid: además de ir hacia su puesto, tiende al centro del grupo
+ * (cohesión) y a su velocidad media (alineación).  La separación es la
+ * misma que aplican todos los movers.
+ *
+ * Un grupo se dispersa durante FLOCK_SCATTER_MS cuando un disparo cae
+ * a menos de FLOCK_ALERT_PX de alguno de sus miembros (ver
+ * `alertFlocks()`; en Tracking cuenta la mira con el gatillo mantenido
+ * y en Lock‑on cada misil lanzado) o cuando la amenaza de alguno, la misma que usa
+ * `CFG.moversFlee` (ver threatOf), supera FLOCK_SCATTER_THREAT.  Al
+ * dispersarse cada miembro elige un ancla nueva y vuela suelto; al
+ * terminar vuelven a formar.
+ */
+const FLOCK_MIN_SIZE = 2;
+const FLOCK_MAX_SIZE = 8;
+const FLOCK_SCATTER_MS = 3000;
+const FLOCK_ALERT_PX = 160;
+const FLOCK_SCATTER_THREAT = 0.5;
+const FLOCK_COHESION = 0.01;
+const FLOCK_ALIGNMENT = 0.08;
+// Hueco entre puestos de la cuña además de los radios (px).  Debe
+// dejar a los vecinos fuera del radio de separación (radios + 55).
+const FLOCK_SLOT_GAP = 60;
+// Velocidad mínima del ancla del líder (px/ms) para orientar la cuña y
+// fracción del giro pendiente que se aplica en cada frame
+const FLOCK_HEADING_MIN_SPEED = 0.02;
+const FLOCK_HEADING_RATE = 0.05;
+
+// Estado de cada grupo por índice: fin de la dispersión, si ya se han
+// elegido las anclas de la dispersión y rumbo de la formación
+const flockGroups = [];
+
+function flockSize() {
+  return clamp(CFG.moversFlockSize | 0, FLOCK_MIN_SIZE, FLOCK_MAX_SIZE);
+}
+
+function flockGroup(g) {
+  if (!flockGroups[g]) flockGroups[g] = { scatterUntil: 0, scattered: false, heading: 0 };
+  return flockGroups[g];
+}
+
+/**
+ * Avisa a las formaciones de un disparo en el punto de mundo (x, y):
+ * los grupos con algún miembro a menos de FLOCK_ALERT_PX se dispersan.
+ * No hace nada si `CFG.moversFlock` está desactivado.
+ * @param {number} x
+ * @param {number} y
+ */
+export function alertFlocks(x, y) {
+  if (!CFG.moversFlock || !moversInPlay()) return;
+  const size = flockSize();
+  const until = nowMs() + FLOCK_SCATTER_MS;
+  for (let i = 0; i < state.movers.length; i++) {
+    const m = state.movers[i];
+    if (m.dead || Math.hypot(m.x - x, m.y - y) > FLOCK_ALERT_PX + m.r) continue;
+    const grp = flockGroup(Math.floor(i / size));
+    grp.scatterUntil = Math.max(grp.scatterUntil, until);
+  }
+}
+
+// Puestos de formación de este frame: para cada índice de mover, null
+// si vuela suelto (líder, grupo disperso o sin compañeros) o el punto
+// de pantalla de su puesto con el centro y la velocidad media del
+// grupo.  Al empezar una dispersión lleva el ancla de cada miembro a
+// su posición y adelanta su fin para que elija destino nuevo en este
+// mismo frame: cada uno se aleja del grupo hacia su propia zona.
+function flockSlots(moversScr, tNow, limX, limY, cosR, sinR) {
+  const slots = new Array(state.movers.length).fill(null);
+  const size = flockSize();
+  for (let g = 0; g * size < state.movers.length; g++) {
+    const members = [];
+    for (let j = g * size; j < Math.min(state.movers.length, (g + 1) * size); j++) {
+      if (!state.movers[j].dead) members.push(j);
+    }
+    if (members.length < 2) continue;
+    const grp = flockGroup(g);
+    if (members.some(j => threatOf(moversScr[j].sx, moversScr[j].sy, limX, limY) > FLOCK_SCATTER_THREAT)) {
+      grp.scatterUntil = Math.max(grp.scatterUntil, tNow + FLOCK_SCATTER_MS);
+    }
+    if (tNow < grp.scatterUntil) {
+      if (!grp.scattered) {
+        for (const j of members) {
+          const mv = state.movers[j];
+          mv.anchorPosSx = moversScr[j].sx;
+          mv.anchorPosSy = moversScr[j].sy;
+          mv.anchorMoveEnd = tNow;
+          anchorGrid.set(j, mv.anchorPosSx, mv.anchorPosSy);
+        }
+        grp.scattered = true;
+      }
+      continue;
+    }
+    grp.scattered = false;
+    // El rumbo sigue al ancla del líder (su desplazamiento de fondo),
+    // no al micro‑patrón, para que la cuña no gire con cada curva
+    const leader = state.movers[members[0]];
+    const lScr = moversScr[members[0]];
+    if (Math.hypot(leader.anchorVelSx || 0, leader.anchorVelSy || 0) > FLOCK_HEADING_MIN_SPEED) {
+      let diff = Math.atan2(leader.anchorVelSy, leader.anchorVelSx) - grp.heading;
+      diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+      grp.heading += diff * FLOCK_HEADING_RATE;
+    }
+    let cx = 0;
+    let cy = 0;
+    let vx = 0;
+    let vy = 0;
+    let maxR = 0;
+    for (const j of members) {
+      const mv = state.movers[j];
+      const v = worldToScreen(mv.vx, mv.vy, cosR, sinR);
+      cx += moversScr[j].sx;
+      cy += moversScr[j].sy;
+      vx += v.sx;
+      vy += v.sy;
+      maxR = Math.max(maxR, mv.r);
+    }
+    const n = members.length;
+    const fx = Math.cos(grp.heading);
+    const fy = Math.sin(grp.heading);
+    const gap = maxR * 2 + FLOCK_SLOT_GAP;
+    // Cuña: puestos alternos a izquierda y derecha, cada fila más atrás
+    for (let k = 1; k < n; k++) {
+      const rank = Math.ceil(k / 2);
+      const side = k % 2 ? -1 : 1;
+      const back = rank * gap;
+      const lateral = side * rank * gap * 0.7;
+      slots[members[k]] = {
+        sx: lScr.sx - fx * back - fy * lateral,
+        sy: lScr.sy - fy * back + fx * lateral,
+        cx: cx / n,
+        cy: cy / n,
+        vx: vx / n,
+        vy: vy / n
+      };
+    }
+  }
+  return slots;
+}
+
 /**
  * Actualiza la posición de todos los movers según su patrón de
  * movimiento, esquivando blancos y otros movers.  El parámetro `dtN`
@@ -1065,11 +1362,11 @@ export function updateMovers(dtN, playerSpeed = 0) {
   {
     // Aseguramos la cantidad de movers
     ensureMoversCount();
-    if (!CFG.moversEnabled || state.movers.length === 0) return;
+    if (!moversInPlay() || state.movers.length === 0) return;
     const tNow = nowMs();
-    const canvasRef = state.canvas;
-    const limXVal = canvasRef.width / 2 - MARGIN;
-    const limYVal = canvasRef.height / 2 - MARGIN;
+    const view = state.viewport;
+    const limXVal = view.width / 2 - MARGIN;
+    const limYVal = view.height / 2 - MARGIN;
     const cosR = Math.cos(state.rollAngle);
     const sinR = Math.sin(state.rollAngle);
     // Recolectamos blancos vivos
@@ -1101,6 +1398,29 @@ export function updateMovers(dtN, playerSpeed = 0) {
     }
     const baseSpeed = CFG.moversSpeed;
     const avoidK = CFG.moversAvoid;
+    // Rejillas de vecinos.  Las anclas cuentan aunque el mover esté
+    // muerto y se actualizan a medida que avanzan en este frame; las
+    // posiciones son las del inicio del frame, como en `moversScr`.
+    // El radio de vecindad cubre el mayor alcance de la separación y
+    // de la evitación predictiva: los radios y la velocidad máxima que
+    // puede tener otro mover (la del inicio del frame o, si ya se ha
+    // movido, el límite de 8·moversSpeed).
+    const ttcWindow = 0.5;
+    let maxR = 0;
+    let maxV = 8.0 * baseSpeed;
+    anchorGrid.clear();
+    for (let j = 0; j < state.movers.length; j++) {
+      const mv = state.movers[j];
+      if (mv.anchorPosSx !== undefined && mv.anchorPosSy !== undefined) anchorGrid.set(j, +mv.anchorPosSx, +mv.anchorPosSy);
+      if (mv.dead) continue;
+      maxR = Math.max(maxR, mv.r);
+      maxV = Math.max(maxV, Math.hypot(mv.vx, mv.vy));
+    }
+    neighbourGrid.clear(maxR * 2 + 55);
+    for (let j = 0; j < state.movers.length; j++) {
+      if (!state.movers[j].dead) neighbourGrid.set(j, moversScr[j].sx, moversScr[j].sy);
+    }
+    const slots = CFG.moversFlock ? flockSlots(moversScr, tNow, limXVal, limYVal, cosR, sinR) : null;
     // Convertimos el dt normalizado a milisegundos.  Un dtN≈1
     // corresponde a ~16.666 ms por frame.
     const dtMs = dtN * 16.6667;
@@ -1132,9 +1452,8 @@ export function updateMovers(dtN, playerSpeed = 0) {
         if (m.episode && episodeCounts[m.episode] != null) episodeCounts[m.episode] = Math.max(0, episodeCounts[m.episode] - 1);
         m.episode = pickEpisode();
         m.episodeExpires = tNow + rand(2000, 6000);
-        episodeCounts[m.episode] = (episodeCounts[m.episode] || 0) + 1;
         // Forzamos un nuevo destino de anchor para reflejar el nuevo sesgo
-        chooseNewAnchorTarget(m, tNow, limXVal, limYVal, liveTargetsScr, state.movers);
+        chooseNewAnchorTarget(m, tNow, limXVal, limYVal, liveTargetsScr, i);
         // Reiniciamos micro patrón con preferencias del episodio
         chooseNewMicro(m, tNow);
       }
@@ -1147,16 +1466,18 @@ export function updateMovers(dtN, playerSpeed = 0) {
         // definimos un objetivo
         m.anchorPosSx = rand(-limXVal * 0.6, limXVal * 0.6);
         m.anchorPosSy = rand(-limYVal * 0.6, limYVal * 0.6);
-        chooseNewAnchorTarget(m, tNow, limXVal, limYVal, liveTargetsScr, state.movers);
+        anchorGrid.set(i, m.anchorPosSx, m.anchorPosSy);
+        chooseNewAnchorTarget(m, tNow, limXVal, limYVal, liveTargetsScr, i);
       }
       // Avance del anchor hacia el destino
       if (m.anchorPosSx != null && m.anchorVelSx != null) {
         m.anchorPosSx += m.anchorVelSx * dtMs;
         m.anchorPosSy += m.anchorVelSy * dtMs;
+        anchorGrid.set(i, m.anchorPosSx, m.anchorPosSy);
       }
       // Si hemos llegado al destino o excedido el tiempo, elegimos un nuevo destino
       if (m.anchorMoveEnd != null && tNow >= m.anchorMoveEnd) {
-        chooseNewAnchorTarget(m, tNow, limXVal, limYVal, liveTargetsScr, state.movers);
+        chooseNewAnchorTarget(m, tNow, limXVal, limYVal, liveTargetsScr, i);
       }
       // Reelegir micro patrón
       if (m.microNextSwitch == null || tNow > m.microNextSwitch) {
@@ -1174,12 +1495,7 @@ export function updateMovers(dtN, playerSpeed = 0) {
       // más cerca está el mover del centro de la pantalla y si el
       // modo flee está activo.  Esto produce patrones más nerviosos y
       // cambia la duración de los micro‑patrones.
-      const distToCenter = Math.hypot(scr.sx, scr.sy);
-      const maxDist = Math.min(limXVal, limYVal) * 0.75;
-      let threatAlpha = 0;
-      if (CFG.moversFlee) {
-        threatAlpha = Math.max(0, 1 - distToCenter / maxDist);
-      }
+      const threatAlpha = threatOf(scr.sx, scr.sy, limXVal, limYVal);
       // Modulación de frecuencia (FM): se aplica una oscilación lenta
       const fm = 1 + 0.2 * Math.sin(tNow * 0.0004 + (m.fmPhase || 0));
       // Ajuste suave de wCurrent hacia el nuevo objetivo
@@ -1193,7 +1509,7 @@ export function updateMovers(dtN, playerSpeed = 0) {
       // amenaza para hacer más agresivos los cambios
       if (m.microNextSwitch != null) {
         const remaining = m.microNextSwitch - tNow;
-        const desiredRem = (m.microDuration || MICRO_MAX_MS) * (1 - 0.5 * threatAlpha);
+        const desiredRem = (m.microDuration || behavior().microMaxMs) * (1 - 0.5 * threatAlpha);
         if (remaining > desiredRem) {
           m.microNextSwitch = tNow + desiredRem;
         }
@@ -1203,7 +1519,7 @@ export function updateMovers(dtN, playerSpeed = 0) {
       // Ajustamos la duración del movimiento del anchor según la amenaza y el episodio
       if (m.anchorMoveEnd != null) {
         const rem = m.anchorMoveEnd - tNow;
-        const macroSpeed = (m.episode && EPISODES[m.episode]) ? EPISODES[m.episode].macroSpeed : 1;
+        const macroSpeed = episodeOf(m) ? Math.max(0.1, episodeOf(m).macroSpeed) : 1;
         // Duración deseada disminuye con la amenaza (más nervioso)
         const desired = m.anchorMoveDuration * (1 - 0.3 * threatAlpha) / macroSpeed;
         if (rem > desired) {
@@ -1218,8 +1534,8 @@ export function updateMovers(dtN, playerSpeed = 0) {
         }
       }
       // Posibilidad de feints/amago bajo amenaza
-      if (threatAlpha > 0.45 && Math.random() < (m.dna.feintChance || 0.2) * threatAlpha * 0.3) {
-        const choice = Math.floor(Math.random() * 3);
+      if (threatAlpha > 0.45 && random() < (m.dna.feintChance || 0.2) * threatAlpha * 0.3) {
+        const choice = Math.floor(random() * 3);
         if (choice === 0) {
           // Cambiar anchor abruptamente
           m.anchorExpires = tNow;
@@ -1242,6 +1558,13 @@ export function updateMovers(dtN, playerSpeed = 0) {
       const targetSy = (m.anchorPosSy || 0) + microOff.y;
       let desVx = (targetSx - scr.sx) * 0.06;
       let desVy = (targetSy - scr.sy) * 0.06;
+      // En formación el objetivo es el puesto en la cuña, con cohesión
+      // y alineación con el grupo (ver FORMACIONES)
+      const slot = slots && slots[i];
+      if (slot) {
+        desVx = (slot.sx - scr.sx) * 0.06 + (slot.cx - scr.sx) * FLOCK_COHESION + (slot.vx - vScr.sx) * FLOCK_ALIGNMENT;
+        desVy = (slot.sy - scr.sy) * 0.06 + (slot.cy - scr.sy) * FLOCK_COHESION + (slot.vy - vScr.sy) * FLOCK_ALIGNMENT;
+      }
       let ax = 0;
       let ay = 0;
       // Repulsión contra blancos
@@ -1256,9 +1579,14 @@ export function updateMovers(dtN, playerSpeed = 0) {
           ay += (dys / dist) * (p * 1.2) * avoidK;
         }
       }
+      // Movers vivos que pueden estar lo bastante cerca para la
+      // separación o la evitación predictiva (en orden de índice)
+      const vSelf = Math.hypot(vScr.sx, vScr.sy);
+      const nearR = m.r + maxR + Math.max(55, 50 + (vSelf + maxV) * ttcWindow + 1);
+      const near = neighbourGrid.query(scr.sx, scr.sy, nearR);
       // Separación entre movers.  Ignoramos los movers muertos para que
       // no influyan en las fuerzas de repulsión.
-      for (let j = 0; j < state.movers.length; j++) {
+      for (const j of near) {
         if (j === i) continue;
         const other = state.movers[j];
         if (other.dead) continue;
@@ -1274,8 +1602,7 @@ export function updateMovers(dtN, playerSpeed = 0) {
         }
       }
       // Evitación predictiva
-      const ttcWindow = 0.5;
-      for (let j = 0; j < state.movers.length; j++) {
+      for (const j of near) {
         if (j === i) continue;
         const other = state.movers[j];
         // Ignorar movers muertos en la predicción de colisión
@@ -1443,11 +1770,11 @@ export function updateMovers(dtN, playerSpeed = 0) {
     return;
   }
   ensureMoversCount();
-  if (!CFG.moversEnabled || state.movers.length === 0) return;
+  if (!moversInPlay() || state.movers.length === 0) return;
   const t = nowMs();
-  const canvas = state.canvas;
-  const limX = canvas.width / 2 - MARGIN;
-  const limY = canvas.height / 2 - MARGIN;
+  const view = state.viewport;
+  const limX = view.width / 2 - MARGIN;
+  const limY = view.height / 2 - MARGIN;
   const cos = Math.cos(state.rollAngle);
   const sin = Math.sin(state.rollAngle);
   // Posiciones de targets vivos en pantalla para esquiva
@@ -1482,7 +1809,7 @@ export function updateMovers(dtN, playerSpeed = 0) {
     // Cambio automático de patrón: cuando alcanza el tiempo de cambio se
     // selecciona uno al azar y se reinician parámetros de movimiento.
     if (t > (m.nextPatternSwitch || 0)) {
-      m.pattern = PATTERNS[Math.floor(Math.random() * PATTERNS.length)];
+      m.pattern = PATTERNS[Math.floor(random() * PATTERNS.length)];
       m.nextPatternSwitch = t + rand(2000, 6000);
       m.t0 = t;
       m.p1 = rand(0, Math.PI * 2);
@@ -1693,16 +2020,17 @@ export function updateMovers(dtN, playerSpeed = 0) {
 }
 
 /**
- * Comprueba si la mirilla del jugador está sobre algún mover.  Devuelve
- * el índice del primer mover alcanzado o ‑1 si no hay colisión.
+ * Comprueba si el punto de mundo (x, y), por defecto la mirilla del
+ * jugador, está sobre algún mover.  Devuelve el índice del primer mover
+ * alcanzado o ‑1 si no hay colisión.
  */
-export function hitTestMovers() {
-  if (!CFG.moversEnabled || state.movers.length === 0) return -1;
+export function hitTestMovers(x = state.player.x, y = state.player.y) {
+  if (!moversInPlay() || state.movers.length === 0) return -1;
   for (let i = 0; i < state.movers.length; i++) {
     const m = state.movers[i];
     if (m.dead) continue;
-    const dx = m.x - state.player.x;
-    const dy = m.y - state.player.y;
+    const dx = m.x - x;
+    const dy = m.y - y;
     if (Math.hypot(dx, dy) < m.r) return i;
   }
   return -1;
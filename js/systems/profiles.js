@@ -0,0 +1,306 @@
+/*
+ * systems/profiles.js
+ *
+ * Perfiles de configuración con nombre.  Cada perfil es una copia de
+ * `CFG` (sensibilidades, curvas, FA‑off, movers, modo…) guardada en
+ * `localStorage`.  Uno de ellos puede marcarse como perfil por defecto y
+ * se aplica automáticamente al arrancar.  Los perfiles también pueden
+ * exportarse e importarse como JSON para compartir ajustes exactos.
+ *
+ * ZONA PELIGROSA: cambiar PROFILES_KEY hace que los perfiles guardados
+ * dejen de verse.  Si cambias el formato de exportación, incrementa
+ * EXPORT_VERSION y mantén la lectura del formato anterior.
+ */
+
+import { CFG } from '../config.js';
+import { presetKey } from './history.js';
+
+// Clave de localStorage y versión del formato de exportación
+const PROFILES_KEY = 'solr.profiles.v1';
+const EXPORT_VERSION = 1;
+const EXPORT_TYPE = 'solr-profile';
+
+// Longitud máxima de un nombre de perfil
+const NAME_MAX = 40;
+
+// Sufijos numéricos que se prueban al importar un perfil con un nombre
+// que ya existe
+const IMPORT_SUFFIX_MAX = 999;
+
+// Los perfiles se guardan en objetos sin prototipo: un nombre como
+// "constructor" o "__proto__" es un perfil más y no una clave heredada
+function emptyStore() {
+  return { profiles: Object.create(null), defaultName: null };
+}
+
+// Indica si el almacén tiene un perfil con ese nombre
+function hasProfile(store, name) {
+  return typeof name === 'string' && Object.hasOwn(store.profiles, name);
+}
+
+// Lee el almacén completo: { profiles: {nombre: cfg}, defaultName }
+function loadStore() {
+  try {
+    const raw = localStorage.getItem(PROFILES_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    if (!data || typeof data.profiles !== 'object' || data.profiles === null) return emptyStore();
+    const store = emptyStore();
+    Object.assign(store.profiles, data.profiles);
+    if (hasProfile(store, data.defaultName)) store.defaultName = data.defaultName;
+    return store;
+  } catch (_) {
+    return emptyStore();
+  }
+}
+
+function storeStore(store) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(store));
+  } catch (_) {}
+}
+
+/**
+ * Normaliza un nombre de perfil: recorta espacios y longitud.
+ * @param {string} name nombre introducido por el usuario
+ * @returns {string} nombre limpio ('' si no es válido)
+ */
+export function cleanProfileName(name) {
+  return String(name == null ? '' : name).trim().slice(0, NAME_MAX);
+}
+
+// Colecciones con nombre de `CFG` que el usuario puede ampliar: los
+// micro‑patrones propios de los movers y los pesos de patrón de cada rol
+// y episodio.  Un snapshot las sustituye enteras, con sus claves nuevas.
+const OPEN_COLLECTIONS = [
+  /^moverBehavior\.patterns$/,
+  /^moverBehavior\.(roles|episodes)\.[^.]+\.patternWeights$/
+];
+
+// Copia de una colección abierta: entradas numéricas finitas u objetos
+// (las definiciones de patrón se validan al compilarlas)
+function cleanCollection(data) {
+  // Sin prototipo, para que una clave "__proto__" sea una entrada más
+  const out = Object.create(null);
+  for (const [k, v] of Object.entries(data)) {
+    if ((typeof v === 'number' && Number.isFinite(v)) || (v !== null && typeof v === 'object' && !Array.isArray(v))) {
+      out[k] = JSON.parse(JSON.stringify(v));
+    }
+  }
+  return out;
+}
+
+// Copia en `target` las claves de `data` que ya existen en `target` con
+// el mismo tipo.  Los objetos anidados (`CFG.moverBehavior`) se recorren
+// con la misma regla en lugar de sustituirse, salvo las colecciones de
+// OPEN_COLLECTIONS.
+function mergeSnapshot(target, data, path = '') {
+  let applied = 0;
+  for (const key of Object.keys(target)) {
+    if (!(key in data)) continue;
+    const v = data[key];
+    const cur = target[key];
+    if (typeof v !== typeof cur) continue;
+    const keyPath = path ? `${path}.${key}` : key;
+    if (cur !== null && typeof cur === 'object') {
+      if (v === null) continue;
+      if (OPEN_COLLECTIONS.some(re => re.test(keyPath))) {
+        target[key] = cleanCollection(v);
+        applied++;
+      } else if (mergeSnapshot(cur, v, keyPath) > 0) {
+        applied++;
+      }
+      continue;
+    }
+    if (typeof v === 'number' && !Number.isFinite(v)) continue;
+    target[key] = v;
+    applied++;
+  }
+  return applied;
+}
+
+/**
+ * Copia en `CFG` los valores de un snapshot.  Sólo se aceptan claves que
+ * ya existen en `CFG` y con el mismo tipo, de modo que un JSON antiguo o
+ * manipulado no pueda introducir valores extraños.
+ * @param {Object} data snapshot de configuración
+ * @returns {number} número de claves aplicadas
+ */
+export function applyConfigSnapshot(data) {
+  if (!data || typeof data !== 'object') return 0;
+  return mergeSnapshot(CFG, data);
+}
+
+// Copia de CFG lista para guardarse
+function snapshotConfig(cfg) {
+  return JSON.parse(JSON.stringify(cfg));
+}
+
+/**
+ * Lista los perfiles guardados ordenados por nombre.
+ * @returns {Array<{name:string, isDefault:boolean}>}
+ */
+export function listProfiles() {
+  const store = loadStore();
+  return Object.keys(store.profiles)
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => ({ name, isDefault: name === store.defaultName }));
+}
+
+/**
+ * Guarda (o sobrescribe) un perfil con la configuración indicada.
+ * @param {string} name nombre del perfil
+ * @param {Object} cfg configuración a guardar (normalmente `CFG`)
+ * @returns {boolean} false si el nombre no es válido
+ */
+export function saveProfile(name, cfg) {
+  const n = cleanProfileName(name);
+  if (!n) return false;
+  const store = loadStore();
+  store.profiles[n] = snapshotConfig(cfg);
+  storeStore(store);
+  return true;
+}
+
+/**
+ * Aplica un perfil guardado sobre `CFG`.
+ * @param {string} name nombre del perfil
+ * @returns {boolean} false si el perfil no existe
+ */
+export function loadProfile(name) {
+  const store = loadStore();
+  if (!hasProfile(store, name)) return false;
+  const data = store.profiles[name];
+  applyConfigSnapshot(data);
+  return true;
+}
+
+/**
+ * Devuelve la configuración de un perfil guardado, o null.
+ */
+export function getProfileConfig(name) {
+  const store = loadStore();
+  return hasProfile(store, name) ? snapshotConfig(store.profiles[name]) : null;
+}
+
+/**
+ * Renombra un perfil.  Falla si el nuevo nombre ya existe.  Si el perfil
+ * era el predeterminado, la marca pasa al nuevo nombre.
+ * @returns {boolean} true si se renombró
+ */
+export function renameProfile(oldName, newName) {
+  const n = cleanProfileName(newName);
+  const store = loadStore();
+  if (!n || !hasProfile(store, oldName) || hasProfile(store, n)) return false;
+  store.profiles[n] = store.profiles[oldName];
+  delete store.profiles[oldName];
+  if (store.defaultName === oldName) store.defaultName = n;
+  storeStore(store);
+  return true;
+}
+
+/**
+ * Borra un perfil.  Si era el predeterminado, deja de haberlo.
+ * @returns {boolean} true si existía
+ */
+export function deleteProfile(name) {
+  const store = loadStore();
+  if (!hasProfile(store, name)) return false;
+  delete store.profiles[name];
+  if (store.defaultName === name) store.defaultName = null;
+  storeStore(store);
+  return true;
+}
+
+/**
+ * Marca un perfil como predeterminado o, con `null`, quita la marca.
+ * @param {string|null} name nombre del perfil
+ * @returns {boolean} false si el perfil no existe
+ */
+export function setDefaultProfile(name) {
+  const store = loadStore();
+  if (name != null && !hasProfile(store, name)) return false;
+  store.defaultName = name;
+  storeStore(store);
+  return true;
+}
+
+/**
+ * Aplica el perfil predeterminado, si existe.  Se llama al arrancar,
+ * antes de construir el panel de configuración.
+ * @returns {string|null} nombre del perfil aplicado
+ */
+export function applyDefaultProfile() {
+  const store = loadStore();
+  if (!store.defaultName) return null;
+  applyConfigSnapshot(store.profiles[store.defaultName]);
+  return store.defaultName;
+}
+
+/**
+ * Busca un perfil guardado cuyos ajustes coincidan con `cfg` (misma
+ * huella de preset que usa el historial).  Sirve para etiquetar las
+ * partidas con el nombre del perfil sin que la etiqueta quede obsoleta
+ * si luego se tocan los ajustes a mano.
+ * @param {Object} cfg configuración a comparar
+ * @returns {string|null} nombre del perfil o null
+ */
+export function findProfileForConfig(cfg) {
+  const key = presetKey(cfg);
+  const store = loadStore();
+  for (const name of Object.keys(store.profiles).sort((a, b) => a.localeCompare(b))) {
+    if (presetKey(store.profiles[name]) === key) return name;
+  }
+  return null;
+}
+
+/**
+ * Serializa un perfil (o la configuración actual) como JSON para
+ * exportarlo.
+ * @param {string} name nombre que se guardará en el archivo
+ * @param {Object} cfg configuración a exportar
+ * @returns {string} texto JSON
+ */
+export function exportProfileJson(name, cfg) {
+  return JSON.stringify({
+    type: EXPORT_TYPE,
+    version: EXPORT_VERSION,
+    name: cleanProfileName(name),
+    cfg: snapshotConfig(cfg)
+  }, null, 2);
+}
+
+/**
+ * Importa un perfil desde texto JSON y lo guarda.  Acepta el formato de
+ * `exportProfileJson()` o directamente un objeto de configuración.  Si
+ * ya existe un perfil con el mismo nombre se añade un sufijo numérico.
+ * @param {string} text contenido del archivo
+ * @param {string} fallbackName nombre a usar si el JSON no trae uno
+ * @returns {string} nombre con el que se guardó
+ * @throws {Error} si el texto no es JSON válido, no contiene ajustes o
+ *   ya no quedan sufijos libres para el nombre
+ */
+export function importProfileJson(text, fallbackName) {
+  const data = JSON.parse(text);
+  const wrapped = data && data.type === EXPORT_TYPE && data.cfg && typeof data.cfg === 'object';
+  const cfg = wrapped ? data.cfg : data;
+  if (!cfg || typeof cfg !== 'object' || !Object.keys(CFG).some(k => k in cfg)) {
+    throw new Error('El archivo no contiene ajustes de Sol‑R');
+  }
+  // Sólo guardamos claves conocidas con el tipo correcto
+  const clean = {};
+  for (const key of Object.keys(CFG)) {
+    if (key in cfg && typeof cfg[key] === typeof CFG[key]) clean[key] = cfg[key];
+  }
+  const store = loadStore();
+  const base = cleanProfileName(wrapped && data.name ? data.name : fallbackName) || 'Importado';
+  let name = base;
+  for (let i = 2; hasProfile(store, name); i++) {
+    if (i > IMPORT_SUFFIX_MAX) throw new Error(`Ya hay demasiados perfiles llamados «${base}»`);
+    // El sufijo se conserva aunque el nombre ya ocupe NAME_MAX caracteres
+    const suffix = ` (${i})`;
+    name = base.slice(0, NAME_MAX - suffix.length) + suffix;
+  }
+  store.profiles[name] = { ...snapshotConfig(CFG), ...clean };
+  storeStore(store);
+  return name;
+}
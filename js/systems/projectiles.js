@@ -0,0 +1,94 @@
+/*
+ * systems/projectiles.js
+ *
+ * Arma de proyectiles.  Con `CFG.weaponProjectiles` activo, cada disparo
+ * deja de ser instantáneo: el proyectil sale hacia el punto de mundo
+ * que había bajo la mira al disparar y tarda en llegar
+ * `CFG.weaponTargetDist / CFG.weaponMuzzleSpeed` segundos, que es la
+ * distancia simulada a la que están todas las entidades.  Al llegar, el
+ * impacto se resuelve en ese punto contra lo que haya entonces (ver
+ * `resolveShot()` en `main.js`), así que a los blancos que se mueven hay
+ * que adelantarles la mira.  Si la vida del proyectil
+ * (`CFG.weaponLifetimeMs`) se agota antes, se pierde sin impactar.
+ *
+ * El punto de impacto queda fijo en el mundo: si la mira se mueve
+ * después de disparar, el proyectil se desplaza en pantalla igual que
+ * el resto del mundo.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { nowMs } from '../utils/time.js';
+import { screenToWorld } from '../utils/math.js';
+
+/**
+ * Tiempo de vuelo (ms) hasta la distancia de los blancos.
+ */
+export function projectileFlightMs() {
+  return (Math.max(1, CFG.weaponTargetDist) / Math.max(1, CFG.weaponMuzzleSpeed)) * 1000;
+}
+
+/**
+ * Dispara un proyectil hacia el punto de mundo (x, y), por defecto el
+ * que hay bajo la mira.
+ */
+export function fireProjectile(x = state.player.x, y = state.player.y) {
+  const t = nowMs();
+  const flightMs = projectileFlightMs();
+  state.projectiles.push({
+    x,
+    y,
+    firedAt: t,
+    // Si la vida no alcanza para llegar, el proyectil nunca impacta
+    arriveAt: flightMs <= CFG.weaponLifetimeMs ? t + flightMs : Infinity,
+    expiresAt: t + CFG.weaponLifetimeMs
+  });
+}
+
+/**
+ * Avanza los proyectiles y devuelve los que terminan en este frame, en
+ * orden de disparo.  Los que llegan a la distancia de los blancos tienen
+ * `arrived` a true (el llamador resuelve su impacto); el resto han
+ * caducado por el camino y cuentan como fallo.
+ * @returns {Array<{x:number, y:number, arrived:boolean}>} proyectiles terminados
+ */
+export function updateProjectiles() {
+  const t = nowMs();
+  const done = [];
+  for (let i = state.projectiles.length - 1; i >= 0; i--) {
+    const p = state.projectiles[i];
+    if (t >= p.arriveAt || t >= p.expiresAt) {
+      p.arrived = t >= p.arriveAt;
+      done.push(p);
+      state.projectiles.splice(i, 1);
+    }
+  }
+  return done.reverse();
+}
+
+/**
+ * Elimina todos los proyectiles en vuelo.
+ */
+export function clearProjectiles() {
+  state.projectiles.length = 0;
+}
+
+/**
+ * Punto de mundo donde hay que apuntar para que un proyectil disparado
+ * ahora alcance a una entidad que mantiene su velocidad.  Las
+ * velocidades van en unidades por frame normalizado (dtN = 1): `vx/vy`
+ * en mundo o, para las pelotas Split, `vxs/vys` en pantalla.
+ * @param {Object} e entidad con `x, y` y su velocidad
+ * @returns {{x:number, y:number}} punto de mundo del pip de adelanto
+ */
+export function leadPoint(e) {
+  const frames = projectileFlightMs() / 16.6667;
+  let vx = e.vx || 0;
+  let vy = e.vy || 0;
+  if (e.vxs !== undefined) {
+    const w = screenToWorld(e.vxs, e.vys, Math.cos(state.rollAngle), Math.sin(state.rollAngle));
+    vx = w.dx;
+    vy = w.dy;
+  }
+  return { x: e.x + vx * frames, y: e.y + vy * frames };
+}
@@ -0,0 +1,322 @@
+/*
+ * systems/replay.js
+ *
+ * Grabación y reproducción de partidas.  Durante un escenario se graba,
+ * frame a frame, lo que consume la simulación de `main.js`: ejes ya
+ * limpios (tras la zona muerta), valor del gatillo, tiempo del frame y
+ * `dtN`, además de las acciones que cambian la simulación (FA‑off).  Con
+ * la semilla, una copia de `CFG` y el estado inicial de la mira, la
+ * partida puede volver a simularse exactamente igual.
+ *
+ * La última partida se guarda en `localStorage` y puede exportarse o
+ * importarse como JSON.  Este módulo también lleva el cursor de
+ * reproducción (reproducir, pausa, velocidad y posición); la simulación
+ * de cada frame la hace `main.js`.
+ *
+ * ZONA PELIGROSA: cambiar la física, los spawners o el formato de los
+ * frames hace que las repeticiones antiguas se desvíen.  Si cambias el
+ * formato, incrementa REPLAY_VERSION.
+ */
+
+import { CFG } from '../config.js';
+
+// Clave de localStorage de la última repetición y formato de archivo
+const REPLAY_KEY = 'solr.replay.last.v1';
+const REPLAY_VERSION = 1;
+const EXPORT_TYPE = 'solr-replay';
+
+// Acciones que alteran la simulación y por eso se graban
+export const REPLAY_ACTIONS = ['faToggle', 'faReset'];
+
+// Velocidades de reproducción disponibles
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Avance máximo de la reproducción por frame real (evita saltos enormes
+// si la pestaña estuvo en segundo plano)
+const MAX_STEP_MS = 100;
+
+// Grabación en curso y acciones pendientes de asignar al próximo frame
+let recording = null;
+let pendingActions = [];
+
+// Última repetición (undefined hasta que se lee de localStorage)
+let lastReplay;
+
+// Reproducción abierta: { rep, cursor, playhead, playing, speed, lastReal }
+let playback = null;
+
+/**
+ * Empieza a grabar.  Se llama al comenzar la partida de un escenario,
+ * justo después de reiniciar el mundo.
+ * @param {Object} info semilla, tamaño del canvas y estado inicial
+ * @param {number} info.seed semilla del generador
+ * @param {{w:number, h:number}} info.viewport tamaño del canvas
+ * @param {Object} info.start posición, roll e inercia de la mira
+ */
+export function startRecording({ seed, viewport, start }) {
+  recording = {
+    version: REPLAY_VERSION,
+    date: new Date().toISOString(),
+    seed,
+    cfg: JSON.parse(JSON.stringify(CFG)),
+    viewport,
+    start,
+    frames: [],
+    results: null
+  };
+  pendingActions = [];
+}
+
+/**
+ * Descarta la grabación en curso (escenario cancelado).
+ */
+export function discardRecording() {
+  recording = null;
+  pendingActions = [];
+}
+
+/**
+ * Anota una acción para el próximo frame grabado.  Las acciones que no
+ * afectan a la simulación se ignoran.
+ * @param {string} key acción (ver `PAD_ACTIONS` en `main.js`)
+ */
+export function recordAction(key) {
+  if (!recording || !REPLAY_ACTIONS.includes(key)) return;
+  pendingActions.push(key);
+}
+
+/**
+ * Graba un frame.
+ * @param {Object} frame entrada del frame
+ * @param {number} frame.t tiempo del frame (ms)
+ * @param {number} frame.dtN paso normalizado (1 ≈ 16.6 ms)
+ * @param {number} frame.roll eje de roll limpio
+ * @param {number} frame.pitch eje de pitch limpio
+ * @param {number} frame.yaw eje de yaw limpio
+ * @param {number} frame.fire valor del gatillo (0..1)
+ * @param {boolean} [frame.frozen] mundo congelado (escenario en pausa)
+ * @param {boolean} [frame.noFire] disparo bloqueado (asistente de mapeo)
+ */
+export function recordFrame(frame) {
+  if (!recording) return;
+  const f = {
+    t: frame.t,
+    dtN: frame.dtN,
+    roll: frame.roll,
+    pitch: frame.pitch,
+    yaw: frame.yaw,
+    fire: frame.fire
+  };
+  if (frame.frozen) f.frozen = true;
+  if (frame.noFire) f.noFire = true;
+  if (pendingActions.length) {
+    f.actions = pendingActions;
+    pendingActions = [];
+  }
+  recording.frames.push(f);
+}
+
+/**
+ * Termina la grabación, la guarda como última repetición y la devuelve.
+ * @param {Object} results resultados del escenario
+ * @returns {Object|null} repetición
+ */
+export function finishRecording(results) {
+  const rep = recording;
+  recording = null;
+  pendingActions = [];
+  if (!rep || rep.frames.length === 0) return null;
+  rep.results = results ? { score: results.score, accuracy: results.accuracy, mode: results.mode } : null;
+  lastReplay = rep;
+  try {
+    localStorage.setItem(REPLAY_KEY, JSON.stringify(rep));
+  } catch (_) {}
+  return rep;
+}
+
+/**
+ * Devuelve la última repetición grabada o importada, o null.
+ */
+export function getLastReplay() {
+  if (lastReplay === undefined) {
+    try {
+      const raw = localStorage.getItem(REPLAY_KEY);
+      lastReplay = raw ? validateReplay(JSON.parse(raw)) : null;
+    } catch (_) {
+      lastReplay = null;
+    }
+  }
+  return lastReplay;
+}
+
+// Comprueba que un objeto tiene forma de repetición
+function validateReplay(data) {
+  const isNum = v => typeof v === 'number' && Number.isFinite(v);
+  if (!data || typeof data !== 'object') return null;
+  if (!isNum(data.seed) || !data.cfg || typeof data.cfg !== 'object') return null;
+  if (!data.viewport || !isNum(data.viewport.w) || !isNum(data.viewport.h)) return null;
+  const s = data.start;
+  if (!s || !s.player || !isNum(s.player.x) || !isNum(s.player.y) || !isNum(s.rollAngle) || !s.vel) return null;
+  if (!Array.isArray(data.frames) || data.frames.length === 0) return null;
+  const ok = data.frames.every(f => f && isNum(f.t) && isNum(f.dtN) && isNum(f.roll)
+    && isNum(f.pitch) && isNum(f.yaw) && isNum(f.fire)
+    && (f.actions === undefined || (Array.isArray(f.actions) && f.actions.every(a => REPLAY_ACTIONS.includes(a)))));
+  return ok ? data : null;
+}
+
+/**
+ * Serializa una repetición como JSON para exportarla.
+ * @param {Object} rep repetición
+ * @returns {string} texto JSON
+ */
+export function exportReplayJson(rep) {
+  return JSON.stringify({ type: EXPORT_TYPE, ...rep });
+}
+
+/**
+ * Importa una repetición desde texto JSON.  Pasa a ser la última
+ * repetición (también en `localStorage`).
+ * @param {string} text contenido del archivo
+ * @returns {Object} repetición
+ * @throws {Error} si el texto no es JSON válido o no es una repetición
+ */
+export function importReplayJson(text) {
+  const data = JSON.parse(text);
+  const rep = data && data.type === EXPORT_TYPE ? validateReplay(data) : null;
+  if (!rep) throw new Error('El archivo no es una repetición de Sol‑R');
+  delete rep.type;
+  lastReplay = rep;
+  try {
+    localStorage.setItem(REPLAY_KEY, JSON.stringify(rep));
+  } catch (_) {}
+  return rep;
+}
+
+/**
+ * Abre una repetición para reproducirla desde el principio.
+ * @param {Object} rep repetición
+ */
+export function openReplay(rep) {
+  playback = { rep, cursor: 0, playhead: 0, playing: true, speed: 1, lastReal: null };
+}
+
+/**
+ * Cierra la reproducción.
+ */
+export function closeReplay() {
+  playback = null;
+}
+
+/**
+ * Devuelve la repetición abierta, o null.
+ */
+export function getOpenReplay() {
+  return playback ? playback.rep : null;
+}
+
+// Duración de la repetición abierta en ms
+function durationMs() {
+  const frames = playback.rep.frames;
+  return frames[frames.length - 1].t - frames[0].t;
+}
+
+/**
+ * Estado de la reproducción para la interfaz.
+ * @returns {{playing:boolean, speed:number, frame:number, frames:number,
+ *   timeMs:number, durationMs:number}|null}
+ */
+export function getReplayStatus() {
+  if (!playback) return null;
+  return {
+    playing: playback.playing,
+    speed: playback.speed,
+    frame: Math.max(0, playback.cursor - 1),
+    frames: playback.rep.frames.length,
+    timeMs: playback.playhead,
+    durationMs: durationMs()
+  };
+}
+
+/**
+ * Reproduce o pausa.  Al reproducir desde el final vuelve al principio.
+ * @param {boolean} on true para reproducir
+ */
+export function setReplayPlaying(on) {
+  if (!playback) return;
+  if (on && playback.playhead >= durationMs()) playback.playhead = 0;
+  playback.playing = !!on;
+}
+
+/**
+ * Cambia la velocidad de reproducción.
+ * @param {number} speed multiplicador (ver REPLAY_SPEEDS)
+ */
+export function setReplaySpeed(speed) {
+  if (!playback || !(speed > 0)) return;
+  playback.speed = speed;
+}
+
+/**
+ * Coloca la reproducción en un frame concreto.
+ * @param {number} index índice del frame
+ */
+export function seekReplay(index) {
+  if (!playback) return;
+  const frames = playback.rep.frames;
+  const i = Math.max(0, Math.min(frames.length - 1, Math.round(index) || 0));
+  playback.playhead = frames[i].t - frames[0].t;
+}
+
+/**
+ * Avanza el tiempo de reproducción y devuelve cuántos frames deberían
+ * estar simulados.  `main.js` simula hasta alcanzar esa cifra o, si el
+ * cursor ya la supera (se ha retrocedido), reinicia y vuelve a simular
+ * desde el principio.
+ * @param {number} realNow tiempo real en ms (`realNowMs()`)
+ * @returns {number} número de frames objetivo
+ */
+export function replayTargetFrame(realNow) {
+  if (!playback) return 0;
+  const frames = playback.rep.frames;
+  if (playback.playing && playback.lastReal !== null) {
+    playback.playhead += Math.min(realNow - playback.lastReal, MAX_STEP_MS) * playback.speed;
+  }
+  playback.lastReal = realNow;
+  const end = durationMs();
+  if (playback.playhead >= end) {
+    playback.playhead = end;
+    playback.playing = false;
+  }
+  // Búsqueda binaria del primer frame posterior a la posición actual
+  const t = frames[0].t + playback.playhead;
+  let lo = 0;
+  let hi = frames.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].t <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return Math.max(1, lo);
+}
+
+/**
+ * Devuelve cuántos frames se han simulado ya.
+ */
+export function getReplayCursor() {
+  return playback ? playback.cursor : 0;
+}
+
+/**
+ * Devuelve el siguiente frame a simular y avanza el cursor.
+ */
+export function nextReplayFrame() {
+  if (!playback || playback.cursor >= playback.rep.frames.length) return null;
+  return playback.rep.frames[playback.cursor++];
+}
+
+/**
+ * Vuelve a poner el cursor al principio (tras reiniciar la simulación).
+ */
+export function rewindReplay() {
+  if (playback) playback.cursor = 0;
+}
@@ -0,0 +1,195 @@
+/*
+ * systems/scenario.js
+ *
+ * Ejecutor de escenarios cronometrados.  Un escenario es una partida de
+ * duración fija de cualquier modo de `CFG.gameMode` con tres fases:
+ *
+ *   countdown → cuenta atrás antes de empezar (el mundo está congelado)
+ *   running   → partida en curso durante `CFG.scenarioDurationS` segundos
+ *               (la cuenta atrás y la duración se copian al empezar, así
+ *               que mover los controles del panel no afecta a la partida
+ *               en curso)
+ *   results   → pantalla de resultados (el mundo vuelve a congelarse)
+ *
+ * Las dos primeras fases pueden pausarse (`paused`), por ejemplo cuando
+ * se desconecta el mando: el tiempo se detiene hasta `resumeScenario()`.
+ *
+ * Fuera de un escenario la fase es `idle` y el juego funciona en modo
+ * libre como siempre.  Este módulo sólo lleva la máquina de estados y
+ * calcula los resultados; `main.js` se encarga de reiniciar el mundo
+ * cuando `updateScenario()` anuncia el comienzo de la partida.
+ */
+
+import { CFG } from '../config.js';
+import { nowMs } from '../utils/time.js';
+import { setSeed, randomSeed } from '../utils/rng.js';
+import { getScoreSnapshot } from './scoring.js';
+
+let phase = 'idle';
+let phaseStart = 0;
+let runMode = null;
+let runSeed = 0;
+let lastResults = null;
+
+// Cuenta atrás y duración (ms) del escenario en curso
+let runCountdownMs = 0;
+let runDurationMs = 0;
+
+// Pausa: fase interrumpida, tiempo que llevaba y motivo
+let pausedPhase = null;
+let pausedElapsed = 0;
+let pauseReason = '';
+
+/**
+ * Devuelve la fase actual: idle | countdown | running | paused | results.
+ */
+export function getScenarioPhase() {
+  return phase;
+}
+
+/**
+ * Indica si el mundo debe permanecer congelado (cuenta atrás, pausa o
+ * pantalla de resultados).  Durante estas fases no se actualizan las
+ * entidades ni se procesan disparos.
+ */
+export function isWorldFrozen() {
+  return phase === 'countdown' || phase === 'paused' || phase === 'results';
+}
+
+/**
+ * Indica si hay un escenario en marcha (cuenta atrás, partida o pausa).
+ */
+export function isScenarioActive() {
+  return phase === 'countdown' || phase === 'running' || phase === 'paused';
+}
+
+/**
+ * Pausa la cuenta atrás o la partida en curso.
+ * @param {string} reason motivo que se muestra en la capa de pausa
+ */
+export function pauseScenario(reason) {
+  if (phase !== 'countdown' && phase !== 'running') return;
+  pausedPhase = phase;
+  pausedElapsed = nowMs() - phaseStart;
+  pauseReason = reason;
+  phase = 'paused';
+}
+
+/**
+ * Reanuda el escenario pausado donde se quedó.
+ */
+export function resumeScenario() {
+  if (phase !== 'paused') return;
+  phase = pausedPhase;
+  phaseStart = nowMs() - pausedElapsed;
+  pausedPhase = null;
+}
+
+/**
+ * Devuelve el motivo de la pausa actual ('' si no está pausado).
+ */
+export function getPauseReason() {
+  return phase === 'paused' ? pauseReason : '';
+}
+
+/**
+ * Comienza un escenario con el modo de juego actual.  Si la cuenta
+ * atrás es 0 la partida empieza en el siguiente `updateScenario()`.
+ */
+export function startScenario() {
+  phase = 'countdown';
+  phaseStart = nowMs();
+  runMode = CFG.gameMode;
+  runCountdownMs = CFG.scenarioCountdownS * 1000;
+  runDurationMs = CFG.scenarioDurationS * 1000;
+  lastResults = null;
+}
+
+/**
+ * Cancela el escenario en curso sin generar resultados.
+ */
+export function abortScenario() {
+  phase = 'idle';
+  runMode = null;
+  pausedPhase = null;
+}
+
+/**
+ * Cierra la pantalla de resultados y vuelve al modo libre.
+ */
+export function closeResults() {
+  if (phase === 'results') phase = 'idle';
+}
+
+/**
+ * Milisegundos restantes de la fase actual (cuenta atrás o partida).
+ * Devuelve 0 en las fases sin temporizador.
+ */
+export function getScenarioRemainingMs() {
+  const current = phase === 'paused' ? pausedPhase : phase;
+  const elapsed = phase === 'paused' ? pausedElapsed : nowMs() - phaseStart;
+  if (current === 'countdown') return Math.max(0, runCountdownMs - elapsed);
+  if (current === 'running') return Math.max(0, runDurationMs - elapsed);
+  return 0;
+}
+
+/**
+ * Devuelve los resultados del último escenario terminado o `null`.
+ */
+export function getLastResults() {
+  return lastResults;
+}
+
+// Construye el resumen de resultados a partir de la puntuación actual
+function buildResults(durationMs) {
+  const s = getScoreSnapshot();
+  const minutes = durationMs / 60000;
+  return {
+    mode: runMode,
+    seed: runSeed,
+    date: Date.now(),
+    durationMs,
+    score: s.score,
+    shots: s.shots,
+    hits: s.hits,
+    misses: s.misses,
+    accuracy: s.accuracy,
+    holdMs: s.holdMs,
+    onTargetMs: s.onTargetMs,
+    attempts: s.attempts,
+    avgReactionMs: s.avgReactionMs,
+    avgCompletionMs: s.avgCompletionMs,
+    kills: s.kills,
+    escapes: s.escapes,
+    killsPerMinute: minutes > 0 ? s.kills / minutes : 0,
+    avgTtkMs: s.avgTtkMs,
+    bestTtkMs: s.bestTtkMs,
+    byKind: s.byKind
+  };
+}
+
+/**
+ * Avanza la máquina de estados.  Devuelve un evento cuando cambia la
+ * fase para que el llamador reaccione:
+ *   'begin' → termina la cuenta atrás; el generador ya tiene la semilla
+ *             de la partida y hay que reiniciar mundo y puntuación
+ *   'end'   → termina la partida; los resultados ya están disponibles
+ * En el resto de frames devuelve `null`.
+ */
+export function updateScenario() {
+  if (phase === 'countdown' && getScenarioRemainingMs() <= 0) {
+    phase = 'running';
+    phaseStart = nowMs();
+    // Semilla fija de CFG o una nueva; se guarda con los resultados
+    runSeed = CFG.scenarioSeed || randomSeed();
+    setSeed(runSeed);
+    return 'begin';
+  }
+  if (phase === 'running' && getScenarioRemainingMs() <= 0) {
+    lastResults = buildResults(runDurationMs);
+    phase = 'results';
+    phaseStart = nowMs();
+    return 'end';
+  }
+  return null;
+}
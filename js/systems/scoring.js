@@ -0,0 +1,206 @@
+/*
+ * systems/scoring.js
+ *
+ * Motor de puntuación de la sesión.  Todos los modos de juego informan
+ * aquí de cada disparo, acierto, fallo y blanco escapado.  El módulo
+ * guarda los contadores de forma privada (igual que `flight.js` con sus
+ * velocidades) y expone funciones para registrar eventos y obtener una
+ * instantánea con los valores derivados: precisión, aciertos por tipo
+ * de entidad y tiempo hasta la eliminación (TTK) medido desde el spawn.
+ *
+ * Tipos de entidad reconocidos:
+ *   target → blancos del modo Classic
+ *   mover  → movers (un kill cada MOVERS_MAX_HITS impactos)
+ *   matrix → targets del modo Matrix
+ *   split  → pelotas del modo Split (cada impacto revienta una pelota)
+ *   flick  → blanco del modo Flick (un intento por aparición)
+ *
+ * En el modo Tracking no hay disparos sueltos: se registra el tiempo con
+ * el gatillo mantenido y el tiempo que la mira pasa sobre un mover
+ * (`recordTracking()`).  La precisión pasa a ser la proporción de ese
+ * tiempo en blanco y cada mover eliminado cuenta como un kill.
+ *
+ * En el modo Flick, además, cada aparición se guarda como intento con
+ * sus tiempos de reacción y de completado (`recordAttempt()`).
+ *
+ * ZONA SEGURA: puedes añadir nuevos contadores a la sesión.
+ * ZONA PELIGROSA: no cambies los nombres de los tipos de entidad, ya que
+ * el HUD y los modos de juego los usan como claves.
+ */
+
+import { nowMs } from '../utils/time.js';
+
+// Tipos de entidad que pueden recibir impactos
+export const ENTITY_KINDS = ['target', 'mover', 'matrix', 'split', 'flick', 'sphere', 'depth'];
+
+// Puntos por evento.  Cada impacto suma HIT_POINTS y, si además elimina
+// la entidad, KILL_POINTS.  Los movers necesitan varios impactos, por
+// lo que cada uno vale algo y la eliminación añade un bonus.  Cada
+// fallo resta MISS_POINTS para premiar la precisión.
+export const HIT_POINTS  = { target: 0, mover: 50, matrix: 0, split: 0, flick: 0, sphere: 0, depth: 0 };
+export const KILL_POINTS = { target: 100, mover: 100, matrix: 100, split: 50, flick: 100, sphere: 100, depth: 100 };
+export const MISS_POINTS = -10;
+
+// Puntos por segundo con la mira sobre un mover en el modo Tracking
+export const TRACK_POINTS_PER_S = 100;
+
+// Crea los contadores vacíos de un tipo de entidad
+function emptyKindStats() {
+  return { hits: 0, kills: 0, escapes: 0, ttkSum: 0, ttkCount: 0, ttkBest: Infinity };
+}
+
+// Crea una sesión vacía que arranca en el instante actual
+function emptySession() {
+  const byKind = {};
+  for (const k of ENTITY_KINDS) byKind[k] = emptyKindStats();
+  return { startedAt: nowMs(), shots: 0, hits: 0, misses: 0, points: 0, holdMs: 0, onTargetMs: 0, attempts: [], byKind };
+}
+
+let session = emptySession();
+
+/**
+ * Reinicia todos los contadores.  Se llama al respawnear (Espacio) y al
+ * cambiar de modo de juego para que cada sesión empiece desde cero.
+ */
+export function resetScore() {
+  session = emptySession();
+}
+
+/**
+ * Registra un disparo.  Debe llamarse una vez por cada pulsación del
+ * gatillo, acierte o no.
+ */
+export function recordShot() {
+  session.shots++;
+}
+
+/**
+ * Registra un disparo que no ha alcanzado ninguna entidad.
+ */
+export function recordMiss() {
+  session.misses++;
+  session.points += MISS_POINTS;
+}
+
+/**
+ * Registra un impacto sobre una entidad.  Si `killed` es true se cuenta
+ * además como eliminación y se mide el TTK a partir de `entity.spawnedAt`.
+ * @param {string} kind tipo de entidad (ver ENTITY_KINDS)
+ * @param {Object} entity entidad alcanzada (debe tener `spawnedAt`)
+ * @param {boolean} killed true si el impacto elimina la entidad
+ */
+export function recordHit(kind, entity, killed = true) {
+  const st = session.byKind[kind];
+  if (!st) return;
+  session.hits++;
+  st.hits++;
+  session.points += HIT_POINTS[kind] || 0;
+  if (!killed) return;
+  st.kills++;
+  session.points += KILL_POINTS[kind] || 0;
+  const spawnedAt = entity && entity.spawnedAt;
+  if (Number.isFinite(spawnedAt)) {
+    const ttk = Math.max(0, nowMs() - spawnedAt);
+    st.ttkSum += ttk;
+    st.ttkCount++;
+    if (ttk < st.ttkBest) st.ttkBest = ttk;
+  }
+}
+
+/**
+ * Registra un frame de seguimiento (modo Tracking) con el gatillo
+ * mantenido.  Sólo el tiempo en blanco suma puntos.
+ * @param {number} dtMs duración del frame en milisegundos
+ * @param {boolean} onTarget true si la mira estaba sobre un mover
+ */
+export function recordTracking(dtMs, onTarget) {
+  session.holdMs += dtMs;
+  if (!onTarget) return;
+  session.onTargetMs += dtMs;
+  session.points += dtMs * TRACK_POINTS_PER_S / 1000;
+}
+
+/**
+ * Registra un intento del modo Flick.
+ * @param {Object} attempt intento
+ * @param {number} attempt.distance distancia de aparición a la mira (px)
+ * @param {number} attempt.angleDeg dirección de aparición en pantalla (grados)
+ * @param {number|null} attempt.reactionMs tiempo hasta mover el stick
+ * @param {number|null} attempt.completionMs tiempo hasta el impacto (null si no se alcanzó)
+ */
+export function recordAttempt(attempt) {
+  session.attempts.push({ ...attempt });
+}
+
+// Media de un campo de los intentos, ignorando los que no lo tienen
+function attemptsAvg(attempts, key) {
+  let sum = 0;
+  let n = 0;
+  for (const a of attempts) {
+    if (a[key] == null) continue;
+    sum += a[key];
+    n++;
+  }
+  return n > 0 ? sum / n : null;
+}
+
+/**
+ * Registra una entidad que ha desaparecido sin ser eliminada (por
+ * ejemplo, un target Matrix que sale de la pantalla).
+ * @param {string} kind tipo de entidad
+ */
+export function recordEscape(kind) {
+  const st = session.byKind[kind];
+  if (!st) return;
+  st.escapes++;
+}
+
+/**
+ * Devuelve una copia de los contadores con los valores derivados ya
+ * calculados.  Los TTK se expresan en milisegundos y son `null` si aún
+ * no hay eliminaciones.
+ * @returns {Object} instantánea de la sesión
+ */
+export function getScoreSnapshot() {
+  const byKind = {};
+  let kills = 0;
+  let escapes = 0;
+  let ttkSum = 0;
+  let ttkCount = 0;
+  let ttkBest = Infinity;
+  for (const k of ENTITY_KINDS) {
+    const st = session.byKind[k];
+    byKind[k] = {
+      hits: st.hits,
+      kills: st.kills,
+      escapes: st.escapes,
+      avgTtkMs: st.ttkCount > 0 ? st.ttkSum / st.ttkCount : null,
+      bestTtkMs: st.ttkCount > 0 ? st.ttkBest : null
+    };
+    kills += st.kills;
+    escapes += st.escapes;
+    ttkSum += st.ttkSum;
+    ttkCount += st.ttkCount;
+    if (st.ttkBest < ttkBest) ttkBest = st.ttkBest;
+  }
+  return {
+    elapsedMs: nowMs() - session.startedAt,
+    shots: session.shots,
+    hits: session.hits,
+    misses: session.misses,
+    score: Math.max(0, Math.round(session.points)),
+    accuracy: session.holdMs > 0
+      ? session.onTargetMs / session.holdMs
+      : (session.shots > 0 ? session.hits / session.shots : 0),
+    holdMs: session.holdMs,
+    onTargetMs: session.onTargetMs,
+    attempts: session.attempts.map(a => ({ ...a })),
+    avgReactionMs: attemptsAvg(session.attempts, 'reactionMs'),
+    avgCompletionMs: attemptsAvg(session.attempts, 'completionMs'),
+    kills,
+    escapes,
+    avgTtkMs: ttkCount > 0 ? ttkSum / ttkCount : null,
+    bestTtkMs: ttkCount > 0 ? ttkBest : null,
+    byKind
+  };
+}
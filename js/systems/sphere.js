@@ -0,0 +1,213 @@
+/*
+ * systems/sphere.js
+ *
+ * Modo Esfera 3D.  En lugar de desplazar un mundo plano bajo la mira,
+ * los blancos son direcciones en una esfera alrededor de la nave y los
+ * ejes giran la vista de verdad:
+ *   yaw   → giro alrededor del eje vertical de la vista
+ *   pitch → giro alrededor del eje horizontal de la vista
+ *   roll  → giro alrededor de la dirección de la mira
+ * con velocidades en grados por segundo a fondo de stick
+ * (`CFG.sphereYawRate`, `spherePitchRate`, `sphereRollRate`), como en
+ * los simuladores de cabina.  La vista se dibuja con proyección en
+ * perspectiva y campo de visión vertical `CFG.sphereFovDeg`.
+ *
+ * La orientación se guarda en `state.sphere` como tres vectores
+ * unitarios del mundo: `right` (derecha de la pantalla), `down` (abajo)
+ * y `forward` (la mira).  Un blanco se alcanza si el ángulo entre la
+ * dirección del disparo y la del blanco es menor que su radio angular
+ * (`CFG.sphereTargetDeg`).
+ *
+ * ZONA SEGURA: puedes cambiar cómo se reparten las apariciones.
+ * ZONA PELIGROSA: la orientación forma parte de la simulación; si
+ * cambias `rotateSphereView()` las repeticiones antiguas se desvían.
+ */
+
+import { CFG, HIT_FADE_MS } from '../config.js';
+import * as state from '../state.js';
+import { nowMs } from '../utils/time.js';
+import { clamp } from '../utils/math.js';
+import { streamRandom } from '../utils/rng.js';
+
+// Números aleatorios de este sistema: flujo 'sphere' del generador con
+// semilla (ver utils/rng.js)
+const random = streamRandom('sphere');
+
+const DEG = Math.PI / 180;
+
+// Operaciones con vectores [x, y, z]
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+function combine(a, ka, b, kb) {
+  return [a[0] * ka + b[0] * kb, a[1] * ka + b[1] * kb, a[2] * ka + b[2] * kb];
+}
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+function normalize(a) {
+  const len = Math.hypot(a[0], a[1], a[2]) || 1;
+  return [a[0] / len, a[1] / len, a[2] / len];
+}
+
+/**
+ * Deja la vista mirando hacia +Z con la pantalla sin girar.
+ */
+export function resetSphereView() {
+  const v = state.sphere;
+  v.right = [1, 0, 0];
+  v.down = [0, 1, 0];
+  v.forward = [0, 0, 1];
+}
+
+/**
+ * Copia de la orientación actual (para la repetición).
+ * @returns {{right:number[], down:number[], forward:number[]}}
+ */
+export function getSphereView() {
+  const v = state.sphere;
+  return { right: v.right.slice(), down: v.down.slice(), forward: v.forward.slice() };
+}
+
+/**
+ * Restaura una orientación guardada con `getSphereView()`.
+ */
+export function setSphereView(view) {
+  const v = state.sphere;
+  v.right = view.right.slice();
+  v.down = view.down.slice();
+  v.forward = view.forward.slice();
+}
+
+// Gira el par de ejes (a, b) un ángulo `ang`: a pasa hacia b
+function rotatePair(a, b, ang) {
+  const c = Math.cos(ang);
+  const s = Math.sin(ang);
+  return [combine(a, c, b, s), combine(b, c, a, -s)];
+}
+
+/**
+ * Gira la vista un frame a partir de los ejes ya limpios (‑1..1).  Los
+ * signos coinciden con el mundo plano: yaw positivo desplaza la vista a
+ * la derecha, pitch positivo hacia abajo y roll positivo gira el mundo
+ * en sentido horario en pantalla.
+ * @param {number} roll eje de roll
+ * @param {number} pitch eje de pitch
+ * @param {number} yaw eje de yaw
+ * @param {number} dtN tiempo normalizado (1 ≈ 16.6 ms)
+ */
+export function rotateSphereView(roll, pitch, yaw, dtN) {
+  const v = state.sphere;
+  const dt = dtN * 16.6667 / 1000;
+  let right = v.right;
+  let down = v.down;
+  let forward = v.forward;
+  if (yaw !== 0) [forward, right] = rotatePair(forward, right, clamp(yaw, -1, 1) * CFG.sphereYawRate * DEG * dt);
+  if (pitch !== 0) [forward, down] = rotatePair(forward, down, clamp(pitch, -1, 1) * CFG.spherePitchRate * DEG * dt);
+  if (roll !== 0) [down, right] = rotatePair(down, right, clamp(roll, -1, 1) * CFG.sphereRollRate * DEG * dt);
+  // Reortonormaliza para que el redondeo no deforme la vista
+  forward = normalize(forward);
+  right = normalize(combine(right, 1, forward, -dot(right, forward)));
+  v.forward = forward;
+  v.right = right;
+  v.down = cross(forward, right);
+}
+
+/**
+ * Distancia focal (px) de la proyección con el campo de visión actual.
+ */
+export function sphereFocalPx() {
+  const fov = clamp(CFG.sphereFovDeg, 20, 150) * DEG;
+  return (state.viewport.height / 2) / Math.tan(fov / 2);
+}
+
+/**
+ * Coordenadas de vista de una dirección del mundo: `x` hacia la
+ * derecha, `y` hacia abajo y `z` hacia delante (z <= 0 = detrás).
+ * @param {number[]} dir dirección unitaria
+ * @returns {{x:number, y:number, z:number}}
+ */
+export function viewCoords(dir) {
+  const v = state.sphere;
+  return { x: dot(dir, v.right), y: dot(dir, v.down), z: dot(dir, v.forward) };
+}
+
+/**
+ * Dirección del mundo que se ve en el punto de pantalla (sx, sy),
+ * relativo al centro.  Se usa para desviar los disparos (dispersión).
+ */
+export function aimDirection(sx = 0, sy = 0) {
+  const v = state.sphere;
+  const f = sphereFocalPx();
+  const d = combine(v.forward, 1, v.right, sx / f);
+  return normalize(combine(d, 1, v.down, sy / f));
+}
+
+// Nuevo blanco en una dirección a entre `sphereSpawnMinDeg` y
+// `sphereSpawnMaxDeg` grados de la mira, repartida uniformemente por la
+// franja de la esfera
+function spawnSphereTarget() {
+  const v = state.sphere;
+  const lo = clamp(Math.min(CFG.sphereSpawnMinDeg, CFG.sphereSpawnMaxDeg), 0, 180) * DEG;
+  const hi = clamp(CFG.sphereSpawnMaxDeg, 0, 180) * DEG;
+  const c = Math.cos(lo) + (Math.cos(Math.max(lo, hi)) - Math.cos(lo)) * random();
+  const th = Math.acos(clamp(c, -1, 1));
+  const phi = random() * Math.PI * 2;
+  const side = combine(v.right, Math.cos(phi), v.down, Math.sin(phi));
+  return {
+    dir: normalize(combine(v.forward, Math.cos(th), side, Math.sin(th))),
+    angR: Math.max(0.1, CFG.sphereTargetDeg) * DEG,
+    spawnedAt: nowMs(),
+    hitStart: 0
+  };
+}
+
+/**
+ * Elimina todos los blancos de la esfera.
+ */
+export function clearSphereTargets() {
+  state.sphere.targets.length = 0;
+}
+
+/**
+ * Ajusta el número de blancos a `CFG.sphereTargetCount`.
+ */
+export function ensureSphereTargetsCount() {
+  const list = state.sphere.targets;
+  const n = clamp(CFG.sphereTargetCount | 0, 1, 10);
+  if (list.length > n) list.length = n;
+  while (list.length < n) list.push(spawnSphereTarget());
+}
+
+/**
+ * Hace reaparecer los blancos alcanzados cuando termina su animación.
+ */
+export function updateSphereTargets() {
+  const t = nowMs();
+  const list = state.sphere.targets;
+  for (let i = 0; i < list.length; i++) {
+    if (list[i].hitStart && t - list[i].hitStart >= HIT_FADE_MS) list[i] = spawnSphereTarget();
+  }
+  ensureSphereTargetsCount();
+}
+
+/**
+ * Blanco alcanzado por un disparo en la dirección `dir` (por defecto la
+ * mira): el más centrado de los que la contienen.
+ * @returns {number} índice en `state.sphere.targets` o ‑1
+ */
+export function hitTestSphere(dir = state.sphere.forward) {
+  let best = -1;
+  let bestA = Infinity;
+  const list = state.sphere.targets;
+  for (let i = 0; i < list.length; i++) {
+    const tg = list[i];
+    if (tg.hitStart) continue;
+    const a = Math.acos(clamp(dot(dir, tg.dir), -1, 1));
+    if (a < tg.angR && a < bestA) {
+      best = i;
+      bestA = a;
+    }
+  }
+  return best;
+}
@@ -9,10 +9,15 @@ import { CFG } from '../config.js';
 import * as state from '../state.js';
 import { clamp, screenToWorld } from '../utils/math.js';
 import { nowMs } from '../utils/time.js';
-import { rand } from '../utils/math.js';
+import { streamRandom } from '../utils/rng.js';
+
+// Números aleatorios de este sistema: flujo 'split' del generador con
+// semilla (ver utils/rng.js)
+const random = streamRandom('split');
+const rand = (a, b) => a + random() * (b - a);
 
 function randomDirection() {
-  const a = Math.random() * Math.PI * 2;
+  const a = random() * Math.PI * 2;
   return { x: Math.cos(a), y: Math.sin(a) };
 }
 
@@ -28,7 +33,10 @@ function createBallAt(sx, sy, r, vxs, vys) {
     r,
     vxs,
     vys,
-    hitUntil: 0
+    hitUntil: 0,
+    // Las pelotas hijas nacen al dividirse, por lo que su TTK cuenta
+    // desde ese momento
+    spawnedAt: nowMs()
   };
 }
 
@@ -37,8 +45,8 @@ export function clearSplitBalls() {
 }
 
 export function ensureSplitBallsCount() {
-  const canvas = state.canvas;
-  if (!canvas) return;
+  const view = state.viewport;
+  if (!view.width) return;
   const desired = clamp(CFG.splitBallCount | 0, 0, 3);
   CFG.splitBallCount = desired;
   if (state.splitBalls.length > desired) {
@@ -46,8 +54,8 @@ export function ensureSplitBallsCount() {
   }
   while (state.splitBalls.length < desired) {
     const r = Math.max(30, CFG.splitBallStartR);
-    const halfW = canvas.width / 2 - r;
-    const halfH = canvas.height / 2 - r;
+    const halfW = view.width / 2 - r;
+    const halfH = view.height / 2 - r;
     const sx = rand(-halfW, halfW);
     const sy = rand(-halfH, halfH);
     const dir = randomDirection();
@@ -57,10 +65,10 @@ export function ensureSplitBallsCount() {
 }
 
 export function updateSplitBalls(dtN) {
-  const canvas = state.canvas;
-  if (!canvas) return;
-  const halfW = canvas.width / 2;
-  const halfH = canvas.height / 2;
+  const view = state.viewport;
+  if (!view.width) return;
+  const halfW = view.width / 2;
+  const halfH = view.height / 2;
   for (const ball of state.splitBalls) {
     ball.sx += ball.vxs * dtN;
     ball.sy += ball.vys * dtN;
@@ -88,13 +96,17 @@ export function updateSplitBalls(dtN) {
   }
 }
 
-export function hitTestSplitBalls() {
+/**
+ * Busca la pelota más cercana al punto de mundo (x, y), por defecto la
+ * mira.  Devuelve su índice o ‑1 si no hay impacto.
+ */
+export function hitTestSplitBalls(x = state.player.x, y = state.player.y) {
   let bestIdx = -1;
   let bestD = Infinity;
   for (let i = 0; i < state.splitBalls.length; i++) {
     const ball = state.splitBalls[i];
-    const dx = ball.x - state.player.x;
-    const dy = ball.y - state.player.y;
+    const dx = ball.x - x;
+    const dy = ball.y - y;
     const d = Math.hypot(dx, dy);
     if (d < ball.r && d < bestD) {
       bestD = d;
@@ -10,7 +10,12 @@
 import { CFG, MARGIN } from '../config.js';
 import * as state from '../state.js';
 import { clamp, screenToWorld } from '../utils/math.js';
-import { rand } from '../utils/math.js';
+import { nowMs } from '../utils/time.js';
+import { streamRandom } from '../utils/rng.js';
+
+// Números aleatorios de este sistema: flujo 'targets' del generador con
+// semilla (ver utils/rng.js)
+const random = streamRandom('targets');
 
 /**
  * Devuelve un radio para un nuevo target.  Si la opción
@@ -20,35 +25,85 @@ import { rand } from '../utils/math.js';
 export function pickTargetRadius() {
   if (!CFG.randomTargetSize) return CFG.targetR;
   const base = CFG.targetR;
-  const r = base * (0.6 + Math.random() * 1.4); // 0.6x .. 2.0x
+  const r = base * (0.6 + random() * 1.4); // 0.6x .. 2.0x
   return clamp(r, 4, 200);
 }
 
+// Elige el desplazamiento en pantalla de un blanco según la distribución
+// de `spawn` (ver spawnTargetNearPlayer).  La distancia se recorta para
+// que el blanco quede dentro del área visible.
+function spawnOffset(spawn, limX, limY) {
+  const angles = spawn.angles;
+  let angle;
+  if (angles && angles.length > 0) {
+    angle = angles[Math.floor(random() * angles.length)];
+    angle += (random() * 2 - 1) * (spawn.spread || 0);
+  } else {
+    angle = random() * Math.PI * 2;
+  }
+  const minDist = Math.max(0, spawn.minDist || 0);
+  const maxDist = Math.max(minDist, spawn.maxDist || 0);
+  let dist = minDist + random() * (maxDist - minDist);
+  const cx = Math.abs(Math.cos(angle));
+  const cy = Math.abs(Math.sin(angle));
+  const fitX = cx > 1e-6 ? limX / cx : Infinity;
+  const fitY = cy > 1e-6 ? limY / cy : Infinity;
+  dist = Math.min(dist, fitX, fitY);
+  return { sx: Math.cos(angle) * dist, sy: Math.sin(angle) * dist, dist, angle };
+}
+
 /**
  * Genera un nuevo blanco cerca del jugador.  El blanco se spawnea en
  * coordenadas de mundo, a una distancia aleatoria dentro de un margen
  * definido por `MARGIN`, teniendo en cuenta la rotación del jugador.
  *
- * @returns {Object} nuevo blanco con { x, y, r, hitStart, dead }
+ * Con `spawn` el blanco aparece a una distancia de la mira dentro de
+ * [minDist, maxDist] y en una de las direcciones de `angles` (medidas en
+ * pantalla, ya rotada: 0 = derecha, π/2 = abajo), desviada como mucho
+ * `spread`.  Sin `angles` vale cualquier dirección.  El blanco guarda la
+ * distancia y el ángulo finales en `spawnDist` y `spawnAngle`.
+ *
+ * @param {Object} [spawn] distribución de aparición
+ * @param {number} spawn.minDist distancia mínima a la mira (px)
+ * @param {number} spawn.maxDist distancia máxima a la mira (px)
+ * @param {number[]|null} [spawn.angles] direcciones permitidas (rad)
+ * @param {number} [spawn.spread] desviación máxima de la dirección (rad)
+ * @returns {Object} nuevo blanco con { x, y, r, hitStart, dead, spawnedAt }
  */
-export function spawnTargetNearPlayer() {
-  const canvas = state.canvas;
-  const limX = canvas.width / 2 - MARGIN;
-  const limY = canvas.height / 2 - MARGIN;
-  // Offset aleatorio en pantalla
-  const sx = (Math.random() * 2 - 1) * limX;
-  const sy = (Math.random() * 2 - 1) * limY;
+export function spawnTargetNearPlayer(spawn = null) {
+  const view = state.viewport;
+  const limX = view.width / 2 - MARGIN;
+  const limY = view.height / 2 - MARGIN;
+  let sx;
+  let sy;
+  let polar = null;
+  if (spawn) {
+    polar = spawnOffset(spawn, limX, limY);
+    sx = polar.sx;
+    sy = polar.sy;
+  } else {
+    // Offset aleatorio en pantalla
+    sx = (random() * 2 - 1) * limX;
+    sy = (random() * 2 - 1) * limY;
+  }
   const cos = Math.cos(state.rollAngle);
   const sin = Math.sin(state.rollAngle);
   // Convertimos a desplazamiento en mundo teniendo en cuenta la rotación
   const w = screenToWorld(sx, sy, cos, sin);
-  return {
+  const tg = {
     x: state.player.x + w.dx,
     y: state.player.y + w.dy,
     r: pickTargetRadius(),
     hitStart: 0,
-    dead: false
+    dead: false,
+    // Instante de aparición para medir el tiempo hasta la eliminación
+    spawnedAt: nowMs()
   };
+  if (polar) {
+    tg.spawnDist = polar.dist;
+    tg.spawnAngle = polar.angle;
+  }
+  return tg;
 }
 
 /**
@@ -0,0 +1,73 @@
+/*
+ * systems/tracking.js
+ *
+ * Lógica del modo Tracking: en lugar de disparos sueltos, el jugador
+ * mantiene el gatillo pulsado y sigue a los movers con la mira.  Cada
+ * frame con el gatillo mantenido cuenta como tiempo de seguimiento; si
+ * la mira está dentro de un mover, además cuenta como tiempo en blanco
+ * y le quita vida.  La vida de un mover es el tiempo en blanco que
+ * aguanta (`CFG.trackingKillMs`); al agotarla se registra el kill y el
+ * mover reaparece en otro punto.
+ *
+ * Los movers se mueven con la misma lógica que en Classic
+ * (`updateMovers()`); este módulo sólo decide a quién se sigue.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { nowMs } from '../utils/time.js';
+import { hitTestMovers, respawnMover, alertFlocks } from './movers.js';
+import { recordHit, recordTracking } from './scoring.js';
+
+// Margen tras el último frame en blanco durante el que el mover se
+// sigue dibujando como seguido (evita parpadeos)
+const TRACKED_GLOW_MS = 80;
+
+/**
+ * Devuelve la fracción de vida (0..1) que le queda a un mover.
+ * @param {Object} m mover
+ */
+export function trackingHealth(m) {
+  const max = Math.max(1, CFG.trackingKillMs);
+  const hp = m.trackHp == null ? max : m.trackHp;
+  return Math.max(0, Math.min(1, hp / max));
+}
+
+/**
+ * Indica si la mira está siguiendo al mover en este momento.
+ * @param {Object} m mover
+ */
+export function isTracked(m) {
+  return nowMs() < (m.trackedUntil || 0);
+}
+
+/**
+ * Avanza el seguimiento un frame.  Debe llamarse después de mover las
+ * entidades y de actualizar el estado del gatillo.
+ * @param {number} dtN tiempo normalizado (1 ≈ 16.6 ms)
+ * @param {boolean} holding true si el gatillo está mantenido
+ * @returns {boolean} true si se ha eliminado un mover en este frame
+ */
+export function updateTracking(dtN, holding) {
+  if (!holding) return false;
+  // El gatillo mantenido cuenta como fuego: dispersa las formaciones
+  // cercanas a la mira igual que un disparo
+  alertFlocks(state.player.x, state.player.y);
+  const dtMs = dtN * 16.6667;
+  const mi = hitTestMovers();
+  recordTracking(dtMs, mi >= 0);
+  if (mi < 0) return false;
+  const m = state.movers[mi];
+  const t = nowMs();
+  m.trackedUntil = t + TRACKED_GLOW_MS;
+  const hp = (m.trackHp == null ? CFG.trackingKillMs : m.trackHp) - dtMs;
+  if (hp > 0) {
+    m.trackHp = hp;
+    return false;
+  }
+  recordHit('mover', m, true);
+  respawnMover(m);
+  m.trackHp = CFG.trackingKillMs;
+  m.trackedUntil = 0;
+  return true;
+}
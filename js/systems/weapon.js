@@ -0,0 +1,217 @@
+/*
+ * systems/weapon.js
+ *
+ * Cadencia y munición del arma.  Decide, frame a frame, cuántos disparos
+ * salen según el estado del gatillo y los ajustes del arma en `CFG`:
+ *   weaponFireMode → semi (uno por pulsación), burst (ráfaga de
+ *                    `weaponBurst` disparos por pulsación) o auto
+ *                    (dispara mientras se mantiene el gatillo)
+ *   weaponRpm      → disparos por minuto como máximo
+ *   weaponLimit    → none, heat (calor) o ammo (cargador)
+ *   weaponSpreadPx → radio del cono de dispersión a la distancia de los
+ *                    blancos (px)
+ * Con calor, cada disparo suma `weaponHeatPerShot` (1 = lleno) y el arma
+ * se enfría `weaponCoolPerS` por segundo; al llenarse queda bloqueada
+ * `weaponOverheatMs` y vuelve vacía.  Con cargador, al gastar las
+ * `weaponMagazine` balas se recarga durante `weaponReloadMs`.
+ *
+ * `WEAPON_PRESETS` son perfiles de arma listos para usar; el panel de
+ * configuración los copia sobre `CFG`.  El disparo en sí (impactos,
+ * proyectiles) sigue en `main.js`.
+ *
+ * ZONA SEGURA: puedes añadir perfiles a WEAPON_PRESETS.
+ * ZONA PELIGROSA: el estado del arma forma parte de la simulación; si
+ * cambias la lógica de `updateWeapon()` las repeticiones antiguas se
+ * desvían.
+ */
+
+import { CFG } from '../config.js';
+import { nowMs } from '../utils/time.js';
+import { streamRandom } from '../utils/rng.js';
+
+// Números aleatorios de este sistema: flujo 'weapon' del generador con
+// semilla (ver utils/rng.js)
+const random = streamRandom('weapon');
+
+// Disparos como máximo en un mismo frame (frames largos con mucha cadencia)
+const MAX_SHOTS_PER_FRAME = 4;
+
+// Perfiles de arma.  Cada uno fija todas las claves `weapon*` de cadencia
+// y munición.
+export const WEAPON_PRESETS = {
+  semi: {
+    label: 'Semiautomática',
+    weaponFireMode: 'semi', weaponRpm: 600, weaponBurst: 1, weaponLimit: 'none',
+    weaponHeatPerShot: 0, weaponCoolPerS: 0, weaponOverheatMs: 0,
+    weaponMagazine: 0, weaponReloadMs: 0, weaponSpreadPx: 0
+  },
+  cannon: {
+    label: 'Cañón láser (calor)',
+    weaponFireMode: 'auto', weaponRpm: 420, weaponBurst: 1, weaponLimit: 'heat',
+    weaponHeatPerShot: 0.07, weaponCoolPerS: 0.35, weaponOverheatMs: 2500,
+    weaponMagazine: 0, weaponReloadMs: 0, weaponSpreadPx: 3
+  },
+  repeater: {
+    label: 'Repetidor (cargador)',
+    weaponFireMode: 'auto', weaponRpm: 900, weaponBurst: 1, weaponLimit: 'ammo',
+    weaponHeatPerShot: 0, weaponCoolPerS: 0, weaponOverheatMs: 0,
+    weaponMagazine: 60, weaponReloadMs: 2000, weaponSpreadPx: 8
+  },
+  burst: {
+    label: 'Ráfagas de 3',
+    weaponFireMode: 'burst', weaponRpm: 1200, weaponBurst: 3, weaponLimit: 'ammo',
+    weaponHeatPerShot: 0, weaponCoolPerS: 0, weaponOverheatMs: 0,
+    weaponMagazine: 30, weaponReloadMs: 1500, weaponSpreadPx: 4
+  }
+};
+
+// Estado del arma
+let weapon = emptyWeapon();
+
+function emptyWeapon() {
+  return {
+    lastUpdate: null,
+    nextShotAt: 0,
+    pending: 0,
+    heat: 0,
+    overheatedUntil: 0,
+    ammo: Math.max(1, CFG.weaponMagazine | 0),
+    reloadUntil: 0
+  };
+}
+
+/**
+ * Copia un perfil de WEAPON_PRESETS sobre `CFG` y reinicia el arma.
+ * @param {string} name clave del perfil
+ * @returns {boolean} false si el perfil no existe
+ */
+export function applyWeaponPreset(name) {
+  const preset = WEAPON_PRESETS[name];
+  if (!preset) return false;
+  for (const key of Object.keys(preset)) {
+    if (key in CFG) CFG[key] = preset[key];
+  }
+  resetWeapon();
+  return true;
+}
+
+/**
+ * Devuelve la clave del perfil que coincide con los ajustes actuales, o
+ * '' si se han modificado a mano.
+ */
+export function findWeaponPreset() {
+  for (const [name, preset] of Object.entries(WEAPON_PRESETS)) {
+    const same = Object.keys(preset).every(k => !(k in CFG) || CFG[k] === preset[k]);
+    if (same) return name;
+  }
+  return '';
+}
+
+/**
+ * Vacía el calor, llena el cargador y descarta disparos pendientes.  Se
+ * llama al reiniciar el mundo.
+ */
+export function resetWeapon() {
+  weapon = emptyWeapon();
+}
+
+/**
+ * Avanza el arma un frame y devuelve cuántos disparos salen.
+ * @param {boolean} held gatillo mantenido (y disparo permitido)
+ * @param {boolean} pressed gatillo recién pulsado en este frame
+ * @returns {number} disparos de este frame
+ */
+export function updateWeapon(held, pressed) {
+  const t = nowMs();
+  const dt = weapon.lastUpdate === null ? 0 : Math.max(0, t - weapon.lastUpdate);
+  weapon.lastUpdate = t;
+  if (CFG.weaponLimit === 'heat') {
+    weapon.heat = Math.max(0, weapon.heat - CFG.weaponCoolPerS * dt / 1000);
+    if (weapon.overheatedUntil && t >= weapon.overheatedUntil) {
+      weapon.overheatedUntil = 0;
+      weapon.heat = 0;
+    }
+  }
+  if (CFG.weaponLimit === 'ammo' && weapon.reloadUntil && t >= weapon.reloadUntil) {
+    weapon.reloadUntil = 0;
+    weapon.ammo = Math.max(1, CFG.weaponMagazine | 0);
+  }
+  if (CFG.weaponFireMode === 'auto') {
+    weapon.pending = held ? 1 : 0;
+  } else if (pressed) {
+    weapon.pending = CFG.weaponFireMode === 'burst' ? Math.max(1, CFG.weaponBurst | 0) : 1;
+  }
+  const interval = 60000 / Math.max(1, CFG.weaponRpm);
+  let shots = 0;
+  while (weapon.pending > 0 && t >= weapon.nextShotAt && shots < MAX_SHOTS_PER_FRAME) {
+    if (isBlocked(t)) {
+      weapon.pending = 0;
+      break;
+    }
+    shots++;
+    if (CFG.weaponFireMode !== 'auto') weapon.pending--;
+    // Si el arma llevaba tiempo parada, la cadencia cuenta desde ahora
+    weapon.nextShotAt = Math.max(weapon.nextShotAt, t - interval) + interval;
+    consumeShot(t);
+  }
+  return shots;
+}
+
+// true si el arma está sobrecalentada o recargando
+function isBlocked(t) {
+  if (CFG.weaponLimit === 'heat') return t < weapon.overheatedUntil;
+  if (CFG.weaponLimit === 'ammo') return t < weapon.reloadUntil || weapon.ammo <= 0;
+  return false;
+}
+
+// Aplica el calor o gasta una bala tras un disparo
+function consumeShot(t) {
+  if (CFG.weaponLimit === 'heat') {
+    weapon.heat += CFG.weaponHeatPerShot;
+    if (weapon.heat >= 1) {
+      weapon.heat = 1;
+      weapon.overheatedUntil = t + CFG.weaponOverheatMs;
+    }
+  } else if (CFG.weaponLimit === 'ammo') {
+    weapon.ammo--;
+    if (weapon.ammo <= 0) {
+      weapon.ammo = 0;
+      weapon.reloadUntil = t + CFG.weaponReloadMs;
+    }
+  }
+}
+
+/**
+ * Desplazamiento aleatorio (px, en pantalla) de un disparo dentro del
+ * cono de dispersión.  Sin dispersión devuelve {0, 0} sin consumir
+ * números aleatorios.
+ * @returns {{sx:number, sy:number}}
+ */
+export function spreadOffset() {
+  const r = Math.max(0, CFG.weaponSpreadPx);
+  if (r === 0) return { sx: 0, sy: 0 };
+  // Uniforme dentro del círculo
+  const a = random() * Math.PI * 2;
+  const d = Math.sqrt(random()) * r;
+  return { sx: Math.cos(a) * d, sy: Math.sin(a) * d };
+}
+
+/**
+ * Estado del arma para el HUD.
+ * @returns {{limit:string, heat:number, overheated:boolean, ammo:number,
+ *   magazine:number, reloading:boolean, reloadLeftMs:number,
+ *   overheatLeftMs:number}}
+ */
+export function getWeaponStatus() {
+  const t = nowMs();
+  return {
+    limit: CFG.weaponLimit,
+    heat: weapon.heat,
+    overheated: t < weapon.overheatedUntil,
+    overheatLeftMs: Math.max(0, weapon.overheatedUntil - t),
+    ammo: weapon.ammo,
+    magazine: Math.max(1, CFG.weaponMagazine | 0),
+    reloading: t < weapon.reloadUntil,
+    reloadLeftMs: Math.max(0, weapon.reloadUntil - t)
+  };
+}
@@ -0,0 +1,66 @@
+/*
+ * systems/world.js
+ *
+ * Operaciones que afectan al mundo completo, independientemente del
+ * modo de juego.  Centraliza el reinicio de entidades y puntuación que
+ * antes vivía en `main.js`, de modo que el teclado, los escenarios y el
+ * panel de configuración (por ejemplo, al cargar un perfil) reinicien
+ * el mundo siempre de la misma forma.
+ */
+
+import { CFG } from '../config.js';
+import * as state from '../state.js';
+import { respawnAllTargets } from './targets.js';
+import { ensureMoversCount, resetMoversState } from './movers.js';
+import { clearMatrixTargets } from './matrixMode.js';
+import { clearSplitBalls, ensureSplitBallsCount } from './splitMode.js';
+import { clearFlick } from './flick.js';
+import { clearLockOn } from './lockOn.js';
+import { clearSphereTargets, ensureSphereTargetsCount } from './sphere.js';
+import { clearDepthTargets } from './depthMode.js';
+import { clearProjectiles } from './projectiles.js';
+import { resetWeapon } from './weapon.js';
+import { resetGimbal } from './gimbal.js';
+import { resetScore } from './scoring.js';
+
+/**
+ * Reinicia las entidades del modo actual y la puntuación.  Se usa al
+ * pulsar Espacio, al comenzar la partida de un escenario y al aplicar
+ * un perfil de configuración.  Las entidades nuevas salen del generador
+ * con semilla, así que tras `setSeed()` la secuencia es reproducible.
+ */
+export function resetWorld() {
+  state.missFlashUntil = 0;
+  resetScore();
+  clearProjectiles();
+  resetWeapon();
+  resetGimbal();
+  if (CFG.gameMode === 'classic') {
+    respawnAllTargets();
+    // Movers nuevos desde cero para que la secuencia sólo dependa de la
+    // semilla
+    resetMoversState();
+    ensureMoversCount();
+  } else if (CFG.gameMode === 'matrix') {
+    clearMatrixTargets();
+  } else if (CFG.gameMode === 'split') {
+    clearSplitBalls();
+    ensureSplitBallsCount();
+  } else if (CFG.gameMode === 'tracking') {
+    resetMoversState();
+    ensureMoversCount();
+  } else if (CFG.gameMode === 'flick') {
+    clearFlick();
+  } else if (CFG.gameMode === 'lockon') {
+    resetMoversState();
+    ensureMoversCount();
+    clearLockOn();
+  } else if (CFG.gameMode === 'sphere') {
+    // La orientación de la vista se conserva, como la posición de la
+    // mira en los demás modos
+    clearSphereTargets();
+    ensureSphereTargetsCount();
+  } else if (CFG.gameMode === 'depth') {
+    clearDepthTargets();
+  }
+}
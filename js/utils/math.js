@@ -11,6 +11,7 @@
  */
 
 import { DEADZONE, NOISE_SNAP } from '../config.js';
+import { random } from './rng.js';
 
 /**
  * Restringe un valor `v` al rango [a, b].  Si `v` es menor que `a`,
@@ -117,10 +118,12 @@ export function applyJCurve(v, cp, va) {
 
 /**
  * Devuelve un número aleatorio en el rango [a, b].  Se utiliza para
- * spawnear elementos en posiciones aleatorias.
+ * spawnear elementos en posiciones aleatorias.  Sale del generador con
+ * semilla de `utils/rng.js` (flujo 'main'); los sistemas usan su propio
+ * flujo.
  * @param {number} a límite inferior
  * @param {number} b límite superior
  */
 export function rand(a, b) {
-  return a + Math.random() * (b - a);
+  return a + random() * (b - a);
 }
\ No newline at end of file
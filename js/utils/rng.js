@@ -0,0 +1,107 @@
+/*
+ * utils/rng.js
+ *
+ * Generador de números pseudoaleatorios con semilla (mulberry32).  Todos
+ * los sistemas que necesitan azar (targets, movers, Matrix, Split) sacan
+ * sus números de aquí en lugar de `Math.random()`, de modo que una misma
+ * semilla reproduce la misma secuencia de apariciones: retos diarios y
+ * comparaciones justas entre jugadores.
+ *
+ * Cada sistema usa su propio flujo (`streamRandom('targets')`, …)
+ * derivado de la semilla.  Así, que los movers consuman más o menos
+ * números según la duración de los frames no altera la secuencia de los
+ * targets.
+ *
+ * ZONA PELIGROSA: cambiar el algoritmo o la derivación de los flujos
+ * hace que las semillas antiguas produzcan otras secuencias.
+ */
+
+// Semilla actual (entero sin signo de 32 bits) y estado de cada flujo
+let seed = randomSeed();
+const streams = new Map();
+
+// Hash FNV‑1a de 32 bits de un texto
+function hashText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Genera una semilla nueva no reproducible.  Se usa cuando el jugador
+ * no fija ninguna semilla.
+ * @returns {number} entero de 1 a 2^32-1
+ */
+export function randomSeed() {
+  return (Math.floor(Math.random() * 0xffffffff) >>> 0) || 1;
+}
+
+/**
+ * Semilla del reto diario: la misma para todos los jugadores durante
+ * un día natural (hora local).
+ * @param {Date} [date] día del reto (hoy por defecto)
+ * @returns {number} semilla
+ */
+export function dailySeed(date = new Date()) {
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return hashText(`solr-daily-${date.getFullYear()}-${mm}-${dd}`) || 1;
+}
+
+/**
+ * Convierte el texto de una semilla en número.  Acepta enteros; el
+ * resto de textos se transforman con un hash.  Un texto vacío devuelve 0
+ * (sin semilla fija).
+ * @param {string} text semilla introducida por el jugador
+ */
+export function parseSeed(text) {
+  const s = String(text == null ? '' : text).trim();
+  if (!s) return 0;
+  if (/^\d+$/.test(s)) return (Number(s) >>> 0) || 1;
+  return hashText(s) || 1;
+}
+
+/**
+ * Fija la semilla y reinicia todos los flujos.
+ * @param {number} value semilla (entero de 32 bits)
+ */
+export function setSeed(value) {
+  seed = (value >>> 0) || 1;
+  streams.clear();
+}
+
+/**
+ * Devuelve la semilla actual.
+ */
+export function getSeed() {
+  return seed;
+}
+
+/**
+ * Devuelve un número en [0, 1) del flujo indicado.
+ * @param {string} [stream] nombre del flujo
+ */
+export function random(stream = 'main') {
+  let s = streams.get(stream);
+  if (s === undefined) s = (seed ^ hashText(stream)) >>> 0;
+  // mulberry32
+  s = (s + 0x6d2b79f5) >>> 0;
+  streams.set(stream, s);
+  let t = s;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Devuelve una función sin argumentos que saca números de un flujo.
+ * Pensada para declararse una vez al principio de cada sistema.
+ * @param {string} stream nombre del flujo
+ * @returns {() => number}
+ */
+export function streamRandom(stream) {
+  return () => random(stream);
+}
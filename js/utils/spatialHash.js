@@ -0,0 +1,164 @@
+/*
+ * utils/spatialHash.js
+ *
+ * Rejilla uniforme para consultas de vecinos.  Sustituye los recorridos
+ * «todos contra todos» cuando hay muchas entidades: cada entrada se
+ * guarda en la celda que contiene su posición y las consultas sólo
+ * miran las celdas cercanas.  Las entradas se identifican con un número
+ * entero (por ejemplo, su índice en `state.movers`) y las consultas
+ * devuelven los identificadores en orden ascendente, así que recorrerlos
+ * da el mismo orden (y los mismos resultados) que un bucle sobre todo
+ * el array.
+ *
+ * ZONA SEGURA: no depende del estado del juego; puedes reutilizarla
+ * para otras entidades.
+ */
+
+// Las coordenadas de celda se empaquetan en un único número.  Admite
+// hasta ±32767 celdas por eje, muy por encima de cualquier pantalla.
+const KEY_OFFSET = 32768;
+const KEY_STRIDE = 65536;
+
+/**
+ * Crea una rejilla vacía.
+ * @param {number} cellSize lado de cada celda (px)
+ * @returns {{clear: Function, set: Function, query: Function, nearest: Function}}
+ */
+export function createSpatialHash(cellSize) {
+  let size = Math.max(1, cellSize);
+  // clave de celda → ids; id → { key, x, y }
+  const cells = new Map();
+  const entries = new Map();
+  // Rango de celdas ocupadas, para acotar la búsqueda del más cercano
+  let minCx = Infinity;
+  let maxCx = -Infinity;
+  let minCy = Infinity;
+  let maxCy = -Infinity;
+
+  const cellOf = v => Math.floor(v / size);
+  const keyOf = (cx, cy) => (cx + KEY_OFFSET) * KEY_STRIDE + (cy + KEY_OFFSET);
+
+  function removeFromCell(id, key) {
+    const list = cells.get(key);
+    if (!list) return;
+    const i = list.indexOf(id);
+    if (i >= 0) list.splice(i, 1);
+    if (list.length === 0) cells.delete(key);
+  }
+
+  // Recorre los ids de la celda (cx, cy)
+  function forEachInCell(cx, cy, fn) {
+    const list = cells.get(keyOf(cx, cy));
+    if (list) for (const id of list) fn(id);
+  }
+
+  return {
+    /**
+     * Vacía la rejilla.  Opcionalmente cambia el tamaño de celda.
+     * @param {number} [newCellSize]
+     */
+    clear(newCellSize) {
+      if (newCellSize != null) size = Math.max(1, newCellSize);
+      cells.clear();
+      entries.clear();
+      minCx = Infinity;
+      maxCx = -Infinity;
+      minCy = Infinity;
+      maxCy = -Infinity;
+    },
+
+    /**
+     * Inserta la entrada `id` en (x, y) o la mueve si ya existía.
+     * @param {number} id identificador entero
+     * @param {number} x
+     * @param {number} y
+     */
+    set(id, x, y) {
+      const cx = cellOf(x);
+      const cy = cellOf(y);
+      const key = keyOf(cx, cy);
+      const prev = entries.get(id);
+      if (prev) {
+        prev.x = x;
+        prev.y = y;
+        if (prev.key === key) return;
+        removeFromCell(id, prev.key);
+        prev.key = key;
+      } else {
+        entries.set(id, { key, x, y });
+      }
+      let list = cells.get(key);
+      if (!list) {
+        list = [];
+        cells.set(key, list);
+      }
+      list.push(id);
+      minCx = Math.min(minCx, cx);
+      maxCx = Math.max(maxCx, cx);
+      minCy = Math.min(minCy, cy);
+      maxCy = Math.max(maxCy, cy);
+    },
+
+    /**
+     * Ids de las entradas que pueden estar a menos de `radius` de
+     * (x, y), en orden ascendente.  Incluye todas las que lo están y
+     * algunas algo más lejanas (las de las celdas del borde): quien
+     * llama sigue comprobando la distancia.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @returns {number[]}
+     */
+    query(x, y, radius) {
+      const out = [];
+      const cx0 = cellOf(x - radius);
+      const cx1 = cellOf(x + radius);
+      const cy0 = cellOf(y - radius);
+      const cy1 = cellOf(y + radius);
+      for (let cy = cy0; cy <= cy1; cy++) {
+        for (let cx = cx0; cx <= cx1; cx++) forEachInCell(cx, cy, id => out.push(id));
+      }
+      return out.sort((a, b) => a - b);
+    },
+
+    /**
+     * Distancia desde (x, y) a la entrada más cercana distinta de
+     * `skipId`, o Infinity si no hay ninguna.  Busca por anillos de
+     * celdas y para en cuanto ningún anillo más lejano puede mejorarla.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [skipId]
+     * @returns {number}
+     */
+    nearest(x, y, skipId) {
+      if (entries.size === 0) return Infinity;
+      const cx = cellOf(x);
+      const cy = cellOf(y);
+      const maxRing = Math.max(cx - minCx, maxCx - cx, cy - minCy, maxCy - cy);
+      let best = Infinity;
+      const visit = id => {
+        if (id === skipId) return;
+        const e = entries.get(id);
+        const d = Math.hypot(x - e.x, y - e.y);
+        if (d < best) best = d;
+      };
+      for (let ring = 0; ring <= maxRing; ring++) {
+        // Todo lo del anillo `ring` está al menos a (ring ‑ 1) celdas
+        if (best <= (ring - 1) * size) break;
+        if (ring === 0) {
+          forEachInCell(cx, cy, visit);
+          continue;
+        }
+        for (let i = -ring; i <= ring; i++) {
+          forEachInCell(cx + i, cy - ring, visit);
+          forEachInCell(cx + i, cy + ring, visit);
+        }
+        for (let i = -ring + 1; i <= ring - 1; i++) {
+          forEachInCell(cx - ring, cy + i, visit);
+          forEachInCell(cx + ring, cy + i, visit);
+        }
+      }
+      return best;
+    }
+  };
+}
@@ -5,12 +5,41 @@
  * Encapsular `performance.now()` facilita su sustitución en tests o
  * futuros cambios.  Todos los módulos que necesitan tiempos deben
  * importar `nowMs()` en lugar de llamar directamente a `performance.now()`.
+ *
+ * El bucle principal fija el tiempo al comienzo de cada frame con
+ * `setFrameTime()`: todas las llamadas a `nowMs()` de ese frame
+ * devuelven el mismo valor.  Así la simulación depende sólo de los
+ * tiempos de frame y una repetición puede reproducirla exactamente
+ * fijando los tiempos grabados.  Las herramientas de `tools/` hacen lo
+ * mismo para simular sin navegador.
  */
 
+// Tiempo del frame en curso (null hasta el primer frame)
+let frameTime = null;
+
 /**
- * Devuelve el tiempo actual en milisegundos desde que se carga la
- * página.  Internamente usa `performance.now()` para mayor precisión.
+ * Devuelve el tiempo del frame en curso en milisegundos desde que se
+ * carga la página.  Antes del primer frame usa `performance.now()`.
  */
 export function nowMs() {
+  return frameTime === null ? performance.now() : frameTime;
+}
+
+/**
+ * Devuelve el tiempo real, sin fijar por frame.  Sólo para medir el
+ * paso del tiempo fuera de la simulación (por ejemplo, el avance de una
+ * repetición).
+ */
+export function realNowMs() {
   return performance.now();
-}
\ No newline at end of file
+}
+
+/**
+ * Fija el tiempo que devolverá `nowMs()` hasta el siguiente frame.
+ * @param {number} t tiempo en milisegundos
+ * @returns {number} el mismo tiempo
+ */
+export function setFrameTime(t) {
+  frameTime = t;
+  return t;
+}